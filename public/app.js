@@ -2,6 +2,10 @@
  * Spark - Minimal Voice + Chat + Notes
  */
 
+import { createFrame } from './protocol.js';
+import { Outbox } from './outbox.js';
+import { MeetingUploader } from './meeting-uploader.js';
+
 const CONFIG = {
   // Build WebSocket URL - include pathname for subpath routing (e.g., /voice)
   wsUrl: (() => {
@@ -30,6 +34,7 @@ const fileInput = document.getElementById('file-input');
 const bottomEl = document.getElementById('bottom');
 const sparkStatusEl = document.getElementById('spark-status');
 let activeSessionsData = { count: 0, thinking: false, sessions: [] };
+let pcNodeStatus = { connected: false, nodeName: null, platform: null };
 
 // Update Spark gateway connection status pill
 function updateSparkStatus(state) {
@@ -38,8 +43,6 @@ function updateSparkStatus(state) {
   if (state === 'connected') {
     sparkStatusEl.classList.add('connected');
     sparkStatusEl.title = 'Clawdbot Gateway: Connected';
-    // Fetch sessions on connect
-    fetchActiveSessions();
   } else if (state === 'connecting') {
     sparkStatusEl.classList.add('connecting');
     sparkStatusEl.title = 'Clawdbot Gateway: Connecting...';
@@ -49,18 +52,6 @@ function updateSparkStatus(state) {
   }
 }
 
-// Fetch active sessions from gateway
-async function fetchActiveSessions() {
-  try {
-    const res = await fetch('/api/active-sessions');
-    const data = await res.json();
-    activeSessionsData = data;
-    updateSparkPillText();
-  } catch (e) {
-    console.error('Failed to fetch active sessions:', e);
-  }
-}
-
 // Update pill to show session status
 function updateSparkPillText() {
   if (!sparkStatusEl) return;
@@ -100,13 +91,8 @@ sparkStatusEl?.addEventListener('click', (e) => {
     // Popup is open, close it
     existing.remove();
   } else {
-    // Popup is closed, open it
+    // Popup is closed, open it (the server keeps the session list current)
     showSessionsPopup();
-    // Refresh in background
-    fetchActiveSessions().then(() => {
-      const popup = document.getElementById('sessions-popup');
-      if (popup) updateSessionsPopupContent(popup);
-    });
   }
 });
 
@@ -163,6 +149,19 @@ function updateSessionsPopupContent(popup) {
       `).join('')}
     `;
   }
+  
+  // PC node (pushed as node_status)
+  popup.insertAdjacentHTML('beforeend', `
+    <div style="font-size: 12px; color: var(--text-secondary); margin-top: 12px; display: flex; justify-content: space-between;">
+      <span>${pcNodeStatus.nodeName || 'PC'}: ${pcNodeStatus.connected ? 'online' : 'offline'}</span>
+      <a href="/devices.html" style="color: var(--accent); text-decoration: none;">Devices</a>
+    </div>
+    <label style="font-size: 12px; color: var(--text-secondary); margin-top: 8px; display: flex; align-items: center; gap: 6px; cursor: pointer;">
+      <input type="checkbox" id="show-activity-toggle" ${showActivity ? 'checked' : ''}>
+      Show tool activity while waiting
+    </label>
+  `);
+  popup.querySelector('#show-activity-toggle').onchange = (e) => setShowActivity(e.target.checked);
 }
 
 function showSessionsPopup() {
@@ -199,6 +198,7 @@ const voiceContent = document.getElementById('voice-content');
 const voiceStatus = document.getElementById('voice-status');
 const notesContent = document.getElementById('notes-content');
 const notesTimerEl = document.getElementById('notes-timer');
+const notesStatusEl = notesContent?.querySelector('.status');
 const notesBar = document.getElementById('notes-bar');
 const closeNotesBtn = document.getElementById('close-notes-btn');
 const deleteNotesBtn = document.getElementById('delete-notes-btn');
@@ -243,10 +243,15 @@ let isListening = false;
 let realtimeReconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 let isProcessing = false;
+// Questions still waiting for an answer: requestId -> { sparkMode }
+const openRequests = new Map();
+// Messages the server hasn't acknowledged yet (IndexedDB, survives reloads)
+const outbox = new Outbox();
 let audioContext = null;
 let currentAudio = null;
 let mediaRecorder = null;
-let audioChunks = [];
+// Notes-mode recordings, uploaded in chunks while recording (IndexedDB, survives reloads)
+const meetingUploader = new MeetingUploader({ onProgress: showMeetingProgress });
 let recordStart = null;
 let timerInterval = null;
 let mediaStream = null;
@@ -356,7 +361,7 @@ async function loadModeHistory(modeName) {
   try {
     // Request via WebSocket if connected
     if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ type: 'mode_history', sparkMode: modeName }));
+      ws.send(JSON.stringify(createFrame('mode_history', { sparkMode: modeName })));
     } else {
       // Fallback to REST
       const res = await fetch(`/api/modes/${modeName}/history`);
@@ -415,9 +420,16 @@ loadModeConfigs();
 
 // Pre-loaded chat history (loaded in background on page init)
 let preloadedHistory = null;
+let preloadedHasMore = false;
 let historyLoadPromise = null;
 let historyRendered = false; // Prevent double-rendering
 
+// Older pages, loaded as the feed is scrolled up (cursor = oldest rendered entry)
+const HISTORY_PAGE_SIZE = 50;
+let oldestHistoryId = null;
+let olderHistoryAvailable = false;
+let olderHistoryLoading = false;
+
 // ============================================================================
 // PAGE STATE MANAGEMENT
 // ============================================================================
@@ -426,17 +438,19 @@ let historyRendered = false; // Prevent double-rendering
 function loadHistoryInBackground(forceRefresh = false) {
   if (historyLoadPromise && !forceRefresh) return historyLoadPromise;
   
-  historyLoadPromise = fetch('/api/messages/all')
+  historyLoadPromise = fetch(`/api/messages/all?limit=${HISTORY_PAGE_SIZE}`)
     .then(res => res.json())
     .then(data => {
       preloadedHistory = data.messages || [];
+      preloadedHasMore = !!data.hasMore;
       console.log(`📜 Pre-loaded ${preloadedHistory.length} messages`);
       
-      // Track latest timestamp for catch-up on reconnect
+      // Track the latest entry for catch-up on reconnect
       if (preloadedHistory.length > 0) {
         const lastMsg = preloadedHistory[preloadedHistory.length - 1];
         if (lastMsg.timestamp && lastMsg.timestamp > lastMessageTimestamp) {
           lastMessageTimestamp = lastMsg.timestamp;
+          lastEntryId = lastMsg.id || lastEntryId;
           console.log(`📜 Set lastMessageTimestamp to ${lastMessageTimestamp}`);
         }
       }
@@ -446,6 +460,7 @@ function loadHistoryInBackground(forceRefresh = false) {
     .catch(e => {
       console.error('Failed to preload history:', e);
       preloadedHistory = [];
+      preloadedHasMore = false;
       return [];
     });
   
@@ -466,22 +481,66 @@ function renderPreloadedHistory() {
   if (!preloadedHistory || preloadedHistory.length === 0) return;
   
   historyRendered = true;
+  oldestHistoryId = preloadedHistory[0].id;
+  olderHistoryAvailable = preloadedHasMore;
   
-  preloadedHistory.forEach(m => {
-    const el = document.createElement('div');
-    el.className = `msg ${m.role === 'user' ? 'user' : 'bot'}`;
-    if (m.role === 'user') {
-      el.textContent = m.text;
-    } else {
-      el.innerHTML = formatMessage(m.text);
-    }
-    messagesEl.appendChild(el);
-  });
+  preloadedHistory.forEach(m => messagesEl.appendChild(historyMessageEl(m)));
   
   // Scroll to bottom
   messagesEl.scrollTop = messagesEl.scrollHeight;
 }
 
+function historyMessageEl(m) {
+  const el = document.createElement('div');
+  el.className = `msg ${m.role === 'user' ? 'user' : 'bot'}`;
+  el.dataset.channel = m.channel;
+  if (m.role === 'user') {
+    el.textContent = m.text;
+  } else {
+    el.innerHTML = formatMessage(m.text);
+  }
+  return el;
+}
+
+// Infinite scroll: near the top of the feed, prepend the page before the oldest message
+async function loadOlderHistory() {
+  if (olderHistoryLoading || !olderHistoryAvailable || !oldestHistoryId) return;
+  olderHistoryLoading = true;
+  
+  try {
+    const params = new URLSearchParams({ before: oldestHistoryId, limit: HISTORY_PAGE_SIZE });
+    const res = await fetch(`/api/messages/all?${params}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    
+    // The feed may have been cleared or switched to a mode meanwhile
+    if (!olderHistoryAvailable || currentSparkMode) return;
+    
+    olderHistoryAvailable = !!data.hasMore;
+    if (data.messages.length === 0) return;
+    oldestHistoryId = data.messages[0].id;
+    
+    // Keep the visible messages where they are
+    const anchor = messagesEl.querySelector('.msg');
+    const fromBottom = messagesEl.scrollHeight - messagesEl.scrollTop;
+    const fragment = document.createDocumentFragment();
+    data.messages.forEach(m => fragment.appendChild(historyMessageEl(m)));
+    messagesEl.insertBefore(fragment, anchor);
+    messagesEl.scrollTop = messagesEl.scrollHeight - fromBottom;
+    
+    console.log(`📜 Loaded ${data.messages.length} older messages`);
+  } catch (e) {
+    console.error('Failed to load older history:', e);
+  } finally {
+    olderHistoryLoading = false;
+  }
+}
+
+messagesEl.addEventListener('scroll', () => {
+  if (pageState !== 'chatfeed' || currentSparkMode) return;
+  if (messagesEl.scrollTop < 200) loadOlderHistory();
+}, { passive: true });
+
 // Transition lock to prevent race conditions between page state changes
 let isTransitioning = false;
 
@@ -568,6 +627,17 @@ loadHistoryInBackground();
 // ============================================================================
 
 let lastMessageTimestamp = 0;
+let lastEntryId = null; // Last synced transcript entry - reconnects resume right after it
+// From the server's `ready` frame - resumes pending requests on reconnect. Kept in
+// sessionStorage so a reload rejoins the session its outbox resends belong to (the
+// server answers a resent request to the session that first sent it); per tab, so
+// two open tabs don't take each other's replies.
+let portalSessionId = sessionStorage.getItem('spark-portal-session');
+
+function setPortalSessionId(sessionId) {
+  portalSessionId = sessionId;
+  sessionStorage.setItem('spark-portal-session', sessionId);
+}
 
 function connect() {
   // Skip if already connected or connecting
@@ -576,7 +646,10 @@ function connect() {
   }
   
   console.log('📡 Connecting to server...');
-  ws = new WebSocket(CONFIG.wsUrl);
+  const url = portalSessionId
+    ? `${CONFIG.wsUrl}?session=${encodeURIComponent(portalSessionId)}`
+    : CONFIG.wsUrl;
+  ws = new WebSocket(url);
   
   updateSparkStatus('connecting');
   
@@ -584,17 +657,20 @@ function connect() {
     console.log('✅ Connected');
     updateSparkStatus('connected');
     
-    // Request catch-up if we have a timestamp
-    if (lastMessageTimestamp > 0) {
-      console.log(`🔄 Requesting catch-up since ${lastMessageTimestamp}`);
-      ws.send(JSON.stringify({ 
-        type: 'catch_up', 
-        since: lastMessageTimestamp 
-      }));
+    // Resume sync after the last entry we saw (the timestamp covers a rotated session)
+    if (lastEntryId || lastMessageTimestamp > 0) {
+      console.log(`🔄 Requesting catch-up after ${lastEntryId || lastMessageTimestamp}`);
+      ws.send(JSON.stringify(createFrame('catch_up', { after: lastEntryId, since: lastMessageTimestamp })));
     }
     
     // Update processing status
     setProcessing(false);
+    
+    if (showActivity) ws.send(JSON.stringify(createFrame('activity', { enabled: true })));
+    
+    // Retry anything sent while we were offline
+    flushOutbox();
+    meetingUploader.resumeAll().catch(e => console.warn('Meeting resume failed:', e));
   };
   
   ws.onmessage = (event) => {
@@ -610,9 +686,10 @@ function connect() {
     console.log('❌ Disconnected:', event.code, event.reason);
     updateSparkStatus('disconnected');
     
-    // Reconnect after delay (unless it was a clean close)
+    // Reconnect after delay (unless it was a clean close) - the socket is
+    // refused without a session, so check that first
     if (event.code !== 1000) {
-      setTimeout(connect, 2000);
+      setTimeout(() => ensureSignedIn().then(connect), 2000);
     }
   };
   
@@ -622,18 +699,63 @@ function connect() {
   };
 }
 
+// Make sure this device has a session cookie; the stored device token can
+// get a new one, otherwise it's off to the login page
+async function ensureSignedIn() {
+  try {
+    const me = await fetch('/auth/me');
+    if (me.ok) return;
+    
+    const token = localStorage.getItem('spark-device-token');
+    if (token) {
+      const res = await fetch('/auth/device', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (res.ok) return;
+      localStorage.removeItem('spark-device-token'); // Revoked
+    }
+    location.replace(`/login.html?next=${encodeURIComponent(location.pathname + location.search)}`);
+    await new Promise(() => {}); // Don't connect while the page navigates away
+  } catch (e) {
+    // Offline - keep trying to connect; the outbox holds messages meanwhile
+    console.warn('Sign-in check failed:', e.message);
+  }
+}
+
 // Auto-connect on page load
-connect();
+ensureSignedIn().then(connect);
+
+// Don't wait for the reconnect timer when the network comes back
+window.addEventListener('online', connect);
 
 // Handle incoming messages
 function handleMessage(msg) {
   console.log('📨 Received message:', msg.type);
   
   switch (msg.type) {
+    case 'ready':
+      setPortalSessionId(msg.sessionId);
+      break;
+      
+    case 'ack':
+      // received or delivered - either way the server has it
+      markReceived(msg.requestId);
+      if (msg.status === 'delivered') setMessageState(msg.requestId, 'delivered');
+      break;
+      
     case 'message':
       handleNewMessage(msg);
       break;
       
+    case 'text_delta':
+      handleTextDelta(msg);
+      break;
+      
+    case 'done':
+      handleStreamDone(msg);
+      break;
+      
     case 'mode_history':
       if (msg.sparkMode) {
         modeHistory[msg.sparkMode] = msg.messages || [];
@@ -646,30 +768,74 @@ function handleMessage(msg) {
       }
       break;
       
-    case 'session_status':
+    case 'session_status': {
       activeSessionsData = msg.sessions || { count: 0, thinking: false, sessions: [] };
       updateSparkPillText();
+      const popup = document.getElementById('sessions-popup');
+      if (popup) updateSessionsPopupContent(popup);
+      break;
+    }
+      
+    case 'node_status': {
+      pcNodeStatus = msg.node;
+      const popup = document.getElementById('sessions-popup');
+      if (popup) updateSessionsPopupContent(popup);
       break;
+    }
       
     case 'thinking':
-      // Add thinking indicator to chat
+      // Thinking indicator sits under the question it belongs to;
+      // `stop` is the last frame of every request
       if (msg.status === 'start') {
-        addThinking();
+        addThinking(msg.requestId);
+        setProcessing(true);
       } else if (msg.status === 'stop') {
-        removeThinking();
+        closeRequest(msg.requestId);
+      }
+      break;
+      
+    case 'tool_activity':
+      handleToolActivity(msg);
+      break;
+      
+    case 'thinking_summary':
+      handleThinkingSummary(msg);
+      break;
+      
+    case 'cancelled':
+      // Leave any partial streamed reply as it is
+      for (const [streamId, stream] of replyStreams) {
+        if (msg.requestId && stream.requestId !== msg.requestId) continue;
+        if (stream.frame) cancelAnimationFrame(stream.frame);
+        stream.el?.classList.remove('streaming');
+        replyStreams.delete(streamId);
       }
-      setProcessing(msg.status === 'start');
+      closeRequest(msg.requestId);
+      toast('Request cancelled');
       break;
       
     case 'error':
+      console.error(`Server error (${msg.code}):`, msg.message);
       toast(msg.message, true);
-      setProcessing(false);
+      if (msg.requestId) {
+        setMessageState(msg.requestId, 'failed');
+        closeRequest(msg.requestId);
+      }
       break;
       
     case 'status':
       setStatus(msg.message);
       break;
       
+    case 'video_job':
+      // Result text arrives as a videogen `message` frame; just notify here
+      if (msg.job.status === 'complete') {
+        toast('🎬 Your video is ready');
+      } else if (msg.job.status === 'error') {
+        toast('Video generation failed', true);
+      }
+      break;
+      
     default:
       console.log('Unknown message type:', msg.type);
   }
@@ -678,14 +844,20 @@ function handleMessage(msg) {
 function handleNewMessage(msg) {
   console.log('💬 New message:', msg.role, msg.text?.slice(0, 100));
   
-  // Update last message timestamp for catch-up
+  // Update catch-up position
   if (msg.timestamp && msg.timestamp > lastMessageTimestamp) {
     lastMessageTimestamp = msg.timestamp;
   }
+  if (msg.id) lastEntryId = msg.id;
   
-  // Add to UI if we're on the chat feed page and not in a mode
-  if (pageState === 'chatfeed' && !currentSparkMode) {
-    addMessage(msg.role === 'assistant' ? 'bot' : 'user', msg.text);
+  if (msg.sparkMode) {
+    // Mode replies only show inside that mode
+    if (currentSparkMode === msg.sparkMode) {
+      addMessage(msg.role === 'assistant' ? 'bot' : 'user', msg.text, msg.requestId);
+    }
+  } else if (pageState === 'chatfeed' && !currentSparkMode) {
+    // Add to UI if we're on the chat feed page and not in a mode
+    addMessage(msg.role === 'assistant' ? 'bot' : 'user', msg.text, msg.requestId);
     
     // Show clear button after first exchange
     const messageCount = messagesEl.querySelectorAll('.msg').length;
@@ -694,23 +866,88 @@ function handleNewMessage(msg) {
     }
   }
   
-  // Stop any thinking indicators
-  removeThinking();
-  setProcessing(false);
+  // Only replies with a requestId answer one of our questions
+  // (synced WhatsApp traffic doesn't)
+  if (msg.requestId) {
+    removeThinking(msg.requestId);
+    setMessageState(msg.requestId, 'answered');
+  }
   
   // Refresh history cache in background
-  refreshHistoryCache();
+  if (!msg.sparkMode) refreshHistoryCache();
+}
+
+// Streamed replies in progress: streamId -> { text, el, frame, requestId }
+const replyStreams = new Map();
+
+// Whether a reply for this mode belongs on the current screen
+function isReplyVisible(sparkMode) {
+  return sparkMode
+    ? currentSparkMode === sparkMode
+    : pageState === 'chatfeed' && !currentSparkMode;
+}
+
+function handleTextDelta(msg) {
+  let stream = replyStreams.get(msg.streamId);
+  if (!stream) {
+    stream = { text: '', el: null, frame: null, requestId: msg.requestId };
+    replyStreams.set(msg.streamId, stream);
+  }
+  stream.text += msg.delta;
+  
+  // Re-render at most once per frame - markdown is formatted from the full text
+  if (stream.frame || !isReplyVisible(msg.sparkMode)) return;
+  stream.frame = requestAnimationFrame(() => {
+    stream.frame = null;
+    if (!stream.el?.isConnected) {
+      stream.el = addMessage('bot', stream.text, msg.requestId);
+      stream.el?.classList.add('streaming');
+    } else {
+      stream.el.innerHTML = formatMessage(stream.text);
+      scrollToBottomIfNeeded();
+    }
+  });
+}
+
+// Final frame of a streamed reply - swap in the canonical text
+function handleStreamDone(msg) {
+  const stream = replyStreams.get(msg.streamId);
+  replyStreams.delete(msg.streamId);
+  if (stream?.frame) cancelAnimationFrame(stream.frame);
+  
+  if (!stream?.el?.isConnected) {
+    // Never rendered (other screen, or reconnected mid-stream)
+    handleNewMessage({
+      role: 'assistant',
+      text: msg.text,
+      source: 'web',
+      sparkMode: msg.sparkMode,
+      requestId: msg.requestId,
+      timestamp: msg.timestamp
+    });
+    return;
+  }
+  
+  stream.el.innerHTML = formatMessage(msg.text);
+  stream.el.classList.remove('streaming');
+  setMessageState(msg.requestId, 'answered');
+  scrollToBottomIfNeeded();
+  
+  if (msg.timestamp > lastMessageTimestamp) lastMessageTimestamp = msg.timestamp;
+  if (!msg.sparkMode) refreshHistoryCache();
 }
 
 // ============================================================================
 // MESSAGES
 // ============================================================================
 
-function addMessage(role, text) {
+// requestId: the question this message asks or answers - answers go right
+// under their question instead of at the bottom
+function addMessage(role, text, requestId = null) {
   if (!text || !messagesEl) return;
   
-  // Remove any existing thinking indicators
-  removeThinking();
+  // The answer replaces its thinking indicator
+  if (requestId && role === 'bot') removeThinking(requestId);
   
   // Transition to chat feed if still on intro
   if (pageState === 'intro') {
@@ -726,7 +963,8 @@ function addMessage(role, text) {
     el.innerHTML = formatMessage(text);
   }
   
-  messagesEl.appendChild(el);
+  if (requestId) el.dataset.requestId = requestId;
+  insertForRequest(el, requestId);
   scrollToBottomIfNeeded();
   
   return el;
@@ -861,18 +1099,53 @@ function formatMessage(text) {
     .replace(/💬 /g, ''); // Remove emoji prefixes if any
 }
 
-// Set processing state
+// Set processing state (stays on while any question is unanswered)
 function setProcessing(processing) {
-  isProcessing = processing;
+  isProcessing = processing || openRequests.size > 0;
   updateSparkPillText(); // Update the indicator
 }
 
-function addThinking() {
-  // Remove existing thinking indicator
-  removeThinking();
+function createRequestId() {
+  return `req_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Place a message after the last one for the same request (or at the bottom)
+function insertForRequest(el, requestId) {
+  const related = requestId
+    ? messagesEl.querySelectorAll(`[data-request-id="${CSS.escape(requestId)}"]`)
+    : [];
+  if (related.length > 0) {
+    related[related.length - 1].after(el);
+  } else {
+    messagesEl.appendChild(el);
+  }
+}
+
+// Request answered, failed or cancelled (no requestId = all of them)
+function closeRequest(requestId) {
+  if (requestId) {
+    openRequests.delete(requestId);
+  } else {
+    openRequests.clear();
+  }
+  removeThinking(requestId);
+  setProcessing(false);
+}
+
+function addThinking(requestId = null) {
+  // One indicator per request
+  if (requestId) {
+    removeThinking(requestId);
+  } else {
+    document.getElementById('thinking-indicator')?.remove();
+  }
   
   const el = document.createElement('div');
-  el.id = 'thinking-indicator';
+  if (requestId) {
+    el.dataset.requestId = requestId;
+  } else {
+    el.id = 'thinking-indicator';
+  }
   el.className = 'msg thinking bot';
   el.innerHTML = `
     <div class="thinking-dots">
@@ -880,13 +1153,34 @@ function addThinking() {
       <span></span>
       <span></span>
     </div>
+    <button class="thinking-stop" title="Stop">
+      <svg viewBox="0 0 24 24"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>
+    </button>
   `;
-  messagesEl.appendChild(el);
+  el.querySelector('.thinking-stop').onclick = () => {
+    el.querySelector('.thinking-stop').setAttribute('disabled', '');
+    cancelRequest(requestId);
+  };
+  insertForRequest(el, requestId);
   scrollToBottomIfNeeded();
 }
 
-function removeThinking() {
-  document.getElementById('thinking-indicator')?.remove();
+// Remove one request's thinking indicator, or all of them
+function removeThinking(requestId = null) {
+  const selector = requestId
+    ? `.msg.thinking[data-request-id="${CSS.escape(requestId)}"]`
+    : '.msg.thinking';
+  messagesEl.querySelectorAll(selector).forEach(el => el.remove());
+}
+
+// Stop button - the server kills the request and answers with `cancelled`
+// (no requestId = everything in flight)
+function cancelRequest(requestId = null) {
+  if (ws?.readyState !== WebSocket.OPEN) {
+    toast('Not connected', true);
+    return;
+  }
+  ws.send(JSON.stringify(createFrame('cancel', { requestId })));
 }
 
 function setStatus(text) {
@@ -896,12 +1190,282 @@ function setStatus(text) {
   }
 }
 
-function toast(msg, isError = false) {
+let toastTimer = null;
+
+// action: optional { label, onClick } button (e.g. Undo)
+function toast(msg, isError = false, action = null) {
   toastEl.textContent = msg;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.onclick = () => {
+      toastEl.className = '';
+      action.onClick();
+    };
+    toastEl.appendChild(btn);
+  }
   toastEl.className = isError ? 'show error' : 'show';
-  setTimeout(() => toastEl.className = '', 3000);
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toastEl.className = '', action ? 6000 : 3000);
 }
 
+// ============================================================================
+// ACTIVITY TIMELINE - tool calls and thinking while an answer is pending (opt-in)
+// ============================================================================
+
+let showActivity = localStorage.getItem('showActivity') === 'true';
+
+function setShowActivity(enabled) {
+  showActivity = enabled;
+  localStorage.setItem('showActivity', String(enabled));
+  if (ws?.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(createFrame('activity', { enabled })));
+  }
+}
+
+// Timeline for the newest pending answer - goes right under its thinking
+// indicator, and stays (collapsed) above the answer once it arrives
+function activityTimeline() {
+  const thinking = [...messagesEl.querySelectorAll('.msg.thinking')].pop();
+  const requestId = thinking?.dataset.requestId || null;
+  
+  const existing = requestId
+    ? messagesEl.querySelector(`.activity[data-request-id="${CSS.escape(requestId)}"]`)
+    : messagesEl.lastElementChild?.classList.contains('activity') ? messagesEl.lastElementChild : null;
+  if (existing) return existing;
+  
+  const el = document.createElement('details');
+  el.className = 'activity';
+  if (requestId) el.dataset.requestId = requestId;
+  el.innerHTML = '<summary></summary><ol></ol>';
+  if (thinking) {
+    thinking.after(el);
+  } else {
+    messagesEl.appendChild(el);
+  }
+  return el;
+}
+
+function addActivityStep(key, icon, text, detail = '') {
+  if (pageState !== 'chatfeed' || currentSparkMode) return;
+  
+  const timeline = activityTimeline();
+  let step = timeline.querySelector(`li[data-key="${CSS.escape(key)}"]`);
+  if (!step) {
+    step = document.createElement('li');
+    step.dataset.key = key;
+    timeline.querySelector('ol').appendChild(step);
+  }
+  step.textContent = `${icon} ${text}${detail ? ` · ${detail}` : ''}`;
+  
+  // Collapsed, the summary shows the latest step
+  const count = timeline.querySelectorAll('li').length;
+  timeline.querySelector('summary').textContent = `${step.textContent}${count > 1 ? ` (${count} steps)` : ''}`;
+  scrollToBottomIfNeeded();
+}
+
+function handleToolActivity(msg) {
+  const label = msg.summary ? `${msg.name}: ${msg.summary}` : msg.name;
+  if (msg.status === 'running') {
+    addActivityStep(msg.callId, '🔧', label, 'running…');
+  } else {
+    const seconds = msg.durationMs != null ? `${(msg.durationMs / 1000).toFixed(1)}s` : '';
+    addActivityStep(msg.callId, msg.status === 'ok' ? '✅' : '❌', label, seconds);
+  }
+}
+
+function handleThinkingSummary(msg) {
+  addActivityStep(msg.id, '💭', msg.text);
+}
+
+// ============================================================================
+// SEARCH - every Spark and WhatsApp transcript (GET /api/search)
+// ============================================================================
+
+const searchSheet = document.getElementById('search-sheet');
+const searchInput = document.getElementById('search-input');
+const searchResultsEl = document.getElementById('search-results');
+const searchFilters = {
+  channel: document.getElementById('search-channel'),
+  role: document.getElementById('search-role'),
+  from: document.getElementById('search-from'),
+  to: document.getElementById('search-to'),
+};
+const SEARCH_DEBOUNCE_MS = 250;
+const CONTEXT_RADIUS = 20; // Messages shown either side of a hit
+
+let searchTimer = null;
+let searchSeq = 0; // Newer searches win over slow older ones
+let lastSearch = null; // { results, terms } - redrawn when leaving a context view
+
+const CHANNEL_LABELS = { web: 'Spark', whatsapp: 'WhatsApp', voice: 'Voice', other: 'Other' };
+
+function openSearch() {
+  searchSheet?.classList.add('show');
+  searchInput?.focus();
+}
+
+function closeSearch() {
+  searchSheet?.classList.remove('show');
+}
+
+function setSearchMessage(text) {
+  searchResultsEl.innerHTML = '';
+  const el = document.createElement('div');
+  el.className = 'search-empty';
+  el.textContent = text;
+  searchResultsEl.appendChild(el);
+}
+
+// Text with the query's words wrapped in <mark>
+function appendHighlighted(el, text, terms) {
+  const words = (terms || []).filter(Boolean).map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (words.length === 0) {
+    el.append(text);
+    return;
+  }
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  text.split(pattern).forEach((part, i) => {
+    if (i % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      el.appendChild(mark);
+    } else if (part) {
+      el.append(part);
+    }
+  });
+}
+
+async function runSearch() {
+  const q = searchInput.value.trim();
+  if (!q) {
+    lastSearch = null;
+    searchResultsEl.innerHTML = '';
+    return;
+  }
+  
+  const params = new URLSearchParams({ q });
+  for (const [name, input] of Object.entries(searchFilters)) {
+    if (input?.value) params.set(name, input.value);
+  }
+  
+  const seq = ++searchSeq;
+  try {
+    const res = await fetch(`/api/search?${params}`);
+    const data = await res.json();
+    if (seq !== searchSeq) return;
+    if (!res.ok) throw new Error(data.error || 'Search failed');
+    lastSearch = data;
+    renderSearchResults(data);
+  } catch (e) {
+    if (seq === searchSeq) setSearchMessage(e.message);
+  }
+}
+
+function renderSearchResults({ results, total, terms }) {
+  if (results.length === 0) {
+    setSearchMessage('No matches');
+    return;
+  }
+  
+  searchResultsEl.innerHTML = '';
+  for (const result of results) {
+    const item = document.createElement('div');
+    item.className = 'session-item search-result';
+    item.innerHTML = '<div class="channel"></div><div class="preview"></div><div class="time"></div>';
+    item.querySelector('.channel').textContent =
+      `${CHANNEL_LABELS[result.channel] || result.channel} · ${result.role === 'user' ? 'You' : 'Spark'}`;
+    appendHighlighted(item.querySelector('.preview'), result.snippet, terms);
+    item.querySelector('.time').textContent = new Date(result.timestamp).toLocaleString();
+    item.onclick = () => showSearchContext(result, terms);
+    searchResultsEl.appendChild(item);
+  }
+  
+  if (total > results.length) {
+    const more = document.createElement('div');
+    more.className = 'search-empty';
+    more.textContent = `Showing ${results.length} of ${total} - add words or filters to narrow it down`;
+    searchResultsEl.appendChild(more);
+  }
+}
+
+// The hit with the messages around it, from its session
+async function showSearchContext(result, terms) {
+  setSearchMessage('Loading…');
+  let messages;
+  try {
+    const res = await fetch(`/api/sessions/${encodeURIComponent(result.sessionId)}`);
+    if (!res.ok) throw new Error('Session not found');
+    ({ messages } = await res.json());
+  } catch (e) {
+    setSearchMessage(e.message);
+    return;
+  }
+  
+  const hitIndex = messages.findIndex(m => m.id === result.id);
+  const start = Math.max(0, hitIndex - CONTEXT_RADIUS);
+  const around = hitIndex === -1 ? messages.slice(-CONTEXT_RADIUS) : messages.slice(start, hitIndex + CONTEXT_RADIUS + 1);
+  
+  const view = document.createElement('div');
+  view.className = 'search-context';
+  const back = document.createElement('button');
+  back.className = 'back-to-results';
+  back.textContent = '← Results';
+  back.onclick = () => lastSearch ? renderSearchResults(lastSearch) : runSearch();
+  view.appendChild(back);
+  view.appendChild(exportLinks(result.sessionId));
+  
+  let hitEl = null;
+  for (const msg of around) {
+    const el = document.createElement('div');
+    el.className = `context-msg ${msg.role === 'user' ? 'user' : 'bot'}`;
+    const isHit = msg.id === result.id;
+    if (isHit) {
+      el.classList.add('hit');
+      hitEl = el;
+    }
+    appendHighlighted(el, msg.content, isHit ? terms : []);
+    const time = document.createElement('span');
+    time.className = 'time';
+    time.textContent = new Date(msg.timestamp).toLocaleString();
+    el.appendChild(time);
+    view.appendChild(el);
+  }
+  
+  searchResultsEl.innerHTML = '';
+  searchResultsEl.appendChild(view);
+  hitEl?.scrollIntoView({ block: 'center' });
+}
+
+// Download links for a whole conversation (GET /api/sessions/:sessionId/export)
+function exportLinks(sessionId) {
+  const el = document.createElement('div');
+  el.className = 'export-links';
+  el.append('Export:');
+  for (const [format, label] of [['md', 'Markdown'], ['html', 'HTML'], ['json', 'JSON'], ['zip', 'Zip + audio']]) {
+    const link = document.createElement('a');
+    link.href = `/api/sessions/${encodeURIComponent(sessionId)}/export?format=${format}`;
+    link.download = '';
+    link.textContent = label;
+    el.appendChild(link);
+  }
+  return el;
+}
+
+document.getElementById('search-btn')?.addEventListener('click', openSearch);
+document.getElementById('search-back-btn')?.addEventListener('click', closeSearch);
+searchInput?.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+});
+for (const input of Object.values(searchFilters)) {
+  input?.addEventListener('change', runSearch);
+}
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && searchSheet?.classList.contains('show')) closeSearch();
+});
+
 // ============================================================================
 // VOICE MODE - DUAL SUPPORT (ElevenLabs + OpenAI)
 // ============================================================================
@@ -2062,7 +2626,7 @@ sendBtn?.addEventListener('click', submitText);
 
 async function submitText() {
   const text = textInput?.value.trim();
-  if (!text || isProcessing) return;
+  if (!text) return;
   textInput.value = '';
   textInput.style.height = 'auto'; // Reset height
   sendBtn?.classList.remove('show');
@@ -2078,7 +2642,9 @@ async function initRecorder() {
   try {
     mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
     mediaRecorder = new MediaRecorder(mediaStream);
-    mediaRecorder.ondataavailable = (e) => { if (e.data.size > 0) audioChunks.push(e.data); };
+    mediaRecorder.ondataavailable = (e) => {
+      if (e.data.size > 0) meetingUploader.add(e.data, Date.now() - recordStart).catch(err => console.error('Meeting chunk:', err));
+    };
     mediaRecorder.onstop = finishRecording;
     return true;
   } catch {
@@ -2093,14 +2659,25 @@ function releaseMicrophone() {
   mediaRecorder = null;
 }
 
-function startRecording() {
+// Chunk length - each one is uploaded as soon as the recorder hands it over
+const MEETING_CHUNK_MS = 10000;
+
+async function startRecording() {
   if (!mediaRecorder) {
     initRecorder().then(ok => ok && startRecording());
     return;
   }
-  audioChunks = [];
-  mediaRecorder.start();
+  try {
+    await meetingUploader.start(mediaRecorder.mimeType || 'audio/webm');
+  } catch (e) {
+    console.error('Meeting start error:', e);
+    toast('Recording failed to start', true);
+    releaseMicrophone();
+    return;
+  }
+  mediaRecorder.start(MEETING_CHUNK_MS);
   recordStart = Date.now();
+  if (notesStatusEl) notesStatusEl.textContent = 'Recording...';
   mode = 'notes';
   document.body.classList.add('notes-mode');
   bottomEl?.classList.add('notes-active');
@@ -2119,57 +2696,34 @@ function stopRecording() {
 
 function deleteRecording() {
   stopRecording();
-  audioChunks = [];
+  meetingUploader.discard().catch(e => console.error('Meeting discard error:', e));
   toast('Recording deleted');
   releaseMicrophone();
 }
 
+// The server transcribes and summarizes it; the summary arrives as a message
 async function finishRecording() {
-  if (audioChunks.length === 0) {
-    releaseMicrophone();
-    return;
-  }
-  
-  const blob = new Blob(audioChunks, { type: 'audio/wav' });
-  const duration = Math.round((Date.now() - recordStart) / 1000);
+  releaseMicrophone();
+  if (!meetingUploader.current) return; // Deleted
   
-  // Create FormData with the audio file
-  const formData = new FormData();
-  formData.append('audio', blob, `voice-note-${Date.now()}.wav`);
-  formData.append('duration', duration.toString());
+  const durationMs = Date.now() - recordStart;
+  const mins = Math.round(durationMs / 60000);
+  toast(`Recording saved (${mins > 0 ? `${mins} min` : `${Math.round(durationMs / 1000)}s`}) - notes will follow`);
   
   try {
-    setProcessing(true);
-    setStatus('Transcribing...');
-    
-    const res = await fetch('/api/transcribe', {
-      method: 'POST',
-      body: formData
-    });
-    
-    if (!res.ok) throw new Error('Transcription failed');
-    
-    const data = await res.json();
-    
-    if (data.transcript) {
-      // Send the transcribed text as a regular message
-      await send(data.transcript, 'notes', duration);
-      toast(`Notes transcribed (${duration}s)`);
-    } else {
-      throw new Error('No transcript received');
-    }
-    
+    await meetingUploader.finish(durationMs);
   } catch (e) {
-    console.error('Transcription error:', e);
-    toast('Transcription failed', true);
-  } finally {
-    setProcessing(false);
-    setStatus('');
-    audioChunks = [];
-    releaseMicrophone();
+    console.error('Meeting upload error:', e);
+    toast(`Recording upload failed: ${e.message}`, true);
   }
 }
 
+// Latest transcribed words under the timer while recording
+function showMeetingProgress(meeting) {
+  if (mode !== 'notes' || !notesStatusEl) return;
+  notesStatusEl.textContent = meeting.latest ? `…${meeting.latest.slice(-80)}` : 'Recording...';
+}
+
 function updateTimer() {
   if (!recordStart) return;
   const elapsed = Math.floor((Date.now() - recordStart) / 1000);
@@ -2245,69 +2799,149 @@ function clearPendingAttachment() {
 
 async function send(text, messageMode = 'chat', duration = null) {
   if (!text && !pendingAttachment) return;
-  if (isProcessing) return;
   
-  // Add user message to UI immediately if it's text
-  if (text) {
-    addMessage('user', text);
-  }
+  // Questions don't wait for each other - replies carry the requestId
+  const requestId = createRequestId();
+  openRequests.set(requestId, { sparkMode: currentSparkMode });
+  
+  // Add user message to UI immediately (attachment name if there's no text)
+  const label = text || `📎 ${pendingAttachment.name}`;
+  addMessage('user', label, requestId);
   
-  // Create message object
-  const message = {
-    type: 'message',
+  // Create message frame (see protocol.js)
+  const message = createFrame('message', {
     text: text || '',
+    requestId,
     mode: messageMode,
     sparkMode: currentSparkMode, // Include current mode
     timestamp: Date.now()
-  };
+  });
   
   // Add duration for notes
   if (duration !== null) {
     message.duration = duration;
   }
   
+  // Into the outbox first, so a dropped connection or a reload can't lose it
+  const entry = { requestId, frame: message, file: pendingAttachment, label, createdAt: Date.now(), attempts: 0 };
+  clearPendingAttachment();
+  setProcessing(true);
+  addThinking(requestId);
   try {
-    setProcessing(true);
-    addThinking();
-    
-    if (pendingAttachment) {
+    await outbox.put(entry);
+  } catch (e) {
+    console.warn('Outbox unavailable, sending without retry:', e);
+  }
+  
+  await transmit(entry);
+}
+
+// Send an outbox entry - over the socket when it's open, otherwise HTTP.
+// The entry leaves the outbox once the server acknowledges it; if sending
+// fails it stays there until the next reconnect
+async function transmit(entry) {
+  const { requestId, frame, file } = entry;
+  entry.attempts++;
+  setMessageState(requestId, 'sending');
+  
+  try {
+    let res;
+    if (file) {
       // Send file via FormData
       const formData = new FormData();
-      formData.append('file', pendingAttachment);
-      formData.append('message', JSON.stringify(message));
+      formData.append('file', file, file.name || 'attachment');
+      formData.append('message', JSON.stringify(frame));
+      if (portalSessionId) formData.append('sessionId', portalSessionId);
       
-      const res = await fetch('/api/messages/upload', {
+      res = await fetch('/api/messages/upload', {
         method: 'POST',
         body: formData
       });
-      
-      if (!res.ok) throw new Error(`Upload failed: ${res.status}`);
-      
+    } else if (ws && ws.readyState === WebSocket.OPEN) {
+      // Receipt comes back as an `ack` frame
+      ws.send(JSON.stringify(frame));
+      return;
     } else {
-      // Send text message via WebSocket if connected, fallback to fetch
-      if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify(message));
-      } else {
-        const res = await fetch('/api/messages', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(message)
-        });
-        
-        if (!res.ok) throw new Error(`Message failed: ${res.status}`);
-      }
+      res = await fetch('/api/messages', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...frame, sessionId: portalSessionId })
+      });
     }
     
-    clearPendingAttachment();
+    if (res.status >= 400 && res.status < 500) {
+      // Rejected - sending it again won't help
+      const { error } = await res.json().catch(() => ({}));
+      outbox.delete(requestId).catch(() => {});
+      setMessageState(requestId, 'failed');
+      toast(error || 'Failed to send message', true);
+      closeRequest(requestId);
+      return;
+    }
+    if (!res.ok) throw new Error(`Send failed: ${res.status}`);
+    
+    // 202 - the server has it
+    markReceived(requestId);
+    await adoptHttpSession(res);
     
   } catch (e) {
     console.error('Send error:', e);
-    toast('Failed to send message', true);
-    removeThinking();
-    setProcessing(false);
+    setMessageState(requestId, 'queued');
+    toast('Offline - your message will be sent when the connection is back');
   }
 }
 
+// Server acknowledged the message - no need to send it again
+function markReceived(requestId) {
+  outbox.delete(requestId).catch(() => {});
+  setMessageState(requestId, 'sent');
+}
+
+// Resend whatever the server never acknowledged (it ignores duplicates)
+async function flushOutbox() {
+  let entries;
+  try {
+    entries = await outbox.all();
+  } catch (e) {
+    console.warn('Outbox unavailable:', e);
+    return;
+  }
+  if (entries.length > 0) console.log(`📤 Resending ${entries.length} unacknowledged message(s)`);
+  
+  for (const entry of entries) {
+    // Left over from before a reload - show it again
+    if (!messagesEl.querySelector(`.msg.user[data-request-id="${CSS.escape(entry.requestId)}"]`)) {
+      addMessage('user', entry.label, entry.requestId);
+    }
+    if (!openRequests.has(entry.requestId)) {
+      openRequests.set(entry.requestId, { sparkMode: entry.frame.sparkMode });
+      addThinking(entry.requestId);
+      setProcessing(true);
+    }
+    await transmit(entry);
+  }
+}
+
+// Delivery state shown under each sent message; it only moves forward
+// (queued/sending are interchangeable while retrying)
+const MESSAGE_STATE_RANK = { queued: 0, sending: 0, sent: 1, delivered: 2, answered: 3, failed: 3 };
+
+function setMessageState(requestId, state) {
+  if (!requestId) return;
+  const el = messagesEl.querySelector(`.msg.user[data-request-id="${CSS.escape(requestId)}"]`);
+  if (!el) return;
+  if (el.dataset.state && MESSAGE_STATE_RANK[el.dataset.state] > MESSAGE_STATE_RANK[state]) return;
+  el.dataset.state = state;
+}
+
+// HTTP sends are answered over the socket (or on reconnect via the server's
+// pending store) - make sure we're attached to the session that owns the reply
+async function adoptHttpSession(res) {
+  const { sessionId } = await res.json();
+  if (sessionId) setPortalSessionId(sessionId);
+  connect();
+}
+
 // ============================================================================
 // SCROLLING
 // ============================================================================
@@ -2350,12 +2984,18 @@ document.getElementById('videogen-btn')?.addEventListener('click', () => {
   showVideoGenModal();
 });
 
+document.getElementById('notes-library-btn')?.addEventListener('click', () => {
+  showNotesLibrary();
+});
+
 // ============================================================================
 // CLEAR CHAT BUTTON & FUNCTIONALITY
 // ============================================================================
 
 const clearChatBtn = document.getElementById('clear-chat-btn');
 
+// Clearing only hides messages from the feed (server keeps a per-user
+// watermark) - transcripts stay browsable and the clear can be undone
 clearChatBtn?.addEventListener('click', async () => {
   if (!confirm('Clear all messages from this chat?')) return;
   
@@ -2370,11 +3010,12 @@ clearChatBtn?.addEventListener('click', async () => {
     // Reset preloaded history
     preloadedHistory = [];
     historyRendered = false;
+    olderHistoryAvailable = false;
     
     // Show intro page
     showIntroPage();
     
-    toast('Chat cleared');
+    toast('Chat cleared', false, { label: 'Undo', onClick: undoClearChat });
     
   } catch (e) {
     console.error('Clear chat error:', e);
@@ -2382,6 +3023,24 @@ clearChatBtn?.addEventListener('click', async () => {
   }
 });
 
+async function undoClearChat() {
+  try {
+    const res = await fetch('/api/messages/clear/undo', { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to undo clear');
+    
+    // Reload the feed with the restored watermark and show it again
+    refreshHistoryCache();
+    await historyLoadPromise;
+    showChatFeedPage();
+    
+    toast('Chat restored');
+    
+  } catch (e) {
+    console.error('Undo clear error:', e);
+    toast('Failed to restore chat', true);
+  }
+}
+
 // ============================================================================
 // HISTORY PANEL FUNCTIONS
 // ============================================================================
@@ -2717,15 +3376,22 @@ function showVideoGenModal() {
       if (selectedImage) {
         formData.append('image', selectedImage);
       }
+      if (portalSessionId) {
+        formData.append('sessionId', portalSessionId);
+      }
       
       const res = await fetch('/api/video/generate', {
         method: 'POST',
         body: formData
       });
       
-      if (!res.ok) throw new Error('Generation failed');
+      if (!res.ok) {
+        const { error } = await res.json().catch(() => ({}));
+        throw new Error(error || 'Failed to generate video');
+      }
       
-      const data = await res.json();
+      const { job } = await res.json();
+      console.log(`🎬 Video job queued: ${job.id}`);
       
       // Close modal
       document.querySelector('.bottom-sheet-overlay').click();
@@ -2735,7 +3401,7 @@ function showVideoGenModal() {
       
     } catch (e) {
       console.error('Video generation error:', e);
-      toast('Failed to generate video', true);
+      toast(e.message || 'Failed to generate video', true);
     } finally {
       submitBtn.disabled = false;
       submitBtn.textContent = 'Generate Video';
@@ -2752,6 +3418,100 @@ function showVideoGenModal() {
   });
 }
 
+// Voice notes library - replay, re-summarize, send to chat or delete
+async function showNotesLibrary() {
+  const content = document.createElement('div');
+  content.className = 'notes-list';
+  content.textContent = 'Loading…';
+  
+  const { close } = showBottomSheet({
+    icon: '🎙️',
+    title: 'Voice Notes',
+    subtitle: 'Recordings with their transcripts and summaries',
+    content
+  });
+  
+  try {
+    const res = await fetch('/api/notes');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { notes } = await res.json();
+    content.textContent = notes.length === 0 ? 'No voice notes yet' : '';
+    notes.forEach(note => content.appendChild(noteItem(note, close)));
+  } catch (e) {
+    console.error('Failed to load notes:', e);
+    content.textContent = 'Failed to load notes';
+  }
+}
+
+function noteItem(note, closeSheet) {
+  const el = document.createElement('div');
+  el.className = 'note-item';
+  el.innerHTML = `
+    <div class="note-meta"></div>
+    <div class="note-summary"></div>
+    <details class="note-transcript"><summary>Transcript</summary><div></div></details>
+    <audio controls preload="none"></audio>
+    <div class="note-tags"></div>
+    <div class="note-actions">
+      <button class="option-pill" data-action="summarize">Re-summarize</button>
+      <button class="option-pill" data-action="send">Send to chat</button>
+      <button class="option-pill" data-action="delete">Delete</button>
+    </div>
+  `;
+  el.querySelector('audio').src = note.audioUrl;
+  
+  const render = () => {
+    const when = new Date(note.createdAt).toLocaleString();
+    el.querySelector('.note-meta').textContent = note.duration ? `${when} · ${note.duration}s` : when;
+    el.querySelector('.note-summary').innerHTML = note.summary
+      ? formatMessage(note.summary)
+      : { pending: 'Not transcribed yet', processing: 'Processing…', error: `Failed: ${note.error}` }[note.status] || '';
+    el.querySelector('.note-transcript').hidden = !note.transcript;
+    el.querySelector('.note-transcript div').textContent = note.transcript || '';
+    el.querySelector('.note-tags').textContent = note.tags.map(t => `#${t}`).join(' ');
+    el.querySelector('[data-action="summarize"]').textContent = note.transcript ? 'Re-summarize' : 'Transcribe';
+    el.querySelector('[data-action="send"]').disabled = !note.transcript;
+  };
+  render();
+  
+  el.querySelector('[data-action="summarize"]').onclick = async (e) => {
+    e.target.disabled = true;
+    note.status = 'processing';
+    render();
+    try {
+      const res = await fetch(`/api/notes/${note.id}/summarize`, { method: 'POST' });
+      const data = await res.json();
+      Object.assign(note, data.note || { status: 'error', error: data.error });
+    } catch (err) {
+      Object.assign(note, { status: 'error', error: err.message });
+    } finally {
+      e.target.disabled = false;
+      render();
+    }
+  };
+  
+  el.querySelector('[data-action="send"]').onclick = () => {
+    closeSheet();
+    const when = new Date(note.createdAt).toLocaleString();
+    send(`Voice note from ${when}:\n\n${note.transcript}`, 'notes', note.duration);
+  };
+  
+  el.querySelector('[data-action="delete"]').onclick = async () => {
+    if (!confirm('Delete this voice note and its recording?')) return;
+    try {
+      const res = await fetch(`/api/notes/${note.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      el.remove();
+      toast('Voice note deleted');
+    } catch (err) {
+      console.error('Failed to delete note:', err);
+      toast('Failed to delete note', true);
+    }
+  };
+  
+  return el;
+}
+
 // ============================================================================
 // KEYBOARD HANDLING
 // ============================================================================
@@ -0,0 +1,227 @@
+/**
+ * Spark meeting uploader - long recordings, sent in chunks while they're made
+ *
+ * Every MediaRecorder chunk is saved here (IndexedDB, so a reload or a
+ * dropped connection can't lose it) and then PUT to the server, one at a
+ * time and in order, until it's acknowledged. Meetings left over from
+ * before a reload are resumed from the server's nextChunk and finished -
+ * the recording itself stopped with the page.
+ *
+ * Meetings: { id, mimetype, createdAt, chunks, finished, durationMs }
+ * Chunks:   { meetingId, index, blob, recordedMs }
+ *   recordedMs: recording time at the end of the chunk
+ */
+
+const DB_NAME = 'spark-meetings';
+const MEETINGS = 'meetings';
+const CHUNKS = 'chunks';
+
+const MAX_RETRY_DELAY_MS = 30000;
+
+export class MeetingUploader {
+  /**
+   * @param {Object} options - { onProgress(meeting) } with the server's view after each chunk
+   */
+  constructor({ onProgress = null } = {}) {
+    this.db = null;
+    this.onProgress = onProgress;
+    this.current = null;
+    this.saving = Promise.resolve();
+    this.pumps = new Map(); // meetingId -> upload in progress
+    this.completing = new Set();
+    this.discarded = new Set();
+  }
+
+  open() {
+    if (this.db) return this.db;
+    this.db = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(MEETINGS, { keyPath: 'id' });
+        req.result.createObjectStore(CHUNKS, { keyPath: ['meetingId', 'index'] });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this.db;
+  }
+
+  /**
+   * Start a meeting on the server (needs a connection)
+   * @param {string} mimetype - The recorder's mimeType
+   */
+  async start(mimetype) {
+    const res = await fetch('/api/meetings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mimetype }),
+    });
+    if (!res.ok) throw new Error(`Couldn't start the meeting (${res.status})`);
+    const { meeting } = await res.json();
+    this.current = { id: meeting.id, mimetype, createdAt: Date.now(), chunks: 0, finished: false, durationMs: null };
+    await this.run(MEETINGS, 'readwrite', store => store.put(this.current));
+    return this.current;
+  }
+
+  // Queue the next chunk of the current meeting
+  async add(blob, recordedMs) {
+    const meeting = this.current;
+    if (!meeting) return;
+    const index = meeting.chunks++;
+    // Saved in order, and before finish() looks for what's left to send
+    const saved = this.saving.then(async () => {
+      await this.run(CHUNKS, 'readwrite', store => store.put({ meetingId: meeting.id, index, blob, recordedMs }));
+      await this.run(MEETINGS, 'readwrite', store => store.put(meeting));
+    });
+    this.saving = saved.catch(() => {});
+    await saved;
+    this.pump(meeting).catch(e => console.warn('Meeting upload:', e.message)); // finish() reports it
+  }
+
+  /**
+   * The recording is over - send what's left, then ask the server to finish
+   * (transcribe, diarize, summarize; the summary arrives as a chat message)
+   * @param {number} durationMs
+   */
+  async finish(durationMs) {
+    const meeting = this.current;
+    if (!meeting) return;
+    this.current = null;
+    Object.assign(meeting, { finished: true, durationMs });
+    await this.saving;
+    await this.run(MEETINGS, 'readwrite', store => store.put(meeting));
+    await this.complete(meeting);
+  }
+
+  // Throw the current recording away, here and on the server
+  async discard() {
+    const meeting = this.current;
+    if (!meeting) return;
+    this.current = null;
+    this.discarded.add(meeting.id);
+    await this.forget(meeting);
+    await fetch(`/api/meetings/${meeting.id}`, { method: 'DELETE' }).catch(() => {});
+  }
+
+  // Pick up meetings an earlier page load didn't get to finish
+  async resumeAll() {
+    const left = await this.run(MEETINGS, 'readonly', store => store.getAll());
+    for (const meeting of left) {
+      if (meeting.id === this.current?.id || this.completing.has(meeting.id)) continue;
+      const res = await fetch(`/api/meetings/${meeting.id}`);
+      if (res.status === 404) {
+        await this.forget(meeting);
+        continue;
+      }
+      if (!res.ok) continue; // Try again on the next load
+      const { meeting: remote } = await res.json();
+      if (remote.status !== 'recording') {
+        await this.forget(meeting);
+        continue;
+      }
+
+      console.log(`🎙️ Resuming meeting ${meeting.id} from chunk ${remote.nextChunk}`);
+      await this.deleteChunksBefore(meeting.id, remote.nextChunk);
+      if (!meeting.finished) {
+        Object.assign(meeting, { finished: true, durationMs: null });
+        await this.run(MEETINGS, 'readwrite', store => store.put(meeting));
+      }
+      await this.complete(meeting);
+    }
+  }
+
+  async complete(meeting) {
+    this.completing.add(meeting.id);
+    try {
+      await this.finishUpload(meeting);
+    } finally {
+      this.completing.delete(meeting.id);
+    }
+  }
+
+  async finishUpload(meeting) {
+    await this.pump(meeting);
+    if (this.discarded.has(meeting.id)) return;
+
+    const res = await this.request(`/api/meetings/${meeting.id}/finish`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chunks: meeting.chunks, durationMs: meeting.durationMs }),
+    });
+    if (res.status === 409) {
+      // A chunk we thought was delivered isn't there - nothing left to send it from
+      const { error } = await res.json().catch(() => ({}));
+      throw new Error(error || 'Some of the recording never arrived');
+    }
+    if (!res.ok && res.status !== 404) throw new Error(`Couldn't finish the meeting (${res.status})`);
+    await this.forget(meeting);
+  }
+
+  // Send a meeting's stored chunks in order; one upload per meeting at a time
+  pump(meeting) {
+    if (this.pumps.has(meeting.id)) {
+      // Already sending - go round again afterwards for chunks added since
+      return this.pumps.get(meeting.id).then(() => this.pump(meeting));
+    }
+    const run = this.send(meeting).finally(() => this.pumps.delete(meeting.id));
+    this.pumps.set(meeting.id, run);
+    return run;
+  }
+
+  async send(meeting) {
+    for (;;) {
+      if (this.discarded.has(meeting.id)) return;
+      const [chunk] = await this.run(CHUNKS, 'readonly', store => store.getAll(chunkRange(meeting.id), 1));
+      if (!chunk) return;
+
+      const res = await this.request(`/api/meetings/${meeting.id}/chunks/${chunk.index}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Recorded-Ms': String(Math.round(chunk.recordedMs)) },
+        body: chunk.blob,
+      });
+      if (res.status === 404 || res.status === 409) return; // Gone, or no longer recording
+      if (!res.ok) throw new Error(`Chunk ${chunk.index} was rejected (${res.status})`);
+
+      await this.run(CHUNKS, 'readwrite', store => store.delete([meeting.id, chunk.index]));
+      const { meeting: remote } = await res.json();
+      this.onProgress?.(remote);
+    }
+  }
+
+  // fetch, retried with backoff while offline or the server is down
+  async request(url, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const res = await fetch(url, options);
+        if (res.status < 500) return res;
+      } catch {
+        // Offline - keep trying, the chunks are safe in IndexedDB
+      }
+      await new Promise(r => setTimeout(r, Math.min(MAX_RETRY_DELAY_MS, 1000 * 2 ** attempt)));
+    }
+  }
+
+  async deleteChunksBefore(meetingId, index) {
+    if (index < 1) return;
+    await this.run(CHUNKS, 'readwrite', store => store.delete(IDBKeyRange.bound([meetingId, 0], [meetingId, index], false, true)));
+  }
+
+  async forget(meeting) {
+    await this.run(CHUNKS, 'readwrite', store => store.delete(chunkRange(meeting.id)));
+    await this.run(MEETINGS, 'readwrite', store => store.delete(meeting.id));
+  }
+
+  async run(storeName, mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = action(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+}
+
+// All chunks of a meeting, in index order
+function chunkRange(meetingId) {
+  return IDBKeyRange.bound([meetingId, 0], [meetingId, Infinity]);
+}
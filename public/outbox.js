@@ -0,0 +1,55 @@
+/**
+ * Spark outbox - messages the server hasn't acknowledged yet
+ *
+ * Every message is saved here (IndexedDB, so it survives reloads) before
+ * it is sent, and removed once the server acks it as `received`. Anything
+ * left over is sent again when the socket reconnects; the server drops
+ * retries it has already seen by their requestId.
+ *
+ * Entries: { requestId, frame, file?, label, createdAt, attempts }
+ *   frame: the `message` frame (see protocol.js)
+ *   file:  attachment Blob/File, sent via POST /api/messages/upload
+ */
+
+const DB_NAME = 'spark-outbox';
+const STORE = 'messages';
+
+export class Outbox {
+  constructor() {
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) return this.db;
+    this.db = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'requestId' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this.db;
+  }
+
+  async put(entry) {
+    await this.run('readwrite', store => store.put(entry));
+  }
+
+  async delete(requestId) {
+    await this.run('readwrite', store => store.delete(requestId));
+  }
+
+  // Oldest first
+  async all() {
+    const entries = await this.run('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = action(db.transaction(STORE, mode).objectStore(STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+}
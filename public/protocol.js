@@ -0,0 +1,244 @@
+/**
+ * Spark chat WebSocket protocol
+ *
+ * Shared by the browser (public/app.js) and the server (src/server.js) so
+ * both sides agree on frame names and fields. Every frame is a JSON object
+ * with a `type`. Client frames carry the protocol version `v` (frames
+ * without one are treated as v1).
+ *
+ * Client → server:
+ *   message        { text, requestId?, mode?, sparkMode?, timestamp?, duration?, image?, file? }
+ *   transcript     deprecated alias of `message`
+ *   mode_history   { sparkMode }
+ *   catch_up       { after?, since? }  (resume sync after main-session entry `after`, else after timestamp `since`)
+ *   activity       { enabled }  (opt in to tool_activity / thinking_summary frames)
+ *   voice_note     { audio, duration? }  (short notes; long meetings upload in chunks via /api/meetings)
+ *   cancel         { requestId? }  (omit requestId to cancel everything in flight)
+ *
+ * Server → client:
+ *   ready          { sessionId, pending? }
+ *   ack            { requestId, status: 'received' | 'delivered', duplicate? }
+ *   message        { id?, role, text, source?, sparkMode?, requestId?, timestamp }  (id: transcript entry, on synced messages)
+ *   text_delta     { streamId, delta, sparkMode?, requestId? }  (partial reply, in order)
+ *   done           { streamId, text, sparkMode?, requestId?, timestamp }  (canonical reply text)
+ *   thinking       { status: 'start' | 'stop', sparkMode?, requestId? }
+ *   tool_activity  { callId, name, summary?, status: 'running' | 'ok' | 'error', durationMs?, timestamp }
+ *   thinking_summary { id, text, timestamp }  (first sentence of a thinking block)
+ *   cancelled      { requestId?, sparkMode? }
+ *   mode_history   { sparkMode, messages }
+ *   transcription  { text }
+ *   session_status { sessions }  (sent on connect and whenever agent sessions change)
+ *   node_status    { node }  (PC node { connected, nodeName, platform }, same timing)
+ *   status         { message, requestId? }
+ *   video_job      { job }  (status: queued | running | complete | error)
+ *   error          { code, message, requestId? }
+ *
+ * Replies carry the requestId of the `message` they answer. Clients pick the
+ * id (letters, digits, _ and -, max 64); the server mints one if it's missing.
+ * A `message` whose requestId the server has already seen is not run again,
+ * just acked with duplicate: true - so clients can safely resend.
+ *
+ * Bump PROTOCOL_VERSION on breaking changes; the server rejects frames from
+ * a newer client with `unsupported_version`.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+export const ERROR_CODES = {
+  BAD_JSON: 'bad_json',                       // Frame is not valid JSON
+  INVALID_FRAME: 'invalid_frame',             // Missing/mistyped fields
+  UNKNOWN_TYPE: 'unknown_type',               // No such frame type
+  UNSUPPORTED_VERSION: 'unsupported_version', // Client speaks a newer protocol
+  UNKNOWN_MODE: 'unknown_mode',               // sparkMode not in the registry
+  FILE_ERROR: 'file_error',                   // Attachment could not be read
+  TIMEOUT: 'timeout',                         // Upstream took too long
+  UPSTREAM: 'upstream_error',                 // Clawdbot/gateway failed
+  INTERNAL: 'internal_error',
+};
+
+const MAX_TEXT_LENGTH = 100000;
+
+// Field specs: { type, required?, nullable?, enum?, maxLength? }
+const messageFields = {
+  text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH },
+  requestId: { type: 'string', nullable: true, maxLength: 64 },
+  mode: { type: 'string', enum: ['chat', 'voice', 'notes'] },
+  sparkMode: { type: 'string', nullable: true },
+  timestamp: { type: 'number' },
+  duration: { type: 'number', nullable: true },
+  image: { type: 'string', nullable: true },
+  file: { type: 'object', nullable: true },
+};
+
+export const CLIENT_FRAMES = {
+  message: messageFields,
+  transcript: messageFields,
+  mode_history: {
+    sparkMode: { type: 'string', required: true },
+  },
+  catch_up: {
+    after: { type: 'string', nullable: true, maxLength: 128 },
+    since: { type: 'number' },
+  },
+  activity: {
+    enabled: { type: 'boolean', required: true },
+  },
+  voice_note: {
+    audio: { type: 'string', required: true },
+    duration: { type: 'number', nullable: true },
+  },
+  cancel: {
+    requestId: { type: 'string', nullable: true },
+  },
+};
+
+export const SERVER_FRAMES = {
+  ready: {
+    sessionId: { type: 'string', required: true },
+    pending: { type: 'boolean' },
+  },
+  ack: {
+    requestId: { type: 'string', required: true },
+    status: { type: 'string', required: true, enum: ['received', 'delivered'] },
+    duplicate: { type: 'boolean' },
+  },
+  message: {
+    id: { type: 'string', nullable: true },
+    role: { type: 'string', required: true, enum: ['user', 'assistant'] },
+    text: { type: 'string', required: true },
+    source: { type: 'string', enum: ['web', 'whatsapp', 'voice', 'other'] },
+    sparkMode: { type: 'string', nullable: true },
+    requestId: { type: 'string', nullable: true },
+    timestamp: { type: 'number', required: true },
+  },
+  text_delta: {
+    streamId: { type: 'string', required: true },
+    delta: { type: 'string', required: true },
+    sparkMode: { type: 'string', nullable: true },
+    requestId: { type: 'string', nullable: true },
+  },
+  done: {
+    streamId: { type: 'string', required: true },
+    text: { type: 'string', required: true },
+    sparkMode: { type: 'string', nullable: true },
+    requestId: { type: 'string', nullable: true },
+    timestamp: { type: 'number', required: true },
+  },
+  thinking: {
+    status: { type: 'string', required: true, enum: ['start', 'stop'] },
+    sparkMode: { type: 'string', nullable: true },
+    requestId: { type: 'string', nullable: true },
+  },
+  cancelled: {
+    requestId: { type: 'string', nullable: true },
+    sparkMode: { type: 'string', nullable: true },
+  },
+  tool_activity: {
+    callId: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    summary: { type: 'string', nullable: true },
+    status: { type: 'string', required: true, enum: ['running', 'ok', 'error'] },
+    durationMs: { type: 'number', nullable: true },
+    timestamp: { type: 'number', required: true },
+  },
+  thinking_summary: {
+    id: { type: 'string', required: true },
+    text: { type: 'string', required: true },
+    timestamp: { type: 'number', required: true },
+  },
+  mode_history: {
+    sparkMode: { type: 'string', required: true },
+    messages: { type: 'array', required: true },
+  },
+  transcription: {
+    text: { type: 'string', required: true },
+  },
+  session_status: {
+    sessions: { type: 'object', required: true },
+  },
+  node_status: {
+    node: { type: 'object', required: true },
+  },
+  status: {
+    message: { type: 'string', required: true },
+    requestId: { type: 'string', nullable: true },
+  },
+  video_job: {
+    job: { type: 'object', required: true },
+  },
+  error: {
+    code: { type: 'string', required: true, enum: Object.values(ERROR_CODES) },
+    message: { type: 'string', required: true },
+    requestId: { type: 'string', nullable: true },
+  },
+};
+
+/**
+ * Build a frame with the current protocol version
+ * @param {string} type - Frame type
+ * @param {Object} fields - Frame fields
+ * @returns {Object}
+ */
+export function createFrame(type, fields = {}) {
+  return { type, v: PROTOCOL_VERSION, ...fields };
+}
+
+/**
+ * Validate a frame against the schema
+ * @param {*} frame - Parsed JSON
+ * @param {'client'|'server'} from - Which side sent the frame
+ * @returns {{ok: true} | {ok: false, code: string, message: string}}
+ */
+export function validateFrame(frame, from = 'client') {
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    return invalid(ERROR_CODES.INVALID_FRAME, 'Frame must be a JSON object');
+  }
+  if (typeof frame.type !== 'string' || !frame.type) {
+    return invalid(ERROR_CODES.INVALID_FRAME, 'Frame is missing a type');
+  }
+
+  const version = frame.v ?? 1;
+  if (!Number.isInteger(version) || version < 1 || version > PROTOCOL_VERSION) {
+    return invalid(ERROR_CODES.UNSUPPORTED_VERSION,
+      `Unsupported protocol version ${frame.v} (server speaks v${PROTOCOL_VERSION})`);
+  }
+
+  const frames = from === 'server' ? SERVER_FRAMES : CLIENT_FRAMES;
+  const fields = Object.hasOwn(frames, frame.type) ? frames[frame.type] : null;
+  if (!fields) {
+    return invalid(ERROR_CODES.UNKNOWN_TYPE, `Unknown frame type: ${frame.type}`);
+  }
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = frame[name];
+
+    if (value === undefined || (value === null && spec.nullable)) {
+      if (spec.required) {
+        return invalid(ERROR_CODES.INVALID_FRAME, `${frame.type}.${name} is required`);
+      }
+      continue;
+    }
+
+    if (typeOf(value) !== spec.type) {
+      return invalid(ERROR_CODES.INVALID_FRAME, `${frame.type}.${name} must be a ${spec.type}`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return invalid(ERROR_CODES.INVALID_FRAME, `${frame.type}.${name} must be one of: ${spec.enum.join(', ')}`);
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+      return invalid(ERROR_CODES.INVALID_FRAME, `${frame.type}.${name} is too long (max ${spec.maxLength})`);
+    }
+  }
+
+  return { ok: true };
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function invalid(code, message) {
+  return { ok: false, code, message };
+}
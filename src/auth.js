@@ -0,0 +1,270 @@
+/**
+ * Auth - portal login and per-device access
+ *
+ * Signing in (passphrase, plus a TOTP code when SPARK_TOTP_SECRET is set)
+ * registers a device and returns:
+ * - a signed session cookie (deviceId.expiresAt.hmac), checked on every API
+ *   call and WebSocket upgrade
+ * - a device token for the PWA, which keeps it in localStorage and trades it
+ *   for a fresh cookie (POST /auth/device) once the cookie expires. Scripts
+ *   can send it directly as `Authorization: Bearer <token>`.
+ *
+ * Revoking a device invalidates both its cookie and its token.
+ *
+ * The server refuses to start without a passphrase unless SPARK_AUTH=off, which
+ * turns auth off (the server warns at startup).
+ *
+ * Storage (under config.dataDir):
+ * - devices.json:   { [id]: { id, name, tokenHash, createdAt, lastSeenAt, lastIp, userAgent, revokedAt } }
+ * - auth-secret:    cookie signing key, when SPARK_SESSION_SECRET isn't set
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export const SESSION_COOKIE = 'spark_session';
+
+// Failed logins allowed per IP before it has to wait
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// lastSeenAt is only updated this often per device (unless its IP changes)
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+export class Auth {
+  constructor(config) {
+    const auth = config.auth || {};
+    this.dataDir = config.dataDir;
+    this.devicesPath = join(this.dataDir, 'devices.json');
+    this.passphrase = auth.required === false ? null : auth.passphrase || null;
+    this.totpSecret = auth.totpSecret ? base32Decode(auth.totpSecret) : null;
+    this.sessionMs = (auth.sessionDays || 30) * 24 * 60 * 60 * 1000;
+    this.secret = auth.sessionSecret || (this.enabled ? this.loadSecret() : null);
+    this.devices = this.load();
+    this.failedLogins = new Map(); // ip -> { count, since }
+  }
+
+  get enabled() {
+    return !!this.passphrase;
+  }
+
+  get totpEnabled() {
+    return !!this.totpSecret;
+  }
+
+  load() {
+    if (!existsSync(this.devicesPath)) return {};
+    try {
+      return JSON.parse(readFileSync(this.devicesPath, 'utf8')) || {};
+    } catch (e) {
+      console.error('Failed to read devices:', e.message);
+      return {};
+    }
+  }
+
+  save() {
+    if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+    writeFileSync(this.devicesPath, JSON.stringify(this.devices, null, 2));
+  }
+
+  // Generated once, so cookies survive restarts
+  loadSecret() {
+    const path = join(this.dataDir, 'auth-secret');
+    if (existsSync(path)) return readFileSync(path, 'utf8').trim();
+
+    const secret = randomBytes(32).toString('hex');
+    if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+    writeFileSync(path, secret, { mode: 0o600 });
+    return secret;
+  }
+
+  /**
+   * Check credentials and register a new device
+   * @param {Object} attempt - { passphrase, code, deviceName, userAgent, ip }
+   * @returns {{ device, token } | { error, status }}
+   */
+  login({ passphrase, code, deviceName, userAgent, ip }) {
+    const failed = this.failedLogins.get(ip);
+    if (failed && Date.now() - failed.since > FAILED_LOGIN_WINDOW_MS) this.failedLogins.delete(ip);
+    if ((this.failedLogins.get(ip)?.count || 0) >= MAX_FAILED_LOGINS) {
+      return { status: 429, error: 'Too many failed attempts - try again later' };
+    }
+
+    const ok = safeEqual(String(passphrase || ''), this.passphrase)
+      && (!this.totpSecret || verifyTotp(this.totpSecret, String(code || '')));
+    if (!ok) {
+      const entry = this.failedLogins.get(ip) || { count: 0, since: Date.now() };
+      entry.count++;
+      this.failedLogins.set(ip, entry);
+      console.warn(`🔒 Failed login from ${ip}`);
+      return { status: 401, error: this.totpSecret ? 'Wrong passphrase or code' : 'Wrong passphrase' };
+    }
+    this.failedLogins.delete(ip);
+
+    const token = `spd_${randomBytes(32).toString('base64url')}`;
+    const device = {
+      id: randomBytes(8).toString('hex'),
+      name: String(deviceName || '').trim().slice(0, 60) || describeUserAgent(userAgent),
+      tokenHash: hashToken(token),
+      createdAt: Date.now(),
+      lastSeenAt: Date.now(),
+      lastIp: ip || null,
+      userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+      revokedAt: null,
+    };
+    this.devices[device.id] = device;
+    this.save();
+    console.log(`🔑 Device signed in: ${device.name} (${device.id})`);
+    return { device, token };
+  }
+
+  // Cookie value for a device's session
+  sessionCookie(device) {
+    const payload = `${device.id}.${Date.now() + this.sessionMs}`;
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  sign(payload) {
+    return createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Device behind a request - session cookie first, then bearer token
+   * @param {http.IncomingMessage} req - Express request or WebSocket upgrade request
+   * @returns {Object|null} - Active device, or null if not signed in
+   */
+  authenticate(req) {
+    const device = this.fromCookie(req.headers.cookie) || this.fromToken(bearerToken(req.headers.authorization));
+    if (device) this.touch(device, clientIp(req));
+    return device;
+  }
+
+  fromCookie(header) {
+    const value = readCookie(header, SESSION_COOKIE);
+    if (!value) return null;
+
+    const [id, expiresAt, signature] = value.split('.');
+    if (!signature || !safeEqual(signature, this.sign(`${id}.${expiresAt}`))) return null;
+    if (Number(expiresAt) < Date.now()) return null;
+    return this.activeDevice(id);
+  }
+
+  fromToken(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const device = Object.values(this.devices).find(d => safeEqual(d.tokenHash, tokenHash));
+    return device ? this.activeDevice(device.id) : null;
+  }
+
+  activeDevice(id) {
+    const device = Object.hasOwn(this.devices, id) ? this.devices[id] : null;
+    return device && !device.revokedAt ? device : null;
+  }
+
+  touch(device, ip) {
+    const recent = Date.now() - device.lastSeenAt < TOUCH_INTERVAL_MS;
+    if (recent && (!ip || ip === device.lastIp)) return;
+    device.lastSeenAt = Date.now();
+    if (ip) device.lastIp = ip;
+    this.save();
+  }
+
+  list() {
+    return Object.values(this.devices)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .map(publicDevice);
+  }
+
+  revoke(id) {
+    const device = this.activeDevice(id);
+    if (!device) return false;
+    device.revokedAt = Date.now();
+    this.save();
+    console.log(`🔒 Device revoked: ${device.name} (${device.id})`);
+    return true;
+  }
+}
+
+// Device without its token hash
+export function publicDevice(device) {
+  const { tokenHash, ...rest } = device;
+  return rest;
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// Constant-time string compare
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+function readCookie(header, name) {
+  const match = (header || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+function bearerToken(header) {
+  const match = (header || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Forwarded address is only trusted from a proxy on this machine
+export function clientIp(req) {
+  const remote = req.socket?.remoteAddress || null;
+  const forwarded = req.headers['x-forwarded-for']?.split(',')[0].trim();
+  const fromLocalProxy = remote === '127.0.0.1' || remote === '::1' || remote === '::ffff:127.0.0.1';
+  return (fromLocalProxy && forwarded) || remote;
+}
+
+// "Safari on iPhone" style default name
+function describeUserAgent(ua = '') {
+  const device = /iPhone/.test(ua) ? 'iPhone' : /iPad/.test(ua) ? 'iPad' : /Android/.test(ua) ? 'Android'
+    : /Mac OS/.test(ua) ? 'Mac' : /Windows/.test(ua) ? 'Windows' : /Linux/.test(ua) ? 'Linux' : null;
+  const browser = /Edg\//.test(ua) ? 'Edge' : /Chrome\//.test(ua) ? 'Chrome' : /Firefox\//.test(ua) ? 'Firefox'
+    : /Safari\//.test(ua) ? 'Safari' : null;
+  if (device && browser) return `${browser} on ${device}`;
+  return device || browser || 'Unknown device';
+}
+
+// ============================================================================
+// TOTP (RFC 6238: SHA-1, 6 digits, 30s steps, ±1 step for clock drift)
+// ============================================================================
+
+function base32Decode(input) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) throw new Error('SPARK_TOTP_SECRET is not valid base32');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function totpCode(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(code).padStart(6, '0');
+}
+
+function verifyTotp(key, code) {
+  if (!/^\d{6}$/.test(code)) return false;
+  const step = Math.floor(Date.now() / 30000);
+  return [-1, 0, 1].some(drift => safeEqual(totpCode(key, step + drift), code));
+}
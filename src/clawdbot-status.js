@@ -0,0 +1,169 @@
+/**
+ * Clawdbot Status - background poller for agent sessions and node status
+ *
+ * One loop runs `clawdbot sessions list` and `clawdbot nodes status` as
+ * async child processes and caches the results, so HTTP routes answer from
+ * memory instead of blocking on the CLI. Changes are reported through
+ * onSessions(status) / onNodes(status), which the server pushes to portal
+ * clients as `session_status` / `node_status` frames.
+ *
+ * While nobody is connected (isWanted() returns false) polls are skipped.
+ * Failures back off exponentially up to MAX_BACKOFF_MS; the last good
+ * snapshot keeps being served meanwhile.
+ */
+
+import { spawn } from 'child_process';
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_BACKOFF_MS = 2 * 60 * 1000;
+const CLI_TIMEOUT_MS = 10000;
+
+// Sessions updated this recently count as active
+const ACTIVE_WINDOW_MS = 5 * 60 * 1000;
+
+export class ClawdbotStatus {
+  /**
+   * @param {Object} options - { clawdbotPath, mainSessionKey, onSessions(status), onNodes(status), isWanted() }
+   */
+  constructor({ clawdbotPath, mainSessionKey = 'agent:main:main', onSessions = () => {}, onNodes = () => {}, isWanted = () => true }) {
+    this.clawdbotPath = clawdbotPath;
+    this.mainSessionKey = mainSessionKey;
+    this.onSessions = onSessions;
+    this.onNodes = onNodes;
+    this.isWanted = isWanted;
+    this.sessions = { count: 0, thinking: false, sessions: [] };
+    this.nodes = { connected: false, nodeName: null, platform: null };
+    this.updatedAt = 0;
+    this.failures = 0;
+    this.timer = null;
+    this.inFlight = null;
+  }
+
+  start() {
+    this.schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref?.();
+  }
+
+  async tick() {
+    if (this.isWanted()) await this.refresh();
+    const backoff = this.failures > 0
+      ? Math.min(POLL_INTERVAL_MS * 2 ** this.failures, MAX_BACKOFF_MS)
+      : POLL_INTERVAL_MS;
+    if (this.timer) this.schedule(backoff);
+  }
+
+  // Poll now (concurrent callers share the same run)
+  refresh() {
+    if (!this.inFlight) {
+      this.inFlight = this.poll().finally(() => { this.inFlight = null; });
+    }
+    return this.inFlight;
+  }
+
+  async poll() {
+    const [sessions, nodes] = await Promise.allSettled([
+      this.runJson(['sessions', 'list', '--json', '--limit', '20']),
+      this.runJson(['nodes', 'status', '--json']),
+    ]);
+
+    if (sessions.status === 'fulfilled') {
+      this.update('sessions', toSessionStatus(sessions.value, this.mainSessionKey), this.onSessions);
+    } else {
+      this.update('sessions', { ...this.sessions, error: sessions.reason.message }, this.onSessions);
+    }
+    if (nodes.status === 'fulfilled') {
+      this.update('nodes', toNodeStatus(nodes.value), this.onNodes);
+    } else {
+      this.update('nodes', { connected: false, nodeName: null, platform: null, error: nodes.reason.message }, this.onNodes);
+    }
+
+    const failed = sessions.status === 'rejected' || nodes.status === 'rejected';
+    if (failed) {
+      this.failures++;
+      if (this.failures === 1) {
+        console.error('Clawdbot status poll failed:', (sessions.reason || nodes.reason).message);
+      }
+    } else {
+      if (this.failures > 0) console.log('📊 Clawdbot status poll recovered');
+      this.failures = 0;
+    }
+    this.updatedAt = Date.now();
+  }
+
+  // Store a snapshot; report it only if something changed
+  update(key, status, notify) {
+    const changed = JSON.stringify(status) !== JSON.stringify(this[key]);
+    this[key] = status;
+    if (changed) notify(status);
+  }
+
+  runJson(args) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(this.clawdbotPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => proc.kill('SIGTERM'), CLI_TIMEOUT_MS);
+
+      proc.stdout.on('data', chunk => { stdout += chunk; });
+      proc.stderr.on('data', chunk => { stderr += chunk; });
+      proc.on('error', e => {
+        clearTimeout(timer);
+        reject(e);
+      });
+      proc.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          const reason = signal ? `killed (${signal})` : `exited with ${code}`;
+          return reject(new Error(`clawdbot ${args.slice(0, 2).join(' ')} ${reason}: ${stderr.trim().slice(0, 200)}`));
+        }
+        try {
+          resolve(JSON.parse(stdout));
+        } catch {
+          reject(new Error(`clawdbot ${args.slice(0, 2).join(' ')} returned invalid JSON`));
+        }
+      });
+    });
+  }
+}
+
+// Recently active agent sessions, shaped for the portal's status pill
+function toSessionStatus(data, mainSessionKey) {
+  const since = Date.now() - ACTIVE_WINDOW_MS;
+  const sessions = (data.sessions || [])
+    .filter(s => s.updatedAt > since)
+    .map(s => ({
+      key: s.key,
+      label: s.label || (s.key?.includes('subagent') ? s.key.split(':').pop().slice(0, 8) : 'main'),
+      kind: s.kind,
+      updatedAt: s.updatedAt,
+      isMain: s.key === mainSessionKey,
+      isSubagent: s.key?.includes('subagent'),
+      model: s.model
+    }));
+
+  return {
+    count: sessions.length,
+    thinking: false, // Set by the frontend based on isProcessing
+    sessions
+  };
+}
+
+// Parth's PC node
+function toNodeStatus(data) {
+  const pcNode = (data.nodes || []).find(n => n.displayName?.includes('PC') || n.platform === 'win32');
+  return {
+    connected: pcNode?.connected || false,
+    nodeName: pcNode?.displayName || null,
+    platform: pcNode?.platform || null,
+  };
+}
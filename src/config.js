@@ -1,88 +1,396 @@
 /**
  * Configuration loader
- * Loads from environment, .env file, and clawdbot auth stores
+ *
+ * Every setting is declared once in SCHEMA: where it lives in the config
+ * object, the env var that overrides it, its type and its default. Values
+ * come from, highest first:
+ *   1. environment (and .env)
+ *   2. the config file - SPARK_CONFIG, default ./spark.config.json, shaped
+ *      like the config object (see spark.config.example.json)
+ *   3. defaults, some read from the local Clawdbot install (gateway token,
+ *      API keys in its auth stores)
+ *
+ * loadConfig() validates everything once and caches the result. Problems
+ * are kept in config.problems:
+ *   error   - a value is invalid (the server refuses to start)
+ *   warning - an optional setting is missing, so a feature is off
+ * reportConfig() prints them at startup; `node src/server.js --check-config`
+ * prints every value (secrets masked) and exits non-zero on errors.
  */
 
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, delimiter, isAbsolute } from 'path';
+import { homedir } from 'os';
 import { config as dotenvConfig } from 'dotenv';
 
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
 // Load .env if present
 dotenvConfig();
 
-// Load gateway token from clawdbot config
-function loadGatewayToken() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    try {
-      const config = JSON.parse(readFileSync(configPath, 'utf8'));
-      return config.gateway?.auth?.token;
-    } catch {}
+// ============================================================================
+// SCHEMA
+// ============================================================================
+// { key, env, type, default, values?, min?, secret?, ifMissing?, check?, exists? }
+//   type:      string | int | bool | url | path
+//   default:   value, or (config) => value for defaults built from earlier keys
+//   ifMissing: what stops working while the value is missing (→ warning)
+//   check:     (value) => error message | null
+//   exists:    'dir' | 'file' | 'bin' - warn if it isn't there
+
+const MAC_PATTERN = /^([0-9A-F]{2}[:-]){5}[0-9A-F]{2}$/i;
+
+const SCHEMA = [
+  { key: 'port', env: 'PORT', type: 'int', default: 3456 },
+  // Spark-owned state (mode registry, mode transcripts, pending requests, devices, ...)
+  { key: 'dataDir', env: 'SPARK_DATA_DIR', type: 'path', default: join(ROOT, 'data') },
+  { key: 'notesDir', env: 'SPARK_NOTES_DIR', type: 'path', default: join(ROOT, 'notes') },
+  { key: 'imageDir', env: 'SPARK_IMAGE_DIR', type: 'path', default: '/tmp/spark-images' },
+  { key: 'timezone', env: 'SPARK_TIMEZONE', type: 'string', default: () => systemTimezone(), check: checkTimezone },
+  { key: 'locale', env: 'SPARK_LOCALE', type: 'string', default: () => Intl.DateTimeFormat().resolvedOptions().locale },
+
+  // Local Clawdbot install
+  { key: 'clawdbot.home', env: 'CLAWDBOT_HOME', type: 'path', default: () => join(homedir(), '.clawdbot') },
+  { key: 'clawdbot.bin', env: 'CLAWDBOT_BIN', type: 'string', exists: 'bin',
+    default: () => findOnPath('clawdbot') || join(homedir(), '.npm-global/bin/clawdbot') },
+  { key: 'clawdbot.sessionsDir', env: 'CLAWDBOT_SESSIONS_DIR', type: 'path', exists: 'dir',
+    default: c => join(c.clawdbot.home, 'agents/main/sessions') },
+  { key: 'clawdbot.mainSessionKey', env: 'MAIN_SESSION_KEY', type: 'string', default: 'agent:main:main' },
+  // Used only while sessions.json has no entry for mainSessionKey
+  { key: 'clawdbot.mainSessionId', env: 'MAIN_SESSION_ID', type: 'string', default: null },
+  { key: 'clawdbot.hookToken', env: 'CLAWDBOT_HOOK_TOKEN', type: 'string', secret: true,
+    default: c => clawdbotJson(c)?.hooks?.token || null,
+    ifMissing: 'gateway hooks (main-session posts, WhatsApp status) are off' },
+  // WhatsApp number the CLI delivers main-session replies to
+  { key: 'clawdbot.deliverTo', env: 'SPARK_DELIVER_TO', type: 'string', default: null,
+    ifMissing: 'the CLI targets the main session id instead of a WhatsApp number' },
+  { key: 'clawdbot.googleCredentials', env: 'GOOGLE_CREDENTIALS', type: 'path', exists: 'file',
+    default: c => join(c.clawdbot.home, 'google/credentials.json') },
+  { key: 'openclawHome', env: 'OPENCLAW_HOME', type: 'path', default: () => join(homedir(), '.openclaw') },
+
+  // Share the portal's conversation with WhatsApp's main session
+  { key: 'unifiedSession', env: 'UNIFIED_SESSION', type: 'bool', default: true },
+
+  { key: 'wol.mac', env: 'PC_MAC_ADDRESS', type: 'string', default: null, ifMissing: 'Wake-on-LAN is off',
+    check: v => MAC_PATTERN.test(v) ? null : 'expected a MAC address like 8C:86:DD:00:00:00' },
+
+  { key: 'llm.gatewayUrl', env: 'GATEWAY_URL', type: 'url', default: 'http://localhost:18789' },
+  { key: 'llm.gatewayToken', env: 'GATEWAY_TOKEN', type: 'string', secret: true,
+    default: c => clawdbotJson(c)?.gateway?.auth?.token || null, ifMissing: 'gateway requests are sent without a token' },
+  // Stream chat replies via the gateway's /v1/chat/completions (falls back to the CLI)
+  { key: 'llm.stream', env: 'CHAT_STREAM', type: 'bool', default: true },
+  { key: 'llm.agent', env: 'CHAT_AGENT', type: 'string', default: 'main' }, // Clawdbot agent that answers streamed chat
+  // Requests per portal session handled at once (the rest wait their turn)
+  { key: 'llm.concurrency', env: 'CHAT_CONCURRENCY', type: 'int', default: 1, min: 1 },
+
+  { key: 'tts.provider', env: 'TTS_PROVIDER', type: 'string', default: 'elevenlabs',
+    values: ['elevenlabs', 'openai', 'deepgram', 'kokoro'] },
+  { key: 'tts.apiKey', env: 'ELEVENLABS_API_KEY', type: 'string', secret: true,
+    default: c => loadAuthKey(c, 'elevenlabs') || openclawJson(c)?.messages?.tts?.elevenlabs?.apiKey || null,
+    ifMissing: 'ElevenLabs speech is off' },
+  { key: 'tts.voiceId', env: 'TTS_VOICE_ID', type: 'string', default: 'pNInz6obpgDQGcFmaJgB' }, // Adam
+  { key: 'tts.model', env: 'TTS_MODEL', type: 'string', default: 'eleven_turbo_v2_5' },
+
+  { key: 'elevenlabs.agentId', env: 'ELEVENLABS_AGENT_ID', type: 'string', default: null,
+    ifMissing: 'ElevenLabs conversational voice is off' },
+
+  { key: 'stt.provider', env: 'STT_PROVIDER', type: 'string', default: 'browser',
+    values: ['browser', 'deepgram', 'whisper', 'whispercpp'] },
+  // Server-side provider when 'browser'
+  { key: 'stt.fallback', env: 'STT_FALLBACK', type: 'string', default: 'whisper',
+    values: ['deepgram', 'whisper', 'whispercpp'] },
+  { key: 'stt.apiKey', env: 'DEEPGRAM_API_KEY', type: 'string', secret: true,
+    default: c => loadAuthKey(c, 'deepgram') },
+  { key: 'stt.model', env: 'STT_MODEL', type: 'string', default: null }, // Deepgram model (default nova-2)
+  { key: 'stt.whisperApiKey', env: 'OPENAI_API_KEY', type: 'string', secret: true,
+    default: c => clawdbotJson(c)?.skills?.entries?.['openai-whisper-api']?.apiKey || null,
+    ifMissing: 'Whisper transcription and OpenAI realtime voice are off' },
+  { key: 'stt.whisperCpp.bin', env: 'STT_WHISPER_CPP_BIN', type: 'string', default: 'whisper-cli' },
+  { key: 'stt.whisperCpp.model', env: 'STT_WHISPER_CPP_MODEL', type: 'path', default: null }, // ggml model
+  { key: 'stt.whisperCpp.ffmpeg', env: 'FFMPEG_BIN', type: 'string', default: 'ffmpeg' },
+  // Largest recording /api/transcribe and /api/notes accept (WAV is ~5MB a minute)
+  { key: 'stt.maxUploadMb', env: 'STT_MAX_UPLOAD_MB', type: 'int', default: 100, min: 1 },
+
+  { key: 'video.provider', env: 'VIDEO_PROVIDER', type: 'string', default: 'fal', values: ['fal', 'command'] },
+  { key: 'video.apiKey', env: 'FAL_KEY', type: 'string', secret: true, default: c => loadAuthKey(c, 'fal') },
+  { key: 'video.command', env: 'VIDEO_COMMAND', type: 'string', default: null }, // script for the 'command' provider
+  { key: 'video.concurrency', env: 'VIDEO_CONCURRENCY', type: 'int', default: 1, min: 1 },
+
+  // Long recordings: local speaker diarization script (gets a 16kHz mono WAV path,
+  // prints [{ start, end, speaker }] - e.g. a pyannote.audio wrapper)
+  { key: 'meetings.diarizeCommand', env: 'MEETING_DIARIZE_COMMAND', type: 'string', default: null,
+    ifMissing: 'meeting transcripts have no speaker labels' },
+
+  // Semantic search - an OpenAI-compatible /embeddings endpoint on this machine
+  // (Ollama, llama.cpp server, LM Studio: e.g. http://localhost:11434/v1)
+  { key: 'search.embeddingsUrl', env: 'SEARCH_EMBEDDINGS_URL', type: 'url', default: null,
+    ifMissing: 'search matches keywords only (no semantic matches)' },
+  { key: 'search.embeddingsModel', env: 'SEARCH_EMBEDDINGS_MODEL', type: 'string', default: 'nomic-embed-text' },
+
+  // Portal login - the server won't start without a passphrase unless
+  // SPARK_AUTH=off says to run it open
+  { key: 'auth.required', env: 'SPARK_AUTH', type: 'bool', default: true },
+  { key: 'auth.passphrase', env: 'SPARK_PASSPHRASE', type: 'string', secret: true, default: null },
+  { key: 'auth.totpSecret', env: 'SPARK_TOTP_SECRET', type: 'string', secret: true, default: null,
+    check: v => /^[A-Z2-7=\s-]+$/i.test(v) ? null : 'expected a base32 secret' },
+  { key: 'auth.sessionSecret', env: 'SPARK_SESSION_SECRET', type: 'string', secret: true, default: null },
+  { key: 'auth.sessionDays', env: 'SPARK_SESSION_DAYS', type: 'int', default: 30, min: 1 },
+
+  { key: 'avatar.type', env: 'AVATAR_TYPE', type: 'string', default: 'robot', values: ['robot', 'talkinghead', 'custom'] },
+  { key: 'avatar.model', env: 'AVATAR_MODEL', type: 'string', default: null },
+];
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+let cached = null;
+
+/**
+ * Build (once) and return the validated config
+ * @returns {Object} - Config object; config.problems lists errors/warnings
+ */
+export function loadConfig() {
+  if (cached) return cached;
+
+  const problems = [];
+  const sources = new Map(); // key -> env | file | default | unset
+  const file = readConfigFile(problems);
+  const config = {
+    llm: { provider: 'clawdbot' }, // Route through Clawdbot gateway
+    features: {
+      interruptible: true,
+      streamAudio: true,
+      saveHistory: false,
+    },
+  };
+
+  for (const entry of SCHEMA) {
+    const fromEnv = process.env[entry.env];
+    const fromFile = getPath(file.values, entry.key);
+    let value = null;
+    let source = 'default';
+
+    if (fromEnv !== undefined && fromEnv !== '') {
+      value = coerce(entry, fromEnv, problems);
+      source = 'env';
+    } else if (fromFile !== undefined && fromFile !== null) {
+      value = coerce(entry, fromFile, problems, file.name);
+      source = 'file';
+    }
+    if (value === null) {
+      value = typeof entry.default === 'function' ? entry.default(config) : entry.default;
+      source = 'default';
+    }
+
+    const problem = (level, message) => problems.push({ level, key: entry.key, env: entry.env, message });
+    if (value !== null && entry.check) {
+      const message = entry.check(value);
+      if (message) problem('error', message);
+    }
+    if (value !== null && entry.exists) {
+      const message = checkExists(entry.exists, value);
+      if (message) problem('warning', message);
+    }
+    if ((value === null || value === '') && entry.ifMissing) {
+      problem('warning', `not set - ${entry.ifMissing}`);
+    }
+
+    setPath(config, entry.key, value);
+    sources.set(entry.key, value === null ? 'unset' : source);
   }
-  return null;
+
+  if (!config.auth.passphrase) {
+    problems.push(config.auth.required
+      ? { level: 'error', key: 'auth.passphrase', env: 'SPARK_PASSPHRASE', message: 'not set - set a passphrase, or SPARK_AUTH=off to run without login' }
+      : { level: 'warning', key: 'auth.required', env: 'SPARK_AUTH', message: 'off - anyone who can reach the port gets in' });
+  }
+
+  // Not settings themselves - kept out of JSON.stringify(config)
+  Object.defineProperty(config, 'problems', { value: problems, enumerable: false });
+  Object.defineProperty(config, 'sources', { value: sources, enumerable: false });
+  Object.defineProperty(config, 'file', { value: file.name, enumerable: false });
+  cached = config;
+  return config;
+}
+
+function readConfigFile(problems) {
+  const path = resolve(process.env.SPARK_CONFIG || join(ROOT, 'spark.config.json'));
+  if (!existsSync(path)) {
+    if (process.env.SPARK_CONFIG) problems.push({ level: 'error', key: 'SPARK_CONFIG', message: `${path} does not exist` });
+    return { name: null, values: {} };
+  }
+  try {
+    return { name: path, values: JSON.parse(readFileSync(path, 'utf8')) || {} };
+  } catch (e) {
+    problems.push({ level: 'error', key: 'SPARK_CONFIG', message: `${path} is not valid JSON: ${e.message}` });
+    return { name: path, values: {} };
+  }
+}
+
+// Env values are strings; file values should already have the right type
+function coerce(entry, raw, problems, fileName = null) {
+  const fail = (expected) => {
+    const message = `${fileName ? `${fileName}: ` : ''}expected ${expected}, got ${JSON.stringify(raw)}`;
+    problems.push({ level: 'error', key: entry.key, env: entry.env, message });
+    return null;
+  };
+
+  let value = raw;
+  switch (entry.type) {
+    case 'int':
+      value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) return fail('an integer');
+      if (entry.min !== undefined && value < entry.min) return fail(`an integer >= ${entry.min}`);
+      break;
+    case 'bool':
+      if (typeof raw !== 'boolean') {
+        const text = String(raw).trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(text)) value = true;
+        else if (['false', '0', 'no', 'off'].includes(text)) value = false;
+        else return fail('true or false');
+      }
+      break;
+    case 'url':
+      try {
+        new URL(raw);
+      } catch {
+        return fail('a URL');
+      }
+      break;
+    case 'path':
+      if (typeof raw !== 'string') return fail('a path');
+      value = resolve(ROOT, raw.replace(/^~(?=\/|$)/, homedir()));
+      break;
+    default:
+      if (typeof raw !== 'string') return fail('a string');
+  }
+
+  if (entry.values && !entry.values.includes(value)) return fail(`one of ${entry.values.join(', ')}`);
+  return value;
+}
+
+function getPath(obj, key) {
+  return key.split('.').reduce((o, part) => (o && typeof o === 'object' ? o[part] : undefined), obj);
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let target = obj;
+  for (const part of parts) target = target[part] ??= {};
+  target[last] = value;
+}
+
+// ============================================================================
+// CLAWDBOT INSTALL - defaults for tokens and API keys
+// ============================================================================
+
+function readJson(path) {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function clawdbotJson(config) {
+  return readJson(join(config.clawdbot.home, 'clawdbot.json'));
+}
+
+function openclawJson(config) {
+  return readJson(join(config.openclawHome, 'openclaw.json'));
 }
 
 // Helper to load key from clawdbot auth
-function loadAuthKey(provider) {
+function loadAuthKey(config, provider) {
   // Try auth-profiles.json first (clawdbot standard)
-  const profilesPath = '/home/heisenberg/.clawdbot/agents/main/agent/auth-profiles.json';
-  if (existsSync(profilesPath)) {
-    try {
-      const data = JSON.parse(readFileSync(profilesPath, 'utf8'));
-      // Find a profile for this provider
-      for (const [id, profile] of Object.entries(data.profiles || {})) {
-        if (profile.provider === provider && profile.token) {
-          return profile.token;
-        }
-      }
-    } catch {}
+  const data = readJson(join(config.clawdbot.home, 'agents/main/agent/auth-profiles.json'));
+  for (const profile of Object.values(data?.profiles || {})) {
+    if (profile.provider === provider && profile.token) {
+      return profile.token;
+    }
   }
-  
+
   // Fallback to simple key file
-  const keyPath = `/home/heisenberg/.clawdbot/auth/${provider}.key`;
+  const keyPath = join(config.clawdbot.home, 'auth', `${provider}.key`);
   if (existsSync(keyPath)) {
     return readFileSync(keyPath, 'utf8').trim();
   }
-  
+
   return null;
 }
 
-export function loadConfig() {
-  return {
-    port: parseInt(process.env.PORT || '3456'),
-    
-    llm: {
-      provider: 'clawdbot',  // Route through Clawdbot gateway
-      gatewayUrl: process.env.GATEWAY_URL || 'http://localhost:18789',
-      gatewayToken: process.env.GATEWAY_TOKEN || loadGatewayToken(),
-    },
-    
-    tts: {
-      provider: process.env.TTS_PROVIDER || 'elevenlabs',
-      apiKey: process.env.ELEVENLABS_API_KEY || loadAuthKey('elevenlabs'),
-      voiceId: process.env.TTS_VOICE_ID || 'pNInz6obpgDQGcFmaJgB', // Adam
-      model: process.env.TTS_MODEL || 'eleven_turbo_v2_5',
-    },
-    
-    elevenlabs: {
-      agentId: process.env.ELEVENLABS_AGENT_ID || null,
-    },
-    
-    stt: {
-      provider: process.env.STT_PROVIDER || 'browser', // browser | deepgram | whisper
-      apiKey: process.env.DEEPGRAM_API_KEY || loadAuthKey('deepgram'),
-    },
-    
-    avatar: {
-      type: process.env.AVATAR_TYPE || 'robot', // robot | talkinghead | custom
-      model: process.env.AVATAR_MODEL || null,
-    },
-    
-    features: {
-      interruptible: true,
-      streamAudio: true,
-      saveHistory: false,
-    },
-  };
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+function systemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function checkTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return null;
+  } catch {
+    return `unknown timezone "${value}"`;
+  }
+}
+
+function checkExists(kind, path) {
+  switch (kind) {
+    case 'dir':
+      return existsSync(path) && statSync(path).isDirectory() ? null : `${path} is not a directory`;
+    case 'file':
+      return existsSync(path) ? null : `${path} does not exist`;
+    case 'bin':
+      if (isAbsolute(path)) return existsSync(path) ? null : `${path} does not exist`;
+      return findOnPath(path) ? null : `${path} not found on PATH`;
+  }
+  return null;
+}
+
+function findOnPath(name) {
+  return (process.env.PATH || '').split(delimiter)
+    .map(dir => join(dir, name))
+    .find(p => existsSync(p)) || null;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Print config problems (and with verbose, every value)
+ * @param {Object} config - From loadConfig()
+ * @param {Object} options - { verbose }
+ * @returns {boolean} - true when there are no errors
+ */
+export function reportConfig(config, { verbose = false } = {}) {
+  const errors = config.problems.filter(p => p.level === 'error');
+  const warnings = config.problems.filter(p => p.level === 'warning');
+
+  console.log(`⚙️ Config: ${config.file ? `${config.file} + env` : 'env + defaults (no config file)'}`);
+
+  if (verbose) {
+    const width = Math.max(...SCHEMA.map(e => e.key.length));
+    for (const entry of SCHEMA) {
+      const value = getPath(config, entry.key);
+      const shown = value === null ? '-' : entry.secret ? '••••••' : JSON.stringify(value);
+      console.log(`   ${entry.key.padEnd(width)}  ${shown}  (${config.sources.get(entry.key)}, ${entry.env})`);
+    }
+  }
+
+  for (const p of errors) console.error(`   ❌ ${p.env ? `${p.env} (${p.key})` : p.key}: ${p.message}`);
+  for (const p of warnings) console.warn(`   ⚠️ ${p.env ? `${p.env} (${p.key})` : p.key}: ${p.message}`);
+  if (errors.length === 0 && (verbose || warnings.length === 0)) {
+    console.log(`   ✅ ${SCHEMA.length} settings loaded${warnings.length ? `, ${warnings.length} warning(s)` : ''}`);
+  }
+  return errors.length === 0;
 }
 
 function getDefaultSystemPrompt() {
@@ -6,87 +6,33 @@
  */
 
 import WebSocket from 'ws';
-import { readFileSync, existsSync, appendFileSync } from 'fs';
-import { join } from 'path';
+import { transcriptIndex } from './transcripts.js';
+import { mainSession } from './session-locator.js';
+import { transcriptWriter, SOURCES } from './transcript-writer.js';
+import { loadConfig } from './config.js';
+
+const config = loadConfig();
 
 // ElevenLabs Conversational AI WebSocket endpoint
 const ELEVENLABS_WS_URL = 'wss://api.elevenlabs.io/v1/convai/conversation';
 
-// Session config for OpenClaw sync
-const SESSIONS_DIR = '/home/heisenberg/.clawdbot/agents/main/sessions';
-const MAIN_SESSION_ID = 'd0bddcfd-ba66-479f-8f30-5cc187be5e61';
-const MAIN_SESSION_PATH = join(SESSIONS_DIR, `${MAIN_SESSION_ID}.jsonl`);
-
 // OpenClaw API endpoint for tool calls
-const OPENCLAW_API_URL = 'http://localhost:18789';
-const OPENCLAW_HOOK_TOKEN = 'spark-portal-hook-token-2026';
-
-/**
- * Get ElevenLabs API key from OpenClaw config or environment
- */
-function getElevenLabsApiKey() {
-  // Try environment first
-  if (process.env.ELEVENLABS_API_KEY) {
-    return process.env.ELEVENLABS_API_KEY;
-  }
-  
-  // Try OpenClaw config
-  const configPath = '/home/heisenberg/.openclaw/openclaw.json';
-  if (existsSync(configPath)) {
-    try {
-      const config = JSON.parse(readFileSync(configPath, 'utf8'));
-      return config.messages?.tts?.elevenlabs?.apiKey;
-    } catch (e) {
-      console.error('Failed to read OpenClaw config:', e.message);
-    }
-  }
-  
-  return null;
-}
+const OPENCLAW_API_URL = config.llm.gatewayUrl;
+const OPENCLAW_HOOK_TOKEN = config.clawdbot.hookToken;
 
 /**
  * Load recent conversation context for agent awareness
  */
-function loadConversationContext(limit = 5) {
+async function loadConversationContext(limit = 5) {
   try {
-    if (!existsSync(MAIN_SESSION_PATH)) return '';
-    
-    const content = readFileSync(MAIN_SESSION_PATH, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-    
     const messages = [];
-    for (const line of lines.slice(-limit * 3)) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === 'message' && entry.message) {
-          const msg = entry.message;
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            let text = '';
-            if (typeof msg.content === 'string') {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              const textPart = msg.content.find(c => c.type === 'text');
-              text = textPart?.text || '';
-            }
-            
-            // Skip system messages and heartbeats
-            if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-            if (text.includes('[Cron') || text.includes('systemEvent')) continue;
-            if (text.includes('[Spark Voice]')) continue; // Skip previous voice messages
-            
-            // Clean markers
-            text = text
-              .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-              .replace(/^\[Spark[^\]]*\]\s*/g, '')
-              .replace(/\n?\[message_id:[^\]]+\]/g, '')
-              .trim();
-            
-            if (text && text.length < 300) {
-              messages.push(`${msg.role === 'user' ? 'User' : 'You'}: ${text}`);
-            }
-          }
-        }
-      } catch {}
+    for (const msg of await transcriptIndex.messages(mainSession.sessionId, { limit: limit * 3 })) {
+      // Skip system messages and heartbeats
+      if (!msg.text || msg.isSystem) continue;
+      if (msg.sourceTag === 'Spark Voice') continue; // Skip previous voice messages
+      if (msg.text.length < 300) {
+        messages.push(`${msg.role === 'user' ? 'User' : 'You'}: ${msg.text}`);
+      }
     }
     
     return messages.slice(-limit).join('\n');
@@ -100,21 +46,7 @@ function loadConversationContext(limit = 5) {
  * Append conversation to OpenClaw main session for WhatsApp sync
  */
 function appendToSession(role, content) {
-  try {
-    const entry = {
-      type: 'message',
-      id: Math.random().toString(36).slice(2, 10),
-      timestamp: new Date().toISOString(),
-      message: {
-        role,
-        content: [{ type: 'text', text: `[Spark Voice] ${content}` }],
-        timestamp: Date.now()
-      }
-    };
-    appendFileSync(MAIN_SESSION_PATH, JSON.stringify(entry) + '\n');
-  } catch (e) {
-    console.error('Failed to append to session:', e.message);
-  }
+  return transcriptWriter.append(role, content, SOURCES.voice);
 }
 
 /**
@@ -134,7 +66,7 @@ async function executeToolCall(toolName, args) {
         'Authorization': `Bearer ${OPENCLAW_HOOK_TOKEN}`
       },
       body: JSON.stringify({
-        sessionKey: 'agent:main:main',
+        sessionKey: config.clawdbot.mainSessionKey,
         message: query,
         thinking: 'low'
       })
@@ -158,23 +90,22 @@ async function executeToolCall(toolName, args) {
 /**
  * Handle ElevenLabs Conversational AI session
  * @param {WebSocket} clientWs - WebSocket connection from browser
- * @param {Object} config - Configuration object with agent settings
  */
-export function handleElevenLabsSession(clientWs, config = {}) {
-  const apiKey = getElevenLabsApiKey();
+export function handleElevenLabsSession(clientWs) {
+  const apiKey = config.tts.apiKey;
   if (!apiKey) {
     clientWs.send(JSON.stringify({ 
       type: 'error', 
-      message: 'ElevenLabs API key not configured. Check ~/.openclaw/openclaw.json or ELEVENLABS_API_KEY env var' 
+      message: 'ElevenLabs API key not configured. Set ELEVENLABS_API_KEY (or tts.apiKey in spark.config.json)' 
     }));
     return;
   }
 
-  const agentId = config.elevenlabs?.agentId || process.env.ELEVENLABS_AGENT_ID;
+  const agentId = config.elevenlabs.agentId;
   if (!agentId) {
     clientWs.send(JSON.stringify({ 
       type: 'error', 
-      message: 'ElevenLabs agent_id not configured. Set config.elevenlabs.agentId or ELEVENLABS_AGENT_ID env var' 
+      message: 'ElevenLabs agent_id not configured. Set ELEVENLABS_AGENT_ID (or elevenlabs.agentId in spark.config.json)' 
     }));
     return;
   }
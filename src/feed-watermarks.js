@@ -0,0 +1,71 @@
+/**
+ * Feed Watermarks - per-user "cleared at" markers for the unified chat feed
+ *
+ * The feed is built from Clawdbot's shared transcripts, which Spark must
+ * never rewrite. Clearing the chat records a timestamp instead: the feed
+ * hides anything at or before it, while the transcripts stay browsable via
+ * /api/sessions. Each clear pushes the previous watermark onto an undo stack.
+ *
+ * Storage (under config.dataDir):
+ * - feed-watermarks.json: { [userId]: { clearedAt, undo: [previous, ...] } }
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+// Undo depth per user
+const MAX_UNDO = 20;
+
+export class FeedWatermarks {
+  constructor(config) {
+    this.dataDir = config.dataDir;
+    this.path = join(this.dataDir, 'feed-watermarks.json');
+    this.users = this.load();
+  }
+
+  load() {
+    if (!existsSync(this.path)) return {};
+    try {
+      return JSON.parse(readFileSync(this.path, 'utf8')) || {};
+    } catch (e) {
+      console.error('Failed to read feed watermarks:', e.message);
+      return {};
+    }
+  }
+
+  save() {
+    if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+    writeFileSync(this.path, JSON.stringify(this.users, null, 2));
+  }
+
+  // Timestamp the user's feed starts after (0 = never cleared)
+  clearedAt(userId) {
+    return Object.hasOwn(this.users, userId) ? this.users[userId].clearedAt : 0;
+  }
+
+  /**
+   * Hide everything up to now from the user's feed
+   * @returns {{clearedAt: number, canUndo: boolean}}
+   */
+  clear(userId) {
+    const state = Object.hasOwn(this.users, userId) ? this.users[userId] : { clearedAt: 0, undo: [] };
+    state.undo = [...state.undo, state.clearedAt].slice(-MAX_UNDO);
+    state.clearedAt = Date.now();
+    this.users[userId] = state;
+    this.save();
+    return { clearedAt: state.clearedAt, canUndo: true };
+  }
+
+  /**
+   * Restore the watermark from before the last clear
+   * @returns {{clearedAt: number, canUndo: boolean} | null} - null if nothing to undo
+   */
+  undo(userId) {
+    const state = Object.hasOwn(this.users, userId) ? this.users[userId] : null;
+    if (!state?.undo.length) return null;
+
+    state.clearedAt = state.undo.pop();
+    this.save();
+    return { clearedAt: state.clearedAt, canUndo: state.undo.length > 0 };
+  }
+}
@@ -13,80 +13,29 @@
  */
 
 import WebSocket from 'ws';
-import { readFileSync, existsSync, appendFileSync } from 'fs';
-import { join } from 'path';
+import { transcriptIndex } from './transcripts.js';
+import { mainSession } from './session-locator.js';
+import { transcriptWriter, SOURCES } from './transcript-writer.js';
+import { loadConfig } from './config.js';
+
+const config = loadConfig();
 
 // OpenAI Realtime API endpoint
 const REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
 
 // Gateway for Claude processing
-const GATEWAY_URL = 'http://localhost:18789';
-
-// Session config
-const SESSIONS_DIR = '/home/heisenberg/.clawdbot/agents/main/sessions';
-const MAIN_SESSION_ID = 'd0bddcfd-ba66-479f-8f30-5cc187be5e61';
-const MAIN_SESSION_PATH = join(SESSIONS_DIR, `${MAIN_SESSION_ID}.jsonl`);
-
-// Get API keys
-function getOpenAIKey() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-    return cfg.skills?.entries?.['openai-whisper-api']?.apiKey;
-  }
-  return null;
-}
-
-function getGatewayToken() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    try {
-      const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-      return cfg.gateway?.auth?.token;
-    } catch {}
-  }
-  return null;
-}
+const GATEWAY_URL = config.llm.gatewayUrl;
 
 // Load recent conversation context for Claude
-function loadConversationContext(limit = 10) {
+async function loadConversationContext(limit = 10) {
   try {
-    if (!existsSync(MAIN_SESSION_PATH)) return [];
-    
-    const content = readFileSync(MAIN_SESSION_PATH, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-    
     const messages = [];
-    for (const line of lines.slice(-limit * 2)) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === 'message' && entry.message) {
-          const msg = entry.message;
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            let text = '';
-            if (typeof msg.content === 'string') {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              const textPart = msg.content.find(c => c.type === 'text');
-              text = textPart?.text || '';
-            }
-            
-            // Skip system messages
-            if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-            
-            // Clean markers
-            text = text
-              .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-              .replace(/^\[Spark[^\]]*\]\s*/g, '')
-              .replace(/\n?\[message_id:[^\]]+\]/g, '')
-              .trim();
-            
-            if (text && text.length < 1000) {
-              messages.push({ role: msg.role, content: text });
-            }
-          }
-        }
-      } catch {}
+    for (const msg of await transcriptIndex.messages(mainSession.sessionId, { limit: limit * 2 })) {
+      // Skip system messages
+      if (!msg.text || msg.isSystem) continue;
+      if (msg.text.length < 1000) {
+        messages.push({ role: msg.role, content: msg.text });
+      }
     }
     
     return messages.slice(-limit);
@@ -98,41 +47,27 @@ function loadConversationContext(limit = 10) {
 
 // Append to session for continuity
 function appendToSession(role, content) {
-  try {
-    const entry = {
-      type: 'message',
-      id: Math.random().toString(36).slice(2, 10),
-      timestamp: new Date().toISOString(),
-      message: {
-        role,
-        content: [{ type: 'text', text: `[Spark Voice Realtime] ${content}` }],
-        timestamp: Date.now()
-      }
-    };
-    appendFileSync(MAIN_SESSION_PATH, JSON.stringify(entry) + '\n');
-  } catch (e) {
-    console.error('Failed to append to session:', e.message);
-  }
+  return transcriptWriter.append(role, content, SOURCES.voiceRealtime);
 }
 
 // Send to Claude via Gateway for processing
 async function processWithClaude(userMessage) {
-  const gatewayToken = getGatewayToken();
+  const gatewayToken = config.llm.gatewayToken;
   if (!gatewayToken) throw new Error('Gateway token not found');
   
-  const history = loadConversationContext(10);
+  const history = await loadConversationContext(10);
   
   const systemPrompt = `You are Spark, a voice assistant for Parth.
 
-Current timezone: Asia/Singapore (SGT, UTC+8)
-Current time: ${new Date().toLocaleString('en-SG', { timeZone: 'Asia/Singapore' })}
+Current timezone: ${config.timezone}
+Current time: ${new Date().toLocaleString(config.locale, { timeZone: config.timezone })}
 
 Voice response guidelines:
 - Be concise (under 100 words typically)
 - No markdown formatting - speak naturally
 - No bullet points or numbered lists
 - Be conversational and helpful
-- If asked about time/schedule, use Singapore timezone
+- If asked about time/schedule, use the ${config.timezone} timezone
 
 You have full access to Parth's context, calendar, emails, and tools through the main Clawdbot system.`;
 
@@ -196,7 +131,7 @@ async function generateTTS(text, apiKey) {
  * @param {WebSocket} clientWs - WebSocket connection from browser
  */
 export function handleHybridRealtimeSession(clientWs) {
-  const apiKey = getOpenAIKey();
+  const apiKey = config.stt.whisperApiKey;
   if (!apiKey) {
     clientWs.send(JSON.stringify({ type: 'error', message: 'OpenAI API key not configured' }));
     return;
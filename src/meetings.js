@@ -0,0 +1,386 @@
+/**
+ * Meetings - long recordings uploaded in chunks while they're being made
+ *
+ * The recorder (MediaRecorder with a timeslice) sends the numbered chunks of
+ * one continuous stream; appended in order they form a playable file, so
+ * reassembly is appending. Retried chunks that already arrived are dropped,
+ * and chunks that arrive ahead of a gap wait in chunks/ until it's filled.
+ * A client resumes from the meeting's nextChunk.
+ *
+ * While recording, every full minute of audio is cut out with ffmpeg and
+ * transcribed, so finishing an hour-long meeting leaves one minute to do.
+ * Without ffmpeg the whole recording is transcribed when it's finished.
+ *
+ * On finish the rest is transcribed, speakers are diarized by a local model
+ * (providers/diarization.js) and matched to the transcript segments, and the
+ * recording moves into the notes library as a 'meeting' note - which writes
+ * the summary, with action items per speaker.
+ *
+ * Meetings move recording → finishing → done | error (finish again to retry).
+ * Meetings that were finishing when the server stopped are finished on resume().
+ *
+ * Storage (under config.dataDir):
+ * - meetings.json:             { [id]: meeting }
+ * - meetings/<id>/audio.<ext>: the reassembled recording (moves to notesDir when done)
+ * - meetings/<id>/chunks/<n>:  chunks that arrived ahead of a gap
+ */
+
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync, rmSync, unlinkSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { spawn } from 'child_process';
+import { join } from 'path';
+
+const WINDOW_MS = 60 * 1000;      // Audio transcribed at a time while recording
+export const MAX_CHUNKS_AHEAD = 100; // Out-of-order chunks held back per meeting
+const MAX_FINISHED_MEETINGS = 100;
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' };
+
+export class MeetingRecorder {
+  /**
+   * @param {Object} config - App config (uses dataDir, stt.whisperCpp.ffmpeg)
+   * @param {Object} options - { stt: STTProvider, diarizer: DiarizationProvider, notes: NotesLibrary, onUpdate(meeting, note?) }
+   */
+  constructor(config, { stt, diarizer, notes, onUpdate = () => {} }) {
+    this.dataDir = config.dataDir;
+    this.dir = join(this.dataDir, 'meetings');
+    this.path = join(this.dataDir, 'meetings.json');
+    this.ffmpeg = config.stt?.whisperCpp?.ffmpeg || 'ffmpeg';
+    this.stt = stt;
+    this.diarizer = diarizer;
+    this.notes = notes;
+    this.onUpdate = onUpdate;
+    this.work = new Map(); // id -> tail of the meeting's transcription/finishing chain
+    this.meetings = this.load();
+  }
+
+  load() {
+    if (!existsSync(this.path)) return {};
+    try {
+      return JSON.parse(readFileSync(this.path, 'utf8')) || {};
+    } catch (e) {
+      console.error('Failed to read meetings:', e.message);
+      return {};
+    }
+  }
+
+  save() {
+    if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+
+    // Trim old finished meetings (their notes live on in the library)
+    const finished = Object.values(this.meetings)
+      .filter(m => m.status === 'done')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const meeting of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_MEETINGS))) {
+      delete this.meetings[meeting.id];
+    }
+
+    writeFileSync(this.path, JSON.stringify(this.meetings, null, 2));
+  }
+
+  // Finish meetings interrupted by a restart
+  resume() {
+    for (const meeting of Object.values(this.meetings)) {
+      if (meeting.status === 'finishing') this.enqueue(meeting, () => this.finalize(meeting));
+    }
+  }
+
+  get(id) {
+    return Object.hasOwn(this.meetings, id) ? this.meetings[id] : null;
+  }
+
+  meetingDir(meeting) {
+    return join(this.dir, meeting.id);
+  }
+
+  audioPath(meeting) {
+    return join(this.meetingDir(meeting), `audio.${EXTENSIONS[meeting.mimetype] || 'webm'}`);
+  }
+
+  /**
+   * @param {Object} options - { mimetype } of the recorder's stream
+   */
+  start({ mimetype = 'audio/webm' } = {}) {
+    let createdAt = Date.now();
+    while (this.meetings[`meeting_${createdAt}`]) createdAt++;
+
+    const meeting = {
+      id: `meeting_${createdAt}`,
+      status: 'recording',
+      mimetype: mimetype.split(';')[0].trim(),
+      createdAt,
+      nextChunk: 0,      // Chunks 0..nextChunk-1 are in the audio file
+      waiting: {},       // index -> recordedMs, for chunks that arrived ahead of a gap
+      bytes: 0,
+      recordedMs: 0,     // Recording time covered by the audio file
+      transcribedMs: 0,
+      incremental: true, // false once ffmpeg turned out to be missing
+      segments: [],      // { start, end, text, speaker } in seconds
+      chunks: null,      // Chunk count, once finished
+      durationMs: null,
+      noteId: null,
+      error: null,
+    };
+    mkdirSync(join(this.meetingDir(meeting), 'chunks'), { recursive: true });
+    this.meetings[meeting.id] = meeting;
+    this.save();
+    console.log(`🎙️ Meeting ${meeting.id} started (${meeting.mimetype})`);
+    return meeting;
+  }
+
+  /**
+   * Store chunk `index` of a recording (the caller checks it's recording
+   * and index is at most MAX_CHUNKS_AHEAD past nextChunk)
+   * @param {Buffer} data
+   * @param {number} recordedMs - Recording time at the end of this chunk
+   */
+  addChunk(meeting, index, data, recordedMs) {
+    if (index < meeting.nextChunk || Object.hasOwn(meeting.waiting, index)) return meeting; // Retry of a chunk we have
+
+    if (index > meeting.nextChunk) {
+      writeFileSync(join(this.meetingDir(meeting), 'chunks', String(index)), data);
+      meeting.waiting[index] = recordedMs;
+    } else {
+      this.append(meeting, data, recordedMs);
+      // Whatever was waiting for this one can follow
+      while (Object.hasOwn(meeting.waiting, meeting.nextChunk)) {
+        const path = join(this.meetingDir(meeting), 'chunks', String(meeting.nextChunk));
+        const ms = meeting.waiting[meeting.nextChunk];
+        delete meeting.waiting[meeting.nextChunk];
+        this.append(meeting, readFileSync(path), ms);
+        unlinkSync(path);
+      }
+    }
+    this.save();
+
+    if (meeting.incremental && meeting.recordedMs - meeting.transcribedMs >= WINDOW_MS) {
+      this.enqueue(meeting, () => this.transcribeWindows(meeting));
+    }
+    return meeting;
+  }
+
+  append(meeting, data, recordedMs) {
+    appendFileSync(this.audioPath(meeting), data);
+    meeting.nextChunk++;
+    meeting.bytes += data.length;
+    meeting.recordedMs = Math.max(meeting.recordedMs, Number(recordedMs) || 0);
+  }
+
+  /**
+   * The recording is over - transcribe the rest, diarize and summarize in the background
+   * (the caller checks all `chunks` have arrived). Finishing a failed meeting retries it.
+   * @param {Object} options - { chunks: how many were recorded, durationMs }
+   * @returns {Object} - The meeting (status 'finishing')
+   */
+  finish(meeting, { chunks = null, durationMs = null } = {}) {
+    if (meeting.status === 'finishing' || meeting.status === 'done') return meeting;
+    if (meeting.status === 'recording') {
+      meeting.chunks = chunks ?? meeting.nextChunk;
+      meeting.durationMs = durationMs || meeting.recordedMs;
+    }
+
+    meeting.status = 'finishing';
+    meeting.error = null;
+    this.save();
+    this.enqueue(meeting, () => this.finalize(meeting));
+    return meeting;
+  }
+
+  // Discard a recording (not while it's finishing)
+  remove(meeting) {
+    rmSync(this.meetingDir(meeting), { recursive: true, force: true });
+    delete this.meetings[meeting.id];
+    this.save();
+  }
+
+  // Transcription and finishing run one at a time per meeting, in order
+  enqueue(meeting, task) {
+    const run = (this.work.get(meeting.id) || Promise.resolve()).then(task).catch((e) => {
+      console.error(`🎙️ Meeting ${meeting.id}:`, e.message);
+    });
+    this.work.set(meeting.id, run);
+    run.then(() => {
+      if (this.work.get(meeting.id) === run) this.work.delete(meeting.id);
+    });
+    return run;
+  }
+
+  /**
+   * Transcribe full windows of new audio (final: everything that's left)
+   * A failing window is left for the next chunk or the finish to retry.
+   */
+  async transcribeWindows(meeting, { final = false } = {}) {
+    while (meeting.incremental) {
+      const remaining = meeting.recordedMs - meeting.transcribedMs;
+      if (remaining <= 0 || (!final && remaining < WINDOW_MS)) return;
+
+      const from = meeting.transcribedMs;
+      const to = final ? meeting.recordedMs : from + WINDOW_MS;
+      let wav;
+      try {
+        wav = await this.extractWav(meeting, from, to);
+      } catch (e) {
+        console.warn(`🎙️ Meeting ${meeting.id}: can't cut audio (${e.message}) - transcribing it all at the end`);
+        meeting.incremental = false;
+        this.save();
+        return;
+      }
+
+      const result = await this.stt.transcribe(wav, { mimetype: 'audio/wav', filename: 'window.wav' });
+      meeting.segments.push(...offsetSegments(result, from / 1000, (to - from) / 1000));
+      meeting.transcribedMs = to;
+      this.save();
+      this.onUpdate(meeting);
+    }
+  }
+
+  async finalize(meeting) {
+    try {
+      if (meeting.incremental) {
+        await this.transcribeWindows(meeting, { final: true });
+      }
+      if (!meeting.incremental) {
+        // Whole recording at once (no ffmpeg to cut it)
+        const audio = await readFile(this.audioPath(meeting));
+        const result = await this.stt.transcribe(audio, { mimetype: meeting.mimetype, filename: 'meeting.webm' });
+        meeting.segments = offsetSegments(result, 0, meeting.recordedMs / 1000);
+        meeting.transcribedMs = meeting.recordedMs;
+      }
+      if (!meeting.segments.some(s => s.text)) throw new Error('Nothing was transcribed');
+
+      const speakers = await this.labelSpeakers(meeting);
+
+      const note = this.notes.adopt(this.audioPath(meeting), {
+        createdAt: meeting.createdAt,
+        mimetype: meeting.mimetype,
+        duration: Math.round(meeting.durationMs / 1000),
+        kind: 'meeting',
+        transcript: transcriptText(meeting.segments),
+        speakers,
+        segments: meeting.segments,
+      });
+      rmSync(this.meetingDir(meeting), { recursive: true, force: true });
+      Object.assign(meeting, { status: 'done', noteId: note.id, segments: [] }); // The note has them now
+      this.save();
+      console.log(`🎙️ Meeting ${meeting.id} → ${note.id} (${speakers.length || 'no'} speakers)`);
+
+      await this.notes.process(note.id);
+      this.onUpdate(meeting, note);
+    } catch (e) {
+      console.error(`🎙️ Meeting ${meeting.id} failed:`, e.message);
+      Object.assign(meeting, { status: 'error', error: e.message });
+      this.save();
+      this.onUpdate(meeting);
+    }
+  }
+
+  // Diarize the whole recording and label each segment; [] if there's no diarizer or it fails
+  async labelSpeakers(meeting) {
+    if (!this.diarizer.enabled) return [];
+
+    const wavPath = join(this.meetingDir(meeting), 'diarize.wav');
+    try {
+      await runFfmpeg(this.ffmpeg, ['-y', '-i', this.audioPath(meeting), '-ar', '16000', '-ac', '1', wavPath]);
+      const turns = await this.diarizer.diarize(wavPath);
+      return assignSpeakers(meeting.segments, turns);
+    } catch (e) {
+      console.warn(`🎙️ Meeting ${meeting.id}: diarization failed (${e.message}) - no speaker labels`);
+      return [];
+    } finally {
+      rmSync(wavPath, { force: true });
+    }
+  }
+
+  // 16kHz mono WAV of [fromMs, toMs) of the recording so far
+  extractWav(meeting, fromMs, toMs) {
+    return runFfmpeg(this.ffmpeg, [
+      '-v', 'error',
+      '-ss', String(fromMs / 1000),
+      '-t', String((toMs - fromMs) / 1000),
+      '-i', this.audioPath(meeting),
+      '-ar', '16000', '-ac', '1', '-f', 'wav', 'pipe:1',
+    ]);
+  }
+}
+
+// What clients see - the transcript so far is only sent when asked for
+export function publicMeeting(meeting, { segments = false } = {}) {
+  const { waiting, segments: all, ...rest } = meeting;
+  return {
+    ...rest,
+    latest: all[all.length - 1]?.text || null,
+    ...(segments ? { segments: all } : {}),
+  };
+}
+
+// STT segments of a window, moved to recording time (one segment if the provider gave none)
+function offsetSegments(result, offset, length) {
+  const segments = result.segments?.length
+    ? result.segments
+    : [{ start: 0, end: result.duration ?? length, text: result.text || '' }];
+  return segments
+    .filter(s => s.text?.trim())
+    .map(s => ({ start: s.start + offset, end: s.end + offset, text: s.text.trim(), speaker: null }));
+}
+
+/**
+ * Give each segment the speaker who talks most during it
+ * Raw labels (SPEAKER_00, ...) become "Speaker 1", "Speaker 2", ... in order of appearance.
+ * @returns {string[]} - Speaker names
+ */
+function assignSpeakers(segments, turns) {
+  if (turns.length === 0) return [];
+  const names = new Map();
+
+  for (const segment of segments) {
+    let best = null;
+    let bestOverlap = 0;
+    for (const turn of turns) {
+      const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+      if (overlap > bestOverlap) {
+        best = turn;
+        bestOverlap = overlap;
+      }
+    }
+    // No overlap (a pause the diarizer cut out): the nearest turn
+    if (!best) {
+      const middle = (segment.start + segment.end) / 2;
+      best = turns.reduce((a, b) => distance(a, middle) <= distance(b, middle) ? a : b);
+    }
+    if (!names.has(best.speaker)) names.set(best.speaker, `Speaker ${names.size + 1}`);
+    segment.speaker = names.get(best.speaker);
+  }
+  return [...names.values()];
+}
+
+function distance(turn, time) {
+  return time < turn.start ? turn.start - time : Math.max(0, time - turn.end);
+}
+
+// One line per speaker turn ("Speaker 1: ..."), or per segment without speakers
+function transcriptText(segments) {
+  const lines = [];
+  for (const { speaker, text } of segments) {
+    const last = lines[lines.length - 1];
+    if (speaker && last?.speaker === speaker) last.text += ` ${text}`;
+    else lines.push({ speaker, text });
+  }
+  return lines.map(l => l.speaker ? `${l.speaker}: ${l.text}` : l.text).join('\n');
+}
+
+// Run ffmpeg, resolving with its stdout
+function runFfmpeg(bin, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(bin, args, { timeout: FFMPEG_TIMEOUT_MS });
+    const stdout = [];
+    let stderr = '';
+    proc.stdout.on('data', (data) => stdout.push(data));
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('error', (e) => reject(new Error(`Failed to run ${bin}: ${e.message}`)));
+    proc.on('close', (code) => {
+      if (code === 0) resolve(Buffer.concat(stdout));
+      else reject(new Error(`${bin} exited with code ${code}: ${stderr.slice(-500)}`));
+    });
+  });
+}
@@ -0,0 +1,207 @@
+/**
+ * Spark Modes - registry + per-mode transcripts
+ *
+ * Each mode (Dev, Research, Plan, ...) has its own config and its own
+ * conversation history, separate from the shared Clawdbot main session.
+ *
+ * Routing targets:
+ * - main:    shared Clawdbot main session (same as WhatsApp)
+ * - session: dedicated Clawdbot session for this mode (spark-<mode>)
+ * - gateway: direct LLM call via gateway with the mode's system prompt
+ *
+ * Storage (under config.dataDir):
+ * - modes.json:         overrides merged over MODE_DEFAULTS
+ * - modes/<mode>.jsonl: one { role, content, timestamp } entry per line
+ */
+
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+export const MODE_TARGETS = ['main', 'session', 'gateway'];
+
+export const MODE_DEFAULTS = {
+  dev: {
+    name: 'Dev Mode',
+    icon: '👨‍💻',
+    target: 'session',
+    notifyWhatsApp: true,
+    systemPrompt: 'You are Spark in Dev Mode. Work through coding tasks step by step, show the code you change, and report what you ran to verify it.',
+  },
+  research: {
+    name: 'Research Mode',
+    icon: '🔬',
+    target: 'session',
+    notifyWhatsApp: true,
+    systemPrompt: 'You are Spark in Research Mode. Dig deep, cite sources, separate facts from speculation, and end with a short summary.',
+  },
+  plan: {
+    name: 'Plan Mode',
+    icon: '📋',
+    target: 'session',
+    notifyWhatsApp: true,
+    systemPrompt: 'You are Spark in Plan Mode. Turn ideas into detailed specs: goals, constraints, steps, open questions. Do not start implementing.',
+  },
+  articulate: {
+    name: 'Articulate Mode',
+    icon: '✍️',
+    target: 'gateway',
+    notifyWhatsApp: false,
+    systemPrompt: 'You are a text refinement tool. Rephrase the input for clarity, crispness and grammar. Never answer questions - output ONLY the refined text.',
+  },
+  dailyreports: {
+    name: 'Daily Reports',
+    icon: '📊',
+    target: 'main',
+    notifyWhatsApp: true,
+    systemPrompt: 'You are Spark. Answer questions about today\'s briefings and portfolio reports. Be concise.',
+  },
+  videogen: {
+    name: 'Video Gen',
+    icon: '🎬',
+    target: 'session',
+    notifyWhatsApp: true,
+    systemPrompt: 'You are Spark in Video Gen mode. Help craft video prompts and track generation jobs.',
+  },
+};
+
+// Fields a mode config may carry (anything else is dropped on update)
+const MODE_FIELDS = ['name', 'icon', 'systemPrompt', 'target', 'notifyWhatsApp'];
+
+// Mode IDs double as file names - keep them boring
+const MODE_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+export class ModeRegistry {
+  constructor(config) {
+    this.dataDir = config.dataDir;
+    this.configPath = join(this.dataDir, 'modes.json');
+    this.historyDir = join(this.dataDir, 'modes');
+    this.modes = this.load();
+
+    console.log(`📦 Modes: ${Object.keys(this.modes).join(', ')}`);
+  }
+
+  // Merge persisted overrides over the defaults
+  load() {
+    const modes = {};
+    for (const [id, mode] of Object.entries(MODE_DEFAULTS)) {
+      modes[id] = { ...mode };
+    }
+
+    if (existsSync(this.configPath)) {
+      try {
+        const saved = JSON.parse(readFileSync(this.configPath, 'utf8'));
+        for (const [id, overrides] of Object.entries(saved || {})) {
+          if (!MODE_ID_PATTERN.test(id)) continue;
+          modes[id] = { ...modes[id], ...pickModeFields(overrides) };
+        }
+      } catch (e) {
+        console.error('Failed to read modes.json:', e.message);
+      }
+    }
+
+    return modes;
+  }
+
+  save() {
+    if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+    writeFileSync(this.configPath, JSON.stringify(this.modes, null, 2));
+  }
+
+  has(id) {
+    return Object.hasOwn(this.modes, id);
+  }
+
+  get(id) {
+    return this.has(id) ? this.modes[id] : null;
+  }
+
+  list() {
+    return this.modes;
+  }
+
+  /**
+   * Update (or create) a mode's config
+   * @param {string} id - Mode ID
+   * @param {Object} updates - Subset of MODE_FIELDS
+   * @returns {Object} - The updated mode config
+   */
+  update(id, updates = {}) {
+    if (!MODE_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid mode id: ${id}`);
+    }
+
+    const fields = pickModeFields(updates);
+    if (fields.target !== undefined && !MODE_TARGETS.includes(fields.target)) {
+      throw new Error(`Invalid target: ${fields.target} (expected ${MODE_TARGETS.join(' | ')})`);
+    }
+    if (fields.notifyWhatsApp !== undefined) {
+      fields.notifyWhatsApp = fields.notifyWhatsApp === true;
+    }
+
+    this.modes[id] = {
+      name: id,
+      icon: '📦',
+      target: 'session',
+      notifyWhatsApp: false,
+      systemPrompt: '',
+      ...this.modes[id],
+      ...fields,
+    };
+    this.save();
+    return this.modes[id];
+  }
+
+  historyPath(id) {
+    return join(this.historyDir, `${id}.jsonl`);
+  }
+
+  /**
+   * Load a mode's transcript
+   * @param {string} id - Mode ID
+   * @param {number} limit - Max messages (most recent)
+   * @returns {Array<{role, content, timestamp}>}
+   */
+  loadHistory(id, limit = 100) {
+    if (!this.has(id)) return [];
+
+    const filepath = this.historyPath(id);
+    if (!existsSync(filepath)) return [];
+
+    try {
+      const lines = readFileSync(filepath, 'utf8').trim().split('\n').filter(l => l);
+      const messages = [];
+      for (const line of lines.slice(-limit)) {
+        try {
+          const entry = JSON.parse(line);
+          if (entry.role && entry.content) messages.push(entry);
+        } catch {}
+      }
+      return messages;
+    } catch (e) {
+      console.error(`Failed to load ${id} mode history:`, e.message);
+      return [];
+    }
+  }
+
+  // Append one message to a mode's transcript
+  appendHistory(id, role, content) {
+    if (!this.has(id) || !content) return null;
+
+    const entry = { role, content, timestamp: Date.now() };
+    try {
+      if (!existsSync(this.historyDir)) mkdirSync(this.historyDir, { recursive: true });
+      appendFileSync(this.historyPath(id), JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.error(`Failed to append to ${id} mode history:`, e.message);
+    }
+    return entry;
+  }
+}
+
+function pickModeFields(obj) {
+  const fields = {};
+  for (const key of MODE_FIELDS) {
+    if (obj?.[key] !== undefined) fields[key] = obj[key];
+  }
+  return fields;
+}
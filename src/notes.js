@@ -0,0 +1,250 @@
+/**
+ * Notes Library - voice notes with their audio, transcript and summary
+ *
+ * Each note is an audio file in config.notesDir (note_<createdAt>.<ext>)
+ * plus a metadata record. Notes move pending → processing → ready | error:
+ * processing transcribes the audio (unless it already has a transcript)
+ * and then summarizes it, also picking a few topic tags.
+ *
+ * Meetings (kind 'meeting', see meetings.js) arrive already transcribed,
+ * with speaker-labelled segments; their summary lists action items per speaker.
+ *
+ * Audio files with no record (recorded before the library existed) are
+ * adopted on load as pending notes, so they can be transcribed later.
+ * Notes that were processing when the server stopped go back to pending.
+ *
+ * Storage:
+ * - <notesDir>/note_<ts>.<ext>: audio
+ * - <dataDir>/notes.json:       { [id]: note }
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, renameSync, copyFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+const AUDIO_FILE = /^(note_(\d+))\.(\w+)$/;
+
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+};
+const MIMETYPES = { webm: 'audio/webm', ogg: 'audio/ogg', m4a: 'audio/mp4', mp3: 'audio/mpeg', wav: 'audio/wav' };
+
+const MAX_TAGS = 5;
+const TAGS_LINE = /^\s*tags:\s*(.*)$/im;
+
+const TAGS_INSTRUCTION = `End with one line "Tags: " followed by up to ${MAX_TAGS} short lowercase topic tags, comma-separated.`;
+
+const SUMMARY_PROMPTS = {
+  note: `Here's a voice note transcription. Please provide a clear, concise summary with key points.
+${TAGS_INSTRUCTION}
+
+`,
+  meeting: `Here's a meeting transcript, one line per turn ("Speaker 1: ..." where speakers are known).
+Please provide a clear, concise summary with key points and decisions, then an "Action items" section
+with a sub-list per speaker of what they took on (skip speakers with none; use "Unassigned" for the rest).
+${TAGS_INSTRUCTION}
+
+`,
+};
+
+export class NotesLibrary {
+  /**
+   * @param {Object} config - App config (uses notesDir, dataDir)
+   * @param {Object} options - { transcribe(buffer, { mimetype, filename }) → { text }, summarize(prompt) → text }
+   */
+  constructor(config, { transcribe, summarize }) {
+    this.dir = config.notesDir;
+    this.dataDir = config.dataDir;
+    this.path = join(this.dataDir, 'notes.json');
+    this.transcriber = transcribe;
+    this.summarizer = summarize;
+    this.notes = this.load();
+    this.adoptOrphans();
+  }
+
+  load() {
+    if (!existsSync(this.path)) return {};
+    try {
+      const notes = JSON.parse(readFileSync(this.path, 'utf8')) || {};
+      for (const note of Object.values(notes)) {
+        if (note.status === 'processing') note.status = 'pending';
+      }
+      return notes;
+    } catch (e) {
+      console.error('Failed to read notes:', e.message);
+      return {};
+    }
+  }
+
+  save() {
+    if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+    writeFileSync(this.path, JSON.stringify(this.notes, null, 2));
+  }
+
+  // Audio files without a record become pending notes
+  adoptOrphans() {
+    if (!existsSync(this.dir)) return;
+    let adopted = 0;
+    for (const file of readdirSync(this.dir)) {
+      const match = file.match(AUDIO_FILE);
+      if (!match || this.notes[match[1]]) continue;
+      this.notes[match[1]] = {
+        ...blankNote(match[1], file, Number(match[2])),
+        mimetype: MIMETYPES[match[3]] || 'application/octet-stream',
+      };
+      adopted++;
+    }
+    if (adopted > 0) {
+      console.log(`🎙️ Found ${adopted} voice notes without a record`);
+      this.save();
+    }
+  }
+
+  /**
+   * Notes, newest first
+   * @param {Object} options - { tag }
+   */
+  list({ tag = null } = {}) {
+    return Object.values(this.notes)
+      .filter(n => !tag || n.tags.includes(tag))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  get(id) {
+    return Object.hasOwn(this.notes, id) ? this.notes[id] : null;
+  }
+
+  audioPath(note) {
+    return join(this.dir, note.file);
+  }
+
+  /**
+   * Store a new recording (call process() to transcribe and summarize it)
+   * @param {Buffer} audio
+   * @param {Object} options - { mimetype, duration (seconds) }
+   * @returns {Object} - The pending note
+   */
+  create(audio, { mimetype = 'audio/webm', duration = null } = {}) {
+    const note = this.newNote(Date.now(), mimetype);
+    writeFileSync(this.audioPath(note), audio);
+    Object.assign(note, { duration });
+    this.notes[note.id] = note;
+    this.save();
+    return note;
+  }
+
+  /**
+   * Move a finished recording into the library (e.g. an assembled meeting)
+   * @param {string} audioPath - File to move in
+   * @param {Object} fields - { createdAt, mimetype, duration, kind, transcript, speakers, segments }
+   * @returns {Object} - The pending note (process() summarizes it)
+   */
+  adopt(audioPath, { createdAt = Date.now(), mimetype = 'audio/webm', ...fields } = {}) {
+    const note = this.newNote(createdAt, mimetype);
+    try {
+      renameSync(audioPath, this.audioPath(note));
+    } catch (e) {
+      if (e.code !== 'EXDEV') throw e;
+      copyFileSync(audioPath, this.audioPath(note)); // dataDir and notesDir on different disks
+      unlinkSync(audioPath);
+    }
+    Object.assign(note, fields);
+    this.notes[note.id] = note;
+    this.save();
+    return note;
+  }
+
+  newNote(createdAt, mimetype) {
+    if (!existsSync(this.dir)) mkdirSync(this.dir, { recursive: true });
+    while (this.notes[`note_${createdAt}`]) createdAt++; // Two notes in the same millisecond
+    const type = mimetype.split(';')[0].trim();
+    const id = `note_${createdAt}`;
+    return { ...blankNote(id, `${id}.${EXTENSIONS[type] || 'webm'}`, createdAt), mimetype: type };
+  }
+
+  /**
+   * Transcribe (if it has no transcript yet) and summarize a note
+   * @param {string} id
+   * @param {Object} options - { onTranscript(note) } called as soon as the transcript is in
+   * @returns {Promise<Object>} - The note; status 'error' (with .error) if a step failed
+   */
+  async process(id, { onTranscript = null } = {}) {
+    const note = this.get(id);
+    if (!note) throw new Error('Note not found');
+    if (note.status === 'processing') throw new Error('Note is already being processed');
+
+    this.update(note, { status: 'processing', error: null });
+    try {
+      if (!note.transcript) {
+        const audio = await readFile(this.audioPath(note));
+        const { text } = await this.transcriber(audio, { mimetype: note.mimetype, filename: note.file });
+        if (!text?.trim()) throw new Error('Nothing was transcribed');
+        this.update(note, { transcript: text.trim() });
+      }
+      onTranscript?.(note);
+
+      const prompt = SUMMARY_PROMPTS[note.kind] || SUMMARY_PROMPTS.note;
+      const { summary, tags } = parseSummary(await this.summarizer(prompt + note.transcript));
+      this.update(note, { summary, tags, status: 'ready', summarizedAt: Date.now() });
+    } catch (e) {
+      console.error(`🎙️ Voice note ${id} failed:`, e.message);
+      this.update(note, { status: 'error', error: e.message });
+    }
+    return note;
+  }
+
+  remove(id) {
+    const note = this.get(id);
+    if (!note) return false;
+    try {
+      unlinkSync(this.audioPath(note));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    delete this.notes[id];
+    this.save();
+    return true;
+  }
+
+  update(note, changes) {
+    Object.assign(note, changes);
+    this.save();
+  }
+}
+
+function blankNote(id, file, createdAt) {
+  return {
+    id,
+    kind: 'note',
+    file,
+    mimetype: null,
+    createdAt,
+    duration: null,
+    transcript: null,
+    summary: null,
+    tags: [],
+    status: 'pending',
+    error: null,
+    summarizedAt: null,
+  };
+}
+
+// Split the model's "Tags: a, b" line off the summary
+function parseSummary(text) {
+  const match = text.match(TAGS_LINE);
+  const tags = match
+    ? match[1].split(',').map(t => t.trim().toLowerCase().replace(/^#/, '')).filter(Boolean).slice(0, MAX_TAGS)
+    : [];
+  return { summary: text.replace(TAGS_LINE, '').trim(), tags };
+}
+
+// What clients see (the audio is served by /api/notes/:id/audio)
+export function publicNote(note) {
+  const { file, ...rest } = note;
+  return { ...rest, audioUrl: `/api/notes/${note.id}/audio` };
+}
@@ -0,0 +1,63 @@
+/**
+ * Speaker Diarization Provider - who spoke when, from a local model
+ *
+ * The configured command (e.g. a pyannote.audio or NeMo wrapper script) is
+ * run with the path of a 16kHz mono WAV file as its only argument and
+ * prints the speaker turns as JSON on stdout:
+ *   [{ start, end, speaker }]   (seconds; speaker: any label, e.g. SPEAKER_00)
+ * Audio never leaves the machine.
+ */
+
+import { spawn } from 'child_process';
+
+// Diarizing an hour-long meeting on CPU takes a while
+const DIARIZE_TIMEOUT_MS = 30 * 60 * 1000;
+
+export class DiarizationProvider {
+  /**
+   * @param {Object} config - config.meetings (uses diarizeCommand)
+   */
+  constructor(config) {
+    this.command = config.diarizeCommand || null;
+  }
+
+  get enabled() {
+    return !!this.command;
+  }
+
+  /**
+   * @param {string} wavPath - 16kHz mono WAV
+   * @returns {Promise<Array<{start: number, end: number, speaker: string}>>} - Sorted by start
+   */
+  diarize(wavPath) {
+    if (!this.command) {
+      return Promise.reject(new Error('Diarization command not configured (MEETING_DIARIZE_COMMAND)'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const proc = spawn(this.command, [wavPath], { timeout: DIARIZE_TIMEOUT_MS });
+      let stdout = '';
+      let stderr = '';
+
+      proc.stdout.on('data', (data) => { stdout += data.toString(); });
+      proc.stderr.on('data', (data) => { stderr += data.toString(); });
+      proc.on('error', (e) => reject(new Error(`Failed to run ${this.command}: ${e.message}`)));
+      proc.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(`Diarization command exited with code ${code}: ${stderr.slice(-500)}`));
+        }
+        try {
+          // Last non-empty line is the result (scripts may log before it)
+          const turns = JSON.parse(stdout.trim().split('\n').pop());
+          if (!Array.isArray(turns)) throw new Error('expected an array');
+          resolve(turns
+            .filter(t => Number.isFinite(t.start) && Number.isFinite(t.end) && t.speaker != null)
+            .map(t => ({ start: t.start, end: t.end, speaker: String(t.speaker) }))
+            .sort((a, b) => a.start - b.start));
+        } catch (e) {
+          reject(new Error(`Invalid diarization output: ${e.message}`));
+        }
+      });
+    });
+  }
+}
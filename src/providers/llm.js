@@ -2,8 +2,6 @@
  * LLM Provider - Fast voice responses via Clawdbot Gateway
  */
 
-import { readFileSync, existsSync } from 'fs';
-
 const SYSTEM_PROMPT = `You are Spark, a voice assistant. Be concise and natural.
 - Keep responses under 50 words
 - No markdown, bullet points, or formatting
@@ -12,25 +10,14 @@ const SYSTEM_PROMPT = `You are Spark, a voice assistant. Be concise and natural.
 
 export class LLMProvider {
   constructor(config) {
-    this.gatewayUrl = config.gatewayUrl || 'http://localhost:18789';
-    this.gatewayToken = config.gatewayToken || this.loadGatewayToken();
+    this.gatewayUrl = config.gatewayUrl;
+    this.gatewayToken = config.gatewayToken;
     // Use fast model - Haiku is quick
     this.model = 'claude-3-5-haiku-20241022';
     
     console.log(`🧠 LLM: ${this.model} via ${this.gatewayUrl}`);
   }
 
-  loadGatewayToken() {
-    const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-    if (existsSync(configPath)) {
-      try {
-        const config = JSON.parse(readFileSync(configPath, 'utf8'));
-        return config.gateway?.auth?.token;
-      } catch {}
-    }
-    return null;
-  }
-
   async chat(history) {
     const startTime = Date.now();
     
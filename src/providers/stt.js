@@ -0,0 +1,219 @@
+/**
+ * STT Provider Abstraction
+ *
+ * Supported providers:
+ * - browser: Web Speech API on the client; uploads that still reach the
+ *   server (e.g. Notes recordings) fall back to `fallback` (default whisper)
+ * - deepgram: Fast, utterance timestamps + language detection, paid
+ * - whisper: OpenAI Whisper API (verbose_json segments), paid
+ * - whispercpp: Local whisper.cpp binary, free, needs ffmpeg + a ggml model
+ *
+ * Every provider resolves to the same shape:
+ *   { text, segments: [{ start, end, text }], language, duration, provider }
+ * with times in seconds.
+ *
+ * Adding a new provider:
+ * 1. Add method: async myProviderTranscribe(buffer, options) { ... }
+ * 2. Add case in transcribe() switch
+ */
+
+import { spawn } from 'child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+export const STT_PROVIDERS = ['browser', 'deepgram', 'whisper', 'whispercpp'];
+
+// Upstream calls and local runs both get 5 minutes (long Notes recordings)
+const TRANSCRIBE_TIMEOUT_MS = 300000;
+
+export class STTProvider {
+  constructor(config) {
+    this.provider = config.provider || 'browser';
+    this.config = config;
+
+    if (!STT_PROVIDERS.includes(this.provider)) {
+      console.warn(`⚠️  Unknown STT provider: ${this.provider}`);
+    }
+
+    const server = this.serverProvider;
+    if (server === 'deepgram' && !config.apiKey) {
+      console.warn('⚠️  No API key for STT provider: deepgram');
+    } else if (server === 'whisper' && !config.whisperApiKey) {
+      console.warn('⚠️  No API key for STT provider: whisper');
+    } else if (server === 'whispercpp' && !config.whisperCpp?.model) {
+      console.warn('⚠️  No model configured for STT provider: whispercpp');
+    }
+  }
+
+  // Provider used for audio uploaded to the server
+  get serverProvider() {
+    return this.provider === 'browser' ? (this.config.fallback || 'whisper') : this.provider;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Buffer} buffer - Audio data
+   * @param {Object} options - { mimetype, filename, language }
+   * @returns {Promise<{text, segments, language, duration, provider}>}
+   */
+  async transcribe(buffer, options = {}) {
+    const startTime = Date.now();
+    const provider = this.serverProvider;
+
+    let result;
+    switch (provider) {
+      case 'deepgram':
+        result = await this.deepgramTranscribe(buffer, options);
+        break;
+      case 'whisper':
+        result = await this.whisperTranscribe(buffer, options);
+        break;
+      case 'whispercpp':
+        result = await this.whisperCppTranscribe(buffer, options);
+        break;
+      default:
+        throw new Error(`Unknown STT provider: ${provider}`);
+    }
+
+    console.log(`🎙️ STT (${provider}): ${Date.now() - startTime}ms, ${result.text.length} chars, lang=${result.language || '?'}`);
+    return { ...result, provider };
+  }
+
+  async deepgramTranscribe(buffer, { mimetype, language }) {
+    const params = new URLSearchParams({
+      model: this.config.model || 'nova-2',
+      smart_format: 'true',
+      utterances: 'true',
+    });
+    if (language) {
+      params.set('language', language);
+    } else {
+      params.set('detect_language', 'true');
+    }
+
+    const response = await fetch(`https://api.deepgram.com/v1/listen?${params}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Token ${this.config.apiKey}`,
+        'Content-Type': mimetype || 'audio/wav',
+      },
+      body: buffer,
+      signal: AbortSignal.timeout(TRANSCRIBE_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Deepgram STT error ${response.status}: ${error}`);
+    }
+
+    const data = await response.json();
+    const channel = data.results?.channels?.[0];
+
+    return {
+      text: channel?.alternatives?.[0]?.transcript || '',
+      segments: (data.results?.utterances || []).map(u => ({
+        start: u.start,
+        end: u.end,
+        text: u.transcript,
+      })),
+      language: language || channel?.detected_language || null,
+      duration: data.metadata?.duration ?? null,
+    };
+  }
+
+  async whisperTranscribe(buffer, { mimetype, filename, language }) {
+    if (!this.config.whisperApiKey) {
+      throw new Error('OpenAI API key not found');
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimetype || 'audio/webm' }), filename || 'audio.webm');
+    form.append('model', 'whisper-1');
+    form.append('response_format', 'verbose_json');
+    if (language) form.append('language', language);
+
+    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.config.whisperApiKey}`,
+      },
+      body: form,
+      signal: AbortSignal.timeout(TRANSCRIBE_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Whisper API error ${response.status}: ${error}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      text: (data.text || '').trim(),
+      segments: (data.segments || []).map(s => ({
+        start: s.start,
+        end: s.end,
+        text: s.text.trim(),
+      })),
+      language: data.language || null,
+      duration: data.duration ?? null,
+    };
+  }
+
+  async whisperCppTranscribe(buffer, { language }) {
+    const { bin, model, ffmpeg } = this.config.whisperCpp || {};
+    if (!model) {
+      throw new Error('whisper.cpp model not configured (STT_WHISPER_CPP_MODEL)');
+    }
+
+    const workDir = mkdtempSync(join(tmpdir(), 'spark-stt-'));
+    try {
+      // whisper.cpp only reads 16kHz mono WAV
+      const inputPath = join(workDir, 'input');
+      const wavPath = join(workDir, 'audio.wav');
+      writeFileSync(inputPath, buffer);
+      await run(ffmpeg || 'ffmpeg', ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', wavPath]);
+
+      const outBase = join(workDir, 'out');
+      await run(bin || 'whisper-cli', [
+        '-m', model,
+        '-f', wavPath,
+        '-l', language || 'auto',
+        '-oj',
+        '-of', outBase,
+        '-np',
+      ]);
+
+      const data = JSON.parse(readFileSync(`${outBase}.json`, 'utf8'));
+      const segments = (data.transcription || []).map(s => ({
+        start: s.offsets.from / 1000,
+        end: s.offsets.to / 1000,
+        text: s.text.trim(),
+      }));
+
+      return {
+        text: segments.map(s => s.text).join(' ').trim(),
+        segments,
+        language: data.result?.language || language || null,
+        duration: segments.length ? segments[segments.length - 1].end : null,
+      };
+    } finally {
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run a local binary, rejecting with its stderr tail on failure
+function run(cmd, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args, { timeout: TRANSCRIBE_TIMEOUT_MS });
+    let stderr = '';
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('error', (e) => reject(new Error(`Failed to run ${cmd}: ${e.message}`)));
+    proc.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${cmd} exited with code ${code}: ${stderr.slice(-500)}`));
+    });
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * Video Generation Provider Abstraction
+ *
+ * Supported providers:
+ * - fal: fal.ai queue API (Kling, Luma, Runway), paid
+ * - command: any local script - gets the job as JSON on stdin, prints
+ *   { url } or { path } as JSON on stdout
+ *
+ * Adding a new provider:
+ * 1. Add method: async myProviderGenerate(job) { ... }
+ * 2. Add case in generate() switch
+ */
+
+import { spawn } from 'child_process';
+import { readFileSync } from 'fs';
+
+// Models offered in the Video Gen sheet
+export const VIDEO_MODELS = ['kling', 'luma', 'runway'];
+
+// fal.ai endpoints per model (text-to-video / image-to-video)
+const FAL_ENDPOINTS = {
+  kling: {
+    text: 'fal-ai/kling-video/v1.6/standard/text-to-video',
+    image: 'fal-ai/kling-video/v1.6/standard/image-to-video',
+  },
+  luma: {
+    text: 'fal-ai/luma-dream-machine',
+    image: 'fal-ai/luma-dream-machine/image-to-video',
+  },
+  runway: {
+    text: null, // Gen-3 Turbo is image-to-video only
+    image: 'fal-ai/runway-gen3/turbo/image-to-video',
+  },
+};
+
+const FAL_POLL_INTERVAL_MS = 5000;
+const GENERATE_TIMEOUT_MS = 20 * 60 * 1000; // Video models are slow
+
+export class VideoProvider {
+  constructor(config = {}) {
+    this.provider = config.provider || 'fal';
+    this.apiKey = config.apiKey;
+    this.config = config;
+
+    if (this.provider === 'fal' && !this.apiKey) {
+      console.warn('⚠️  No API key for video provider: fal');
+    }
+  }
+
+  /**
+   * Generate a video
+   * @param {Object} job - { id, prompt, model, duration, imagePath, imageMimetype }
+   * @returns {Promise<{url?: string, path?: string}>}
+   */
+  async generate(job) {
+    const startTime = Date.now();
+
+    let result;
+    switch (this.provider) {
+      case 'fal':
+        result = await this.falGenerate(job);
+        break;
+      case 'command':
+        result = await this.commandGenerate(job);
+        break;
+      default:
+        throw new Error(`Unknown video provider: ${this.provider}`);
+    }
+
+    console.log(`🎬 Video (${this.provider}/${job.model}): ${Math.round((Date.now() - startTime) / 1000)}s`);
+    return result;
+  }
+
+  // Whether a model can only animate a reference image (no text-to-video)
+  needsImage(model) {
+    const endpoints = FAL_ENDPOINTS[model];
+    return this.provider === 'fal' && !!endpoints && !endpoints.text;
+  }
+
+  async falGenerate(job) {
+    const endpoints = FAL_ENDPOINTS[job.model];
+    const endpoint = job.imagePath ? endpoints?.image : endpoints?.text;
+    if (!endpoint) {
+      throw new Error(job.imagePath || !endpoints
+        ? `Model not supported by fal: ${job.model}`
+        : `${job.model} needs a reference image`);
+    }
+
+    const input = { prompt: job.prompt };
+    if (job.model === 'kling' && job.duration) input.duration = String(job.duration);
+    if (job.imagePath) {
+      const image = readFileSync(job.imagePath).toString('base64');
+      input.image_url = `data:${job.imageMimetype || 'image/jpeg'};base64,${image}`;
+    }
+
+    const headers = {
+      'Authorization': `Key ${this.apiKey}`,
+      'Content-Type': 'application/json',
+    };
+
+    const submit = await fetch(`https://queue.fal.run/${endpoint}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(input),
+    });
+    if (!submit.ok) {
+      const error = await submit.text();
+      throw new Error(`fal error ${submit.status}: ${error}`);
+    }
+    const { status_url: statusUrl, response_url: responseUrl } = await submit.json();
+
+    // Poll the fal queue until the request finishes
+    const deadline = Date.now() + GENERATE_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, FAL_POLL_INTERVAL_MS));
+
+      const res = await fetch(statusUrl, { headers });
+      if (!res.ok) throw new Error(`fal status error ${res.status}`);
+      const { status } = await res.json();
+      if (status !== 'COMPLETED') continue;
+
+      const done = await fetch(responseUrl, { headers });
+      if (!done.ok) {
+        const error = await done.text();
+        throw new Error(`fal error ${done.status}: ${error}`);
+      }
+      const data = await done.json();
+      if (!data.video?.url) throw new Error('fal returned no video');
+      return { url: data.video.url };
+    }
+
+    throw new Error('Video generation timed out');
+  }
+
+  async commandGenerate(job) {
+    if (!this.config.command) {
+      throw new Error('Video command not configured (VIDEO_COMMAND)');
+    }
+
+    return new Promise((resolve, reject) => {
+      const proc = spawn(this.config.command, [], { timeout: GENERATE_TIMEOUT_MS });
+      let stdout = '';
+      let stderr = '';
+
+      proc.stdout.on('data', (data) => { stdout += data.toString(); });
+      proc.stderr.on('data', (data) => { stderr += data.toString(); });
+      proc.on('error', (e) => reject(new Error(`Failed to run ${this.config.command}: ${e.message}`)));
+      proc.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(`Video command exited with code ${code}: ${stderr.slice(-500)}`));
+        }
+        try {
+          // Last non-empty line is the result (scripts may log before it)
+          const last = stdout.trim().split('\n').pop();
+          const result = JSON.parse(last);
+          if (!result.url && !result.path) throw new Error('missing url/path');
+          resolve({ url: result.url, path: result.path });
+        } catch (e) {
+          reject(new Error(`Invalid video command output: ${e.message}`));
+        }
+      });
+
+      proc.stdin.end(JSON.stringify(job));
+    });
+  }
+}
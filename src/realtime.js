@@ -7,68 +7,28 @@
  */
 
 import WebSocket from 'ws';
-import { readFileSync, existsSync, appendFileSync } from 'fs';
-import { join } from 'path';
 import { TOOL_DEFINITIONS, executeTool } from './tools.js';
+import { transcriptIndex } from './transcripts.js';
+import { mainSession } from './session-locator.js';
+import { transcriptWriter, SOURCES } from './transcript-writer.js';
+import { loadConfig } from './config.js';
+
+const config = loadConfig();
 
 // OpenAI Realtime API endpoint
 const REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17';
 
-// Session config
-const SESSIONS_DIR = '/home/heisenberg/.clawdbot/agents/main/sessions';
-const MAIN_SESSION_ID = 'd0bddcfd-ba66-479f-8f30-5cc187be5e61';
-const MAIN_SESSION_PATH = join(SESSIONS_DIR, `${MAIN_SESSION_ID}.jsonl`);
-
-// Get OpenAI API key
-function getOpenAIKey() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-    return cfg.skills?.entries?.['openai-whisper-api']?.apiKey;
-  }
-  return null;
-}
 
 // Load recent conversation context for system prompt
-function loadConversationContext(limit = 5) {
+async function loadConversationContext(limit = 5) {
   try {
-    if (!existsSync(MAIN_SESSION_PATH)) return '';
-    
-    const content = readFileSync(MAIN_SESSION_PATH, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-    
     const messages = [];
-    for (const line of lines.slice(-limit * 3)) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === 'message' && entry.message) {
-          const msg = entry.message;
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            let text = '';
-            if (typeof msg.content === 'string') {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              const textPart = msg.content.find(c => c.type === 'text');
-              text = textPart?.text || '';
-            }
-            
-            // Skip system messages
-            if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-            if (text.includes('[Cron') || text.includes('systemEvent')) continue;
-            
-            // Clean markers
-            text = text
-              .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-              .replace(/^\[Spark[^\]]*\]\s*/g, '')
-              .replace(/\n?\[message_id:[^\]]+\]/g, '')
-              .trim();
-            
-            if (text && text.length < 300) {
-              messages.push(`${msg.role === 'user' ? 'User' : 'You'}: ${text}`);
-            }
-          }
-        }
-      } catch {}
+    for (const msg of await transcriptIndex.messages(mainSession.sessionId, { limit: limit * 3 })) {
+      // Skip system messages
+      if (!msg.text || msg.isSystem) continue;
+      if (msg.text.length < 300) {
+        messages.push(`${msg.role === 'user' ? 'User' : 'You'}: ${msg.text}`);
+      }
     }
     
     return messages.slice(-limit).join('\n');
@@ -80,21 +40,7 @@ function loadConversationContext(limit = 5) {
 
 // Append to session for continuity with text chat
 function appendToSession(role, content) {
-  try {
-    const entry = {
-      type: 'message',
-      id: Math.random().toString(36).slice(2, 10),
-      timestamp: new Date().toISOString(),
-      message: {
-        role,
-        content: [{ type: 'text', text: `[Spark Voice] ${content}` }],
-        timestamp: Date.now()
-      }
-    };
-    appendFileSync(MAIN_SESSION_PATH, JSON.stringify(entry) + '\n');
-  } catch (e) {
-    console.error('Failed to append to session:', e.message);
-  }
+  return transcriptWriter.append(role, content, SOURCES.voice);
 }
 
 /**
@@ -102,7 +48,7 @@ function appendToSession(role, content) {
  * @param {WebSocket} clientWs - WebSocket connection from browser
  */
 export function handleRealtimeSession(clientWs) {
-  const apiKey = getOpenAIKey();
+  const apiKey = config.stt.whisperApiKey;
   if (!apiKey) {
     clientWs.send(JSON.stringify({ type: 'error', message: 'OpenAI API key not configured' }));
     return;
@@ -124,16 +70,16 @@ export function handleRealtimeSession(clientWs) {
     }
   });
 
-  openaiWs.on('open', () => {
+  openaiWs.on('open', async () => {
     console.log('🔗 Connected to OpenAI Realtime API');
     isConnected = true;
 
     // Load recent context
-    const context = loadConversationContext(5);
+    const context = await loadConversationContext(5);
     
-    // Get current time in Singapore
-    const sgTime = new Date().toLocaleString('en-SG', { 
-      timeZone: 'Asia/Singapore',
+    // Get current time in the owner's timezone
+    const localTime = new Date().toLocaleString(config.locale, { 
+      timeZone: config.timezone,
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -145,7 +91,7 @@ export function handleRealtimeSession(clientWs) {
     // Build instructions
     let instructions = `You are Spark, a friendly voice assistant for Parth.
 
-Current time: ${sgTime} (Singapore)
+Current time: ${localTime} (${config.timezone})
 
 You have access to tools:
 - get_calendar: Check Parth's calendar (today, tomorrow, or this week)
@@ -0,0 +1,141 @@
+/**
+ * Request Store - durable copy of the portal's in-flight state
+ *
+ * server.js keeps portal sessions, the pending request store and the
+ * gateway-reconnect message queue in memory. Every change is also appended
+ * to a JSON-lines log, so after a restart (systemd Restart=always) answers
+ * that finished while the phone was away still reach it on reconnect, and
+ * queued messages are still sent once the gateway is back.
+ *
+ * Log records, one per line:
+ *   { op: 'session', sessionId, createdAt }
+ *   { op: 'session_delete', sessionId }           (drops its requests too)
+ *   { op: 'request', sessionId, request }         (added or updated, full record)
+ *   { op: 'request_delete', sessionId, requestId }
+ *   { op: 'enqueue', item }                       ({ sessionId, text, sparkMode, requestId, queuedAt })
+ *   { op: 'dequeue', requestId }
+ *
+ * The log is rewritten as a snapshot on load and whenever it grows past
+ * MAX_LOG_RECORDS, so it stays small.
+ *
+ * Storage (under config.dataDir):
+ * - requests.log
+ */
+
+import { readFileSync, appendFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+// Appended records before the log is compacted
+const MAX_LOG_RECORDS = 1000;
+
+export class RequestStore {
+  constructor(config) {
+    this.dataDir = config.dataDir;
+    this.path = join(this.dataDir, 'requests.log');
+    this.records = 0;
+    this.state = emptyState();
+  }
+
+  /**
+   * Replay the log
+   * @returns {{sessions: Map, pending: Map, queue: Array}}
+   *   sessions: sessionId -> { createdAt }
+   *   pending:  sessionId -> [request, ...]
+   *   queue:    [item, ...] in queue order
+   */
+  load() {
+    this.state = emptyState();
+    if (existsSync(this.path)) {
+      let skipped = 0;
+      for (const line of readFileSync(this.path, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this.apply(JSON.parse(line));
+        } catch {
+          skipped++; // Torn write from a crash - the rest of the log still counts
+        }
+      }
+      if (skipped > 0) console.warn(`⚠️ Skipped ${skipped} unreadable request log record(s)`);
+    }
+    this.compact();
+    return this.state;
+  }
+
+  append(record) {
+    this.apply(record);
+    try {
+      if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+      appendFileSync(this.path, JSON.stringify(record) + '\n');
+      if (++this.records >= MAX_LOG_RECORDS) this.compact();
+    } catch (e) {
+      console.error('Failed to write request log:', e.message);
+    }
+  }
+
+  // Rewrite the log as the smallest set of records that rebuilds the state
+  compact() {
+    const lines = [];
+    for (const [sessionId, { createdAt }] of this.state.sessions) {
+      lines.push({ op: 'session', sessionId, createdAt });
+    }
+    for (const [sessionId, requests] of this.state.pending) {
+      for (const request of requests) lines.push({ op: 'request', sessionId, request });
+    }
+    for (const item of this.state.queue) lines.push({ op: 'enqueue', item });
+
+    try {
+      if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+      const tmpPath = `${this.path}.tmp`;
+      writeFileSync(tmpPath, lines.map(l => JSON.stringify(l) + '\n').join(''));
+      renameSync(tmpPath, this.path); // Never leaves a half-written log behind
+      this.records = 0;
+    } catch (e) {
+      console.error('Failed to compact request log:', e.message);
+    }
+  }
+
+  apply(record) {
+    const { sessions, pending, queue } = this.state;
+    switch (record.op) {
+      case 'session':
+        sessions.set(record.sessionId, { createdAt: record.createdAt });
+        break;
+      case 'session_delete':
+        sessions.delete(record.sessionId);
+        pending.delete(record.sessionId);
+        break;
+      case 'request': {
+        const requests = pending.get(record.sessionId) || [];
+        const index = requests.findIndex(r => r.requestId === record.request.requestId);
+        if (index === -1) {
+          requests.push(record.request);
+        } else {
+          requests[index] = record.request;
+        }
+        pending.set(record.sessionId, requests);
+        break;
+      }
+      case 'request_delete': {
+        const requests = (pending.get(record.sessionId) || []).filter(r => r.requestId !== record.requestId);
+        if (requests.length > 0) {
+          pending.set(record.sessionId, requests);
+        } else {
+          pending.delete(record.sessionId);
+        }
+        break;
+      }
+      case 'enqueue':
+        queue.push(record.item);
+        break;
+      case 'dequeue': {
+        const index = queue.findIndex(i => i.requestId === record.requestId);
+        if (index !== -1) queue.splice(index, 1);
+        break;
+      }
+    }
+  }
+}
+
+function emptyState() {
+  return { sessions: new Map(), pending: new Map(), queue: [] };
+}
@@ -0,0 +1,410 @@
+/**
+ * Search Index - full-text and semantic search over every session transcript
+ *
+ * Keyword search: an in-memory inverted index (term -> postings) over the
+ * messages the transcript index has parsed, ranked with BM25. It's brought up
+ * to date before each search, adding only messages appended since last time;
+ * if a transcript was replaced or deleted the index is rebuilt.
+ *
+ * Semantic search (when search.embeddingsUrl is set): each message is
+ * embedded by a local model in the background and the vectors are kept in
+ * <dataDir>/search-embeddings.jsonl, so a restart doesn't recompute them.
+ * Keyword and semantic rankings are merged with reciprocal rank fusion.
+ *
+ * Results can be filtered by channel (web | whatsapp | voice | other), role
+ * and date range (days are the owner's, in config.timezone).
+ */
+
+import { readFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { channelResolver } from './transcript-parser.js';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'for', 'from', 'has', 'have', 'i', 'if',
+  'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to',
+  'was', 'we', 'what', 'with', 'you', 'your',
+]);
+
+// BM25 tuning (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Reciprocal rank fusion constant
+const RRF_K = 60;
+
+const MIN_PREFIX_LENGTH = 3;     // Last query term also matches longer words from this length
+const SNIPPET_LENGTH = 160;
+const SEMANTIC_CANDIDATES = 100; // Nearest messages considered from the semantic side
+const SEMANTIC_MIN_SIMILARITY = 0.5; // Cosine similarity below this isn't a match
+
+/**
+ * Lowercased words without accents or stopwords
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(w => w.length > 1 && !STOPWORDS.has(w));
+}
+
+/**
+ * A date filter as epoch ms: milliseconds as given, or a day (2026-01-31) in
+ * the owner's timezone - from its first millisecond, or to its last
+ * @param {string} value
+ * @param {string} timeZone - IANA name (config.timezone)
+ * @param {Object} options - { endOfDay }
+ * @returns {number|null|undefined} - null if not given, undefined if unreadable
+ */
+export function parseDateFilter(value, timeZone, { endOfDay = false } = {}) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!day) {
+    const ms = Date.parse(value); // Full timestamps carry their own offset
+    return Number.isNaN(ms) ? undefined : ms;
+  }
+  const [year, month, date] = day.slice(1).map(Number);
+  if (month < 1 || month > 12 || date < 1 || date > 31) return undefined;
+  return endOfDay ? zonedMidnight(year, month, date + 1, timeZone) - 1 : zonedMidnight(year, month, date, timeZone);
+}
+
+// Epoch ms of 00:00 on a day in a timezone (the day may run into the next month)
+function zonedMidnight(year, month, date, timeZone) {
+  const wall = Date.UTC(year, month - 1, date);
+  const guess = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(guess, timeZone); // Offset at midnight itself, if a DST change falls in between
+}
+
+// How far a timezone's clocks are ahead of UTC at an instant (whole seconds)
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(ms).map(p => [p.type, Number(p.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(ms / 1000) * 1000;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} config - App config (uses dataDir, search.*)
+   * @param {TranscriptIndex} transcripts - Parsed session transcripts
+   */
+  constructor(config, transcripts) {
+    this.transcripts = transcripts;
+    this.embeddings = config.search.embeddingsUrl ? new Embeddings(config) : null;
+    this.updating = null;
+    this.reset();
+  }
+
+  get semantic() {
+    return !!this.embeddings;
+  }
+
+  reset() {
+    this.docs = [];            // docNo -> { sessionId, message, channel, length }
+    this.postings = new Map(); // term -> [[docNo, termFrequency], ...]
+    this.totalLength = 0;
+    this.indexed = new Map();  // sessionId -> { messages (the index's array), count, channelOf }
+  }
+
+  // Bring the index up to date (concurrent callers share one pass)
+  update() {
+    if (!this.updating) {
+      this.updating = this.addNew().finally(() => { this.updating = null; });
+    }
+    return this.updating;
+  }
+
+  async addNew() {
+    const sessions = await this.transcripts.sessions();
+
+    // A transcript that was replaced (re-parsed into a new array) or deleted means a rebuild
+    const current = new Set(sessions.map(s => s.sessionId));
+    const stale = [...this.indexed.keys()].some(id => !current.has(id))
+      || sessions.some(s => this.indexed.has(s.sessionId) && this.indexed.get(s.sessionId).messages !== s.messages);
+    if (stale) this.reset();
+
+    const added = [];
+    for (const session of sessions) {
+      const seen = this.indexed.get(session.sessionId)
+        || { messages: session.messages, count: 0, channelOf: channelResolver(session.sessionId) };
+      for (let i = seen.count; i < session.messages.length; i++) {
+        const doc = this.add(session.sessionId, session.messages[i], seen.channelOf);
+        if (doc) added.push(doc);
+      }
+      seen.count = session.messages.length;
+      this.indexed.set(session.sessionId, seen);
+    }
+
+    if (added.length > 0) {
+      if (stale || this.docs.length === added.length) console.log(`🔎 Search index: ${this.docs.length} messages`);
+      this.embeddings?.backfill(added);
+    }
+  }
+
+  add(sessionId, message, channelOf) {
+    if (!message.text || message.isSystem) return null;
+
+    const channel = channelOf(message);
+    const terms = tokenize(message.text);
+    const docNo = this.docs.length;
+    const doc = { sessionId, message, channel, length: terms.length };
+    this.docs.push(doc);
+    this.totalLength += terms.length;
+
+    const frequencies = new Map();
+    for (const term of terms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, []);
+      this.postings.get(term).push([docNo, frequency]);
+    }
+    return doc;
+  }
+
+  /**
+   * Search every transcript
+   * @param {string} query
+   * @param {Object} options - { channels, roles, from, to (ms), mode: 'hybrid'|'text'|'semantic', limit, offset }
+   * @returns {Promise<{results: Array, total: number, terms: string[], semantic: boolean}>}
+   *   semantic: whether semantic matches are in the ranking
+   */
+  async search(query, { channels = null, roles = null, from = null, to = null, mode = 'hybrid', limit = 20, offset = 0 } = {}) {
+    await this.update();
+
+    const matches = (doc) =>
+      (!channels || channels.includes(doc.channel))
+      && (!roles || roles.includes(doc.message.role))
+      && (from == null || doc.message.timestamp >= from)
+      && (to == null || doc.message.timestamp <= to);
+
+    const terms = tokenize(query);
+    const rankings = [];
+    const semanticRanking = mode !== 'text' && this.embeddings ? await this.semanticRanking(query, matches) : null;
+    if (semanticRanking) rankings.push(semanticRanking);
+    // Keywords unless only semantic matches were asked for (and are available)
+    if (mode !== 'semantic' || !semanticRanking) rankings.push(this.keywordRanking(terms, matches));
+    const semantic = !!semanticRanking;
+
+    // Reciprocal rank fusion (a single ranking keeps its order); newer first on ties
+    const fused = new Map();
+    for (const ranking of rankings) {
+      ranking.forEach((docNo, rank) => fused.set(docNo, (fused.get(docNo) || 0) + 1 / (RRF_K + rank + 1)));
+    }
+    const ranked = [...fused.entries()]
+      .sort((a, b) => b[1] - a[1] || this.docs[b[0]].message.timestamp - this.docs[a[0]].message.timestamp);
+
+    const results = ranked.slice(offset, offset + limit).map(([docNo, score]) => {
+      const { sessionId, message, channel } = this.docs[docNo];
+      return {
+        sessionId,
+        id: message.id,
+        role: message.role,
+        channel,
+        timestamp: message.timestamp,
+        snippet: snippet(message.text, terms),
+        score: Math.round(score * 10000) / 10000,
+      };
+    });
+
+    return { results, total: ranked.length, terms, semantic };
+  }
+
+  // docNos by BM25 score, best first
+  keywordRanking(terms, matches) {
+    if (terms.length === 0 || this.docs.length === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.length || 1;
+    const scores = new Map();    // docNo -> score
+    const matched = new Map();   // docNo -> query terms found
+
+    terms.forEach((term, i) => {
+      // The last term may still be being typed
+      const words = [term];
+      if (i === terms.length - 1 && term.length >= MIN_PREFIX_LENGTH) {
+        for (const word of this.postings.keys()) {
+          if (word !== term && word.startsWith(term)) words.push(word);
+        }
+      }
+
+      const seen = new Set();
+      for (const word of words) {
+        const postings = this.postings.get(word);
+        if (!postings) continue;
+        const idf = Math.log(1 + (this.docs.length - postings.length + 0.5) / (postings.length + 0.5));
+        for (const [docNo, frequency] of postings) {
+          const doc = this.docs[docNo];
+          if (!matches(doc)) continue;
+          const tf = (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+          scores.set(docNo, (scores.get(docNo) || 0) + idf * tf);
+          if (!seen.has(docNo)) {
+            seen.add(docNo);
+            matched.set(docNo, (matched.get(docNo) || 0) + 1);
+          }
+        }
+      }
+    });
+
+    // Messages with every term come first
+    const coverage = docNo => (matched.get(docNo) / terms.length) ** 2;
+    return [...scores.entries()]
+      .map(([docNo, score]) => [docNo, score * coverage(docNo)])
+      .sort((a, b) => b[1] - a[1])
+      .map(([docNo]) => docNo);
+  }
+
+  // docNos by cosine similarity to the query, or null if the model can't be reached
+  async semanticRanking(query, matches) {
+    if (!query.trim()) return null;
+    let queryVector;
+    try {
+      [queryVector] = await this.embeddings.embed([query]);
+    } catch (e) {
+      console.error('Search embedding failed:', e.message);
+      return null;
+    }
+
+    const scored = [];
+    this.docs.forEach((doc, docNo) => {
+      const vector = this.embeddings.get(doc);
+      if (!vector || !matches(doc)) return;
+      const similarity = dot(queryVector, vector);
+      if (similarity >= SEMANTIC_MIN_SIMILARITY) scored.push([docNo, similarity]);
+    });
+    return scored
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SEMANTIC_CANDIDATES)
+      .map(([docNo]) => docNo);
+  }
+}
+
+// Up to SNIPPET_LENGTH characters around the first query term
+function snippet(text, terms) {
+  const lower = text.toLowerCase();
+  const hit = terms.map(t => lower.indexOf(t)).filter(i => i !== -1).sort((a, b) => a - b)[0] ?? 0;
+  const start = Math.max(0, Math.min(hit - 40, text.length - SNIPPET_LENGTH));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return Float32Array.from(vector, x => x / norm);
+}
+
+// ============================================================================
+// EMBEDDINGS (local OpenAI-compatible /embeddings endpoint)
+// ============================================================================
+
+const EMBED_BATCH_SIZE = 32;
+const EMBED_MAX_CHARS = 2000;
+const EMBED_RETRY_MS = 5 * 60 * 1000; // After the model server fails, before trying again
+
+class Embeddings {
+  constructor(config) {
+    this.url = config.search.embeddingsUrl.replace(/\/+$/, '');
+    this.model = config.search.embeddingsModel;
+    this.dataDir = config.dataDir;
+    this.path = join(config.dataDir, 'search-embeddings.jsonl');
+    this.vectors = this.load(); // "sessionId/messageId" -> normalized Float32Array
+    this.queue = [];
+    this.running = false;
+    this.failedAt = 0;
+    this.retryTimer = null;
+  }
+
+  key(doc) {
+    return doc.message.id ? `${doc.sessionId}/${doc.message.id}` : null;
+  }
+
+  get(doc) {
+    return this.vectors.get(this.key(doc));
+  }
+
+  load() {
+    const vectors = new Map();
+    if (!existsSync(this.path)) return vectors;
+    for (const line of readFileSync(this.path, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        const { key, model, vector } = JSON.parse(line);
+        if (model === this.model) vectors.set(key, Float32Array.from(vector));
+      } catch {
+        // Torn last line from a crash
+      }
+    }
+    return vectors;
+  }
+
+  /**
+   * Embed texts with the local model
+   * @param {string[]} texts
+   * @returns {Promise<Float32Array[]>} - Normalized vectors
+   */
+  async embed(texts) {
+    const response = await fetch(`${this.url}/embeddings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: this.model, input: texts.map(t => t.slice(0, EMBED_MAX_CHARS)) }),
+      signal: AbortSignal.timeout(60000)
+    });
+    if (!response.ok) throw new Error(`${response.status} ${await response.text()}`);
+    const { data } = await response.json();
+    return data.sort((a, b) => a.index - b.index).map(d => normalize(d.embedding));
+  }
+
+  // Embed new messages in the background, a batch at a time
+  backfill(docs) {
+    this.queue.push(...docs.filter(doc => this.key(doc) && !this.vectors.has(this.key(doc))));
+    if (this.running || this.queue.length === 0) return;
+    if (Date.now() - this.failedAt < EMBED_RETRY_MS) return;
+    this.running = true;
+    this.drain().finally(() => { this.running = false; });
+  }
+
+  async drain() {
+    if (!existsSync(this.dataDir)) mkdirSync(this.dataDir, { recursive: true });
+    const total = this.queue.length;
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.slice(0, EMBED_BATCH_SIZE);
+      let vectors;
+      try {
+        vectors = await this.embed(batch.map(doc => doc.message.text));
+      } catch (e) {
+        console.error(`🔎 Embeddings unavailable (${e.message}) - retrying in ${EMBED_RETRY_MS / 60000} min`);
+        this.failedAt = Date.now();
+        this.scheduleRetry();
+        return; // The queue is kept for the next try
+      }
+      this.queue.splice(0, batch.length);
+
+      const lines = batch.map((doc, i) => {
+        this.vectors.set(this.key(doc), vectors[i]);
+        return JSON.stringify({ key: this.key(doc), model: this.model, vector: Array.from(vectors[i]) });
+      });
+      appendFileSync(this.path, lines.join('\n') + '\n');
+    }
+    if (total > EMBED_BATCH_SIZE) console.log(`🔎 Embedded ${total} messages`);
+  }
+
+  // Try the kept queue again even if no new messages come in to trigger it
+  scheduleRetry() {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.backfill([]);
+    }, EMBED_RETRY_MS);
+    this.retryTimer.unref();
+  }
+}
@@ -16,15 +16,35 @@
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import express from 'express';
-import { readFileSync, existsSync, writeFileSync, mkdirSync, watch } from 'fs';
-import { execSync, spawn } from 'child_process';
+import { existsSync, writeFileSync, mkdirSync, watch } from 'fs';
+import { spawn } from 'child_process';
+import { pipeline } from 'stream';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { TTSProvider } from './providers/tts.js';
-import { loadConfig } from './config.js';
+import { STTProvider } from './providers/stt.js';
+import { VideoProvider, VIDEO_MODELS } from './providers/video.js';
+import { loadConfig, reportConfig } from './config.js';
 import { handleRealtimeSession } from './realtime.js';
 import { handleHybridRealtimeSession } from './hybrid-realtime.js';
 import { handleElevenLabsSession } from './elevenlabs-realtime.js';
+import { ModeRegistry } from './modes.js';
+import { VideoJobQueue, publicJob } from './video-jobs.js';
+import { FeedWatermarks } from './feed-watermarks.js';
+import { RequestStore } from './request-store.js';
+import { ClawdbotStatus } from './clawdbot-status.js';
+import { Auth, SESSION_COOKIE, publicDevice, clientIp } from './auth.js';
+import { transcriptIndex, SESSIONS_DIR } from './transcripts.js';
+import { cleanText, channelResolver } from './transcript-parser.js';
+import { mainSession } from './session-locator.js';
+import { transcriptWriter, SOURCES } from './transcript-writer.js';
+import { SearchIndex, parseDateFilter } from './search-index.js';
+import { exportSession, EXPORT_FORMATS } from './session-export.js';
+import { NotesLibrary, publicNote } from './notes.js';
+import { MeetingRecorder, publicMeeting, MAX_CHUNKS_AHEAD } from './meetings.js';
+import { DiarizationProvider } from './providers/diarization.js';
+import { createFrame, validateFrame, ERROR_CODES, PROTOCOL_VERSION } from '../public/protocol.js';
+import multer from 'multer';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const pdf = require('pdf-parse');
@@ -33,14 +53,23 @@ const mammoth = require('mammoth');
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const config = loadConfig();
 
+// `node src/server.js --check-config` - print every setting and exit
+if (process.argv.includes('--check-config')) {
+  process.exit(reportConfig(config, { verbose: true }) ? 0 : 1);
+}
+if (!reportConfig(config)) {
+  console.error('❌ Invalid config - fix the errors above (node src/server.js --check-config)');
+  process.exit(1);
+}
+
 // ============================================================================
 // SESSION UNIFICATION - Feature Flag & Gateway Communication
 // Set UNIFIED_SESSION=false to revert to isolated sessions
 // ============================================================================
-const UNIFIED_SESSION = process.env.UNIFIED_SESSION !== 'false'; // Default: true
-const UNIFIED_GATEWAY_URL = 'http://localhost:18789';
-const UNIFIED_HOOK_TOKEN = 'spark-portal-hook-token-2026';
-const UNIFIED_SESSION_KEY = 'agent:main:main';
+const UNIFIED_SESSION = config.unifiedSession;
+const UNIFIED_GATEWAY_URL = config.llm.gatewayUrl;
+const UNIFIED_HOOK_TOKEN = config.clawdbot.hookToken;
+const UNIFIED_SESSION_KEY = config.clawdbot.mainSessionKey;
 
 console.log(`🔗 Session Unification: ${UNIFIED_SESSION ? 'ENABLED (shared with WhatsApp)' : 'DISABLED (isolated)'}`);
 
@@ -75,12 +104,14 @@ async function checkGatewayStatus() {
 }
 
 // Queue a message for later delivery
-function queueMessage(ws, sessionId, text, resolve) {
+function queueMessage(ws, sessionId, text, resolve, { sparkMode = null, requestId = null } = {}) {
   if (messageQueue.length >= MAX_QUEUE_SIZE) {
     console.warn(`⚠️ Message queue full (${MAX_QUEUE_SIZE}), rejecting message`);
     return false;
   }
-  messageQueue.push({ ws, sessionId, text, resolve, queuedAt: Date.now() });
+  const item = { sessionId, text, sparkMode, requestId, queuedAt: Date.now() };
+  messageQueue.push({ ...item, ws, resolve });
+  requestStore.append({ op: 'enqueue', item });
   console.log(`📥 [${sessionId}] Message queued (${messageQueue.length} pending)`);
   return true;
 }
@@ -103,18 +134,22 @@ async function drainMessageQueue() {
   // Process queue in order
   while (messageQueue.length > 0) {
     const item = messageQueue.shift();
+    requestStore.append({ op: 'dequeue', requestId: item.requestId });
     const waitTime = Date.now() - item.queuedAt;
     console.log(`📤 [${item.sessionId}] Processing queued message (waited ${Math.round(waitTime/1000)}s)`);
     
     try {
       // Re-attempt the message
-      await routeThroughClawdbot(item.ws, item.sessionId, item.text, true);
-      if (item.resolve) item.resolve(true);
+      const reply = await routeThroughClawdbot(item.ws, item.sessionId, item.text, {
+        isRetry: true,
+        sparkMode: item.sparkMode,
+        requestId: item.requestId
+      });
+      if (item.resolve) item.resolve(reply);
     } catch (e) {
       console.error(`❌ [${item.sessionId}] Failed to process queued message:`, e.message);
-      sendToClient(item.sessionId, { type: 'error', message: `Queued message failed: ${e.message}` });
-      sendToClient(item.sessionId, { type: 'done' });
-      if (item.resolve) item.resolve(false);
+      sendError(item.sessionId, ERROR_CODES.UPSTREAM, `Queued message failed: ${e.message}`, item.sparkMode, item.requestId);
+      if (item.resolve) item.resolve(null);
     }
   }
   
@@ -147,8 +182,9 @@ function isConnectingError(errorText) {
 }
 
 // Send message to main session via gateway webhook
-async function sendToMainSession(text, source = 'Spark Portal') {
-  if (!UNIFIED_SESSION) {
+// deliver: also deliver the agent's reply to WhatsApp
+async function sendToMainSession(text, source = 'Spark Portal', { deliver = false } = {}) {
+  if (!UNIFIED_SESSION || !UNIFIED_HOOK_TOKEN) {
     return null;
   }
   
@@ -163,7 +199,7 @@ async function sendToMainSession(text, source = 'Spark Portal') {
         message: text,
         name: source,
         sessionKey: UNIFIED_SESSION_KEY,
-        deliver: false,
+        deliver,
         timeoutSeconds: 120
       })
     });
@@ -190,86 +226,50 @@ const MODELS = {
 };
 
 // Gateway connection
-const GATEWAY_URL = config.llm?.gatewayUrl || 'http://localhost:18789';
-const GATEWAY_TOKEN = config.llm?.gatewayToken || loadGatewayToken();
-
-function loadGatewayToken() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    try {
-      const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-      return cfg.gateway?.auth?.token;
-    } catch {}
-  }
-  return null;
-}
+const GATEWAY_URL = config.llm.gatewayUrl;
+const GATEWAY_TOKEN = config.llm.gatewayToken;
 
 // TTS
 const tts = new TTSProvider(config.tts);
 
-// Shared session with Clawdbot (same as WhatsApp)
-const SESSIONS_DIR = '/home/heisenberg/.clawdbot/agents/main/sessions';
+// STT (server-side transcription for uploads and voice notes)
+const stt = new STTProvider(config.stt);
 
-// Get main session ID dynamically from sessions.json
-function getMainSessionId() {
-  try {
-    const sessionsPath = join(SESSIONS_DIR, 'sessions.json');
-    if (existsSync(sessionsPath)) {
-      const sessions = JSON.parse(readFileSync(sessionsPath, 'utf8'));
-      // sessions.json is keyed by session key (e.g., "agent:main:main")
-      const mainSession = sessions['agent:main:main'];
-      if (mainSession?.sessionId) {
-        return mainSession.sessionId;
-      }
-    }
-  } catch (e) {
-    console.error('Failed to read main session ID:', e.message);
-  }
-  // Fallback to current known ID
-  return '1e4cdd11-d94a-4ed8-b686-029d5fb50ac1';
-}
+// Spark modes (Dev, Research, Plan, ...) - config + per-mode transcripts
+const modes = new ModeRegistry(config);
+
+// Per-user "cleared at" markers for the unified feed (clear = archive, not delete)
+const feedWatermarks = new FeedWatermarks(config);
+
+// Voice notes - audio, transcript, summary and tags per note
+const notes = new NotesLibrary(config, {
+  transcribe: (audio, options) => stt.transcribe(audio, options),
+  summarize: (prompt) => chat([{ role: 'user', content: prompt }], MODELS.notes, 'notes')
+});
+
+// On-disk log of portal sessions, pending requests and the message queue
+const requestStore = new RequestStore(config);
 
-const MAIN_SESSION_ID = getMainSessionId();
-const MAIN_SESSION_PATH = join(SESSIONS_DIR, `${MAIN_SESSION_ID}.jsonl`);
+// Portal login and signed-in devices (off until SPARK_PASSPHRASE is set - see the config report)
+const auth = new Auth(config);
+
+// Keyword (and, with a local embeddings model, semantic) search over every transcript
+const searchIndex = new SearchIndex(config, transcriptIndex);
+
+// Follows sessions.json, so writers and the sync watcher move with the main session
+mainSession.start();
+if (!mainSession.sessionId) {
+  console.warn(`⚠️ No main session in ${join(SESSIONS_DIR, 'sessions.json')} - set MAIN_SESSION_ID`);
+}
 
 // Load recent history from main session
-function loadSessionHistory(limit = 20) {
+async function loadSessionHistory(limit = 20) {
   try {
-    if (!existsSync(MAIN_SESSION_PATH)) return [];
-    
-    const content = readFileSync(MAIN_SESSION_PATH, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-    
     const messages = [];
-    for (const line of lines.slice(-limit * 2)) { // Read more to filter
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type === 'message' && entry.message) {
-          const msg = entry.message;
-          if (msg.role === 'user' || msg.role === 'assistant') {
-            let text = '';
-            if (typeof msg.content === 'string') {
-              text = msg.content;
-            } else if (Array.isArray(msg.content)) {
-              const textPart = msg.content.find(c => c.type === 'text');
-              text = textPart?.text || '';
-            }
-            
-            // Skip heartbeats and system messages
-            if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-            
-            // Clean WhatsApp markers
-            text = text
-              .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-              .replace(/\n?\[message_id:[^\]]+\]/g, '')
-              .trim();
-            
-            if (text) {
-              messages.push({ role: msg.role, content: text });
-            }
-          }
-        }
-      } catch {}
+    for (const msg of await transcriptIndex.messages(mainSession.sessionId, { limit: limit * 2 })) { // Read more to filter
+      // Skip heartbeats and system messages
+      if (msg.isSystem || !msg.text) continue;
+      messages.push({ role: msg.role, content: msg.text });
     }
     
     return messages.slice(-limit);
@@ -279,31 +279,13 @@ function loadSessionHistory(limit = 20) {
   }
 }
 
-import { appendFileSync } from 'fs';
-
-// Append message to main session
-
-function appendToSessionSync(role, content) {
-  try {
-    const entry = {
-      type: 'message',
-      id: Math.random().toString(36).slice(2, 10),
-      timestamp: new Date().toISOString(),
-      message: {
-        role,
-        content: [{ type: 'text', text: `[Spark Web] ${content}` }],
-        timestamp: Date.now()
-      }
-    };
-    
-    appendFileSync(MAIN_SESSION_PATH, JSON.stringify(entry) + '\n');
-  } catch (e) {
-    console.error('Failed to append to session:', e.message);
-  }
+// Append message to main session (locked file write)
+function appendToSession(role, content) {
+  return transcriptWriter.append(role, content, SOURCES.web);
 }
 
 console.log(`🧠 Models: Voice=${MODELS.voice}, Chat=${MODELS.chat}`);
-console.log(`📁 Shared session: ${MAIN_SESSION_ID}`);
+console.log(`📁 Shared session: ${mainSession.sessionId}`);
 
 // Express app
 const app = express();
@@ -316,8 +298,123 @@ app.use((req, res, next) => {
 
 app.use(express.static(join(__dirname, '../public'), { etag: false }));
 
+// ============================================================================
+// AUTH - login, device tokens, device admin
+// ============================================================================
+
+function setSessionCookie(req, res, device) {
+  res.cookie(SESSION_COOKIE, auth.sessionCookie(device), {
+    maxAge: auth.sessionMs,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https'
+  });
+}
+
+// Every /api route needs a signed-in device (when auth is on)
+function requireAuth(req, res, next) {
+  if (!auth.enabled) return next();
+  const device = auth.authenticate(req);
+  if (!device) return res.status(401).json({ error: 'Not signed in' });
+  req.device = device;
+  next();
+}
+
+app.post('/auth/login', express.json(), (req, res) => {
+  if (!auth.enabled) return res.json({ ok: true, authEnabled: false });
+  
+  const { passphrase, code, deviceName } = req.body || {};
+  const result = auth.login({
+    passphrase,
+    code,
+    deviceName,
+    userAgent: req.headers['user-agent'],
+    ip: clientIp(req)
+  });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  setSessionCookie(req, res, result.device);
+  res.json({ ok: true, device: publicDevice(result.device), deviceToken: result.token });
+});
+
+// PWA: trade the stored device token for a fresh session cookie
+app.post('/auth/device', (req, res) => {
+  if (!auth.enabled) return res.json({ ok: true, authEnabled: false });
+  
+  const device = auth.authenticate(req);
+  if (!device) return res.status(401).json({ error: 'Device token is invalid or revoked' });
+  setSessionCookie(req, res, device);
+  res.json({ ok: true, device: publicDevice(device) });
+});
+
+// Signing out forgets this device (its token stops working too)
+app.post('/auth/logout', (req, res) => {
+  const device = auth.enabled ? auth.authenticate(req) : null;
+  if (device) auth.revoke(device.id);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok: true });
+});
+
+app.get('/auth/me', (req, res) => {
+  if (!auth.enabled) return res.json({ authEnabled: false, device: null });
+  
+  const device = auth.authenticate(req);
+  if (!device) return res.status(401).json({ error: 'Not signed in', totp: auth.totpEnabled });
+  res.json({ authEnabled: true, device: publicDevice(device) });
+});
+
+app.use('/api', requireAuth);
+
+// Device admin (public/devices.html)
+app.get('/api/devices', (req, res) => {
+  res.json({ devices: auth.list(), currentId: req.device?.id || null });
+});
+
+app.delete('/api/devices/:id', (req, res) => {
+  if (!auth.revoke(req.params.id)) {
+    return res.status(404).json({ error: 'Device not found or already revoked' });
+  }
+  
+  // Drop its open sockets too - portal and voice (they were authorized at upgrade time)
+  for (const client of [...wss.clients, ...wssRealtime.clients]) {
+    if (client.deviceId === req.params.id) client.close(4001, 'Device revoked');
+  }
+  res.json({ ok: true });
+});
+
 app.get('/api/config', (req, res) => {
-  res.json({ modes: Object.keys(MODELS) });
+  res.json({ modes: Object.keys(MODELS), protocol: PROTOCOL_VERSION });
+});
+
+// Mode registry - name, icon, system prompt, routing target, notifyWhatsApp
+app.get('/api/modes', (req, res) => {
+  res.json({ modes: modes.list() });
+});
+
+app.get('/api/modes/:mode', (req, res) => {
+  const mode = modes.get(req.params.mode);
+  if (!mode) {
+    return res.status(404).json({ error: 'Mode not found' });
+  }
+  res.json({ mode });
+});
+
+app.put('/api/modes/:mode', express.json(), (req, res) => {
+  try {
+    const mode = modes.update(req.params.mode, req.body);
+    res.json({ mode });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Per-mode transcript
+app.get('/api/modes/:mode/history', (req, res) => {
+  if (!modes.has(req.params.mode)) {
+    return res.status(404).json({ error: 'Mode not found' });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  res.json({ messages: modes.loadHistory(req.params.mode, limit) });
 });
 
 // Articulations endpoint - refine text for clarity
@@ -380,74 +477,55 @@ You are NOT a chatbot. You are NOT helpful. You ONLY output cleaner versions of
   }
 });
 
-// Fetch chat history from session files
-import { readdirSync, statSync } from 'fs';
+// Fetch chat history from session files (via the incremental transcript index)
 
-function extractTextFromContent(content) {
-  if (!content) return null;
-  if (typeof content === 'string') return content;
-  if (Array.isArray(content)) {
-    const textPart = content.find(c => c.type === 'text');
-    return textPart?.text || null;
-  }
-  return null;
+// Feed owner, identified by a long-lived cookie (assigned on first request)
+const FEED_USER_COOKIE = 'spark_uid';
+
+function feedUserId(req, res) {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${FEED_USER_COOKIE}=([a-z0-9]+)`));
+  if (match) return match[1];
+  
+  const userId = Math.random().toString(36).slice(2, 12);
+  res.cookie(FEED_USER_COOKIE, userId, {
+    maxAge: 365 * 24 * 60 * 60 * 1000,
+    httpOnly: true,
+    sameSite: 'lax'
+  });
+  return userId;
 }
 
 app.get('/api/sessions', async (req, res) => {
   try {
-    const files = readdirSync(SESSIONS_DIR)
-      .filter(f => f.endsWith('.jsonl'))
-      .map(f => {
-        const filepath = join(SESSIONS_DIR, f);
-        const stat = statSync(filepath);
-        const content = readFileSync(filepath, 'utf8');
-        const lines = content.trim().split('\n').filter(l => l);
-        
+    const clearedAt = feedWatermarks.clearedAt(feedUserId(req, res));
+    const files = (await transcriptIndex.sessions())
+      .map(session => {
         // Get last user message as preview
         let preview = 'No messages';
         let channel = 'spark';
         
-        for (let i = lines.length - 1; i >= 0; i--) {
-          try {
-            const entry = JSON.parse(lines[i]);
-            // Handle Clawdbot transcript format: {"type":"message","message":{...}}
-            const msg = entry.message || entry;
-            if (msg.role === 'user') {
-              const text = extractTextFromContent(msg.content);
-              if (text) {
-                // Check if WhatsApp
-                if (text.includes('[message_id:') || text.includes('[WhatsApp')) channel = 'whatsapp';
-                
-                // Clean up preview - remove all metadata
-                preview = text
-                  .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-                  .replace(/\n?\[message_id:[^\]]+\]/g, '')
-                  .replace(/^\[Chat messages since[^\]]*\]\n?/gm, '')
-                  .replace(/^\[Current message[^\]]*\]\n?/gm, '')
-                  .replace(/^User:\s*/gm, '')
-                  .replace(/^Assistant:[^\n]*\n?/gm, '')
-                  .trim()
-                  .slice(0, 100);
-                
-                // Skip if preview is empty after cleaning
-                if (!preview) continue;
-                break;
-              }
-            }
-          } catch {}
+        for (let i = session.messages.length - 1; i >= 0; i--) {
+          const msg = session.messages[i];
+          // Skip if preview is empty after cleaning
+          if (msg.role !== 'user' || !msg.text) continue;
+          
+          if (msg.channel === 'whatsapp') channel = 'whatsapp';
+          preview = msg.text.slice(0, 100);
+          break;
         }
         
         return {
-          key: f.replace('.jsonl', ''),
+          key: session.sessionId,
           channel,
-          updatedAt: stat.mtimeMs,
+          updatedAt: session.updatedAt,
           preview,
+          archived: session.updatedAt <= clearedAt, // Hidden from the feed by a clear
         };
       })
       .sort((a, b) => b.updatedAt - a.updatedAt)
       .slice(0, 20);
     
-    res.json({ sessions: files });
+    res.json({ sessions: files, clearedAt });
   } catch (e) {
     console.error('Sessions fetch error:', e.message);
     res.status(500).json({ error: e.message });
@@ -455,199 +533,634 @@ app.get('/api/sessions', async (req, res) => {
 });
 
 // Fetch specific session history
+// Includes messages hidden from the feed by a clear (marked archived: true)
 app.get('/api/sessions/:sessionId', async (req, res) => {
   try {
     const sessionId = req.params.sessionId;
-    const filepath = join(SESSIONS_DIR, `${sessionId}.jsonl`);
     
-    if (!existsSync(filepath)) {
+    // Session IDs are file names - don't let them walk out of the sessions dir
+    if (!/^[\w.-]+$/.test(sessionId) || !existsSync(transcriptIndex.path(sessionId))) {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    const content = readFileSync(filepath, 'utf8');
-    const messages = content.trim().split('\n')
-      .filter(l => l)
-      .map(l => {
-        try {
-          const entry = JSON.parse(l);
-          // Handle Clawdbot transcript format
-          if (entry.type === 'message' && entry.message) {
-            return entry.message;
-          }
-          return null;
-        } catch { return null; }
-      })
-      .filter(m => m && (m.role === 'user' || m.role === 'assistant'));
+    const clearedAt = feedWatermarks.clearedAt(feedUserId(req, res));
+    const messages = (await transcriptIndex.messages(sessionId)).filter(m => m.text).map(m => ({
+      id: m.id,
+      role: m.role,
+      content: m.text || '',
+      timestamp: m.timestamp,
+      archived: m.timestamp <= clearedAt
+    }));
     
-    res.json({ messages });
+    res.json({ messages, clearedAt });
   } catch (e) {
     console.error('Session history error:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Fetch ALL messages from ALL sessions - unified chat feed (Web + WhatsApp only)
-app.get('/api/messages/all', async (req, res) => {
+// Download a conversation: GET /api/sessions/:sessionId/export?format=md|json|html|zip
+app.get('/api/sessions/:sessionId/export', async (req, res) => {
+  const sessionId = req.params.sessionId;
+  const format = req.query.format || 'md';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!/^[\w.-]+$/.test(sessionId) || !existsSync(transcriptIndex.path(sessionId))) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
   try {
-    const allMessages = [];
-    const files = readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.jsonl'));
+    const { filename, contentType, body } = await exportSession(sessionId, await transcriptIndex.messages(sessionId), format, config, {
+      notes: notes.list()
+    });
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (typeof body === 'string') return res.send(body);
     
-    // Patterns to exclude (heartbeats, cron, system)
-    const excludePatterns = [
-      'Read HEARTBEAT.md',
-      'HEARTBEAT_OK',
-      'Cron:',
-      '[Cron job',
-      'systemEvent',
-    ];
+    // Zip: streamed as it's built - too late for an error response if it fails partway
+    pipeline(body, res, (e) => {
+      if (e) console.error('Session export error:', e.message);
+    });
+  } catch (e) {
+    console.error('Session export error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Search every session transcript
+// GET /api/search?q=&channel=web,whatsapp&role=user&from=2026-01-01&to=2026-02-01&mode=hybrid|text|semantic&limit=&offset=
+const SEARCH_CHANNELS = ['web', 'whatsapp', 'voice', 'other'];
+const SEARCH_ROLES = ['user', 'assistant'];
+
+// Comma-separated query filter: null if absent, undefined if any item isn't allowed
+function queryList(value, allowed = null) {
+  if (!value) return null;
+  const items = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return !allowed || items.every(v => allowed.includes(v)) ? items : undefined;
+}
+
+app.get('/api/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'q is required' });
+  
+  // Dates (2026-01-31, in config.timezone) or epoch milliseconds; a bare `to` date includes that whole day
+  const channels = queryList(req.query.channel, SEARCH_CHANNELS);
+  const roles = queryList(req.query.role, SEARCH_ROLES);
+  const from = parseDateFilter(req.query.from, config.timezone);
+  const to = parseDateFilter(req.query.to, config.timezone, { endOfDay: true });
+  const mode = req.query.mode || 'hybrid';
+  if (channels === undefined) return res.status(400).json({ error: `channel must be one of ${SEARCH_CHANNELS.join(', ')}` });
+  if (roles === undefined) return res.status(400).json({ error: `role must be one of ${SEARCH_ROLES.join(', ')}` });
+  if (from === undefined || to === undefined) return res.status(400).json({ error: 'from/to must be dates or timestamps' });
+  if (!['hybrid', 'text', 'semantic'].includes(mode)) return res.status(400).json({ error: 'mode must be hybrid, text or semantic' });
+  
+  try {
+    const result = await searchIndex.search(q, {
+      channels, roles, from, to, mode,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+    res.json(result);
+  } catch (e) {
+    console.error('Search error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Unified chat feed - messages from every Spark and WhatsApp session, oldest first
+// GET /api/messages/all?before=<id>|after=<id>&limit=&channel=web,whatsapp&role=user&session=<sessionId>,...
+// Without a cursor it returns the newest page; `hasMore` says whether there's
+// more beyond it (older for before/no cursor, newer for after).
+const FEED_PAGE_SIZE = 100;
+const FEED_MAX_PAGE_SIZE = 200;
+
+app.get('/api/messages/all', async (req, res) => {
+  const { before, after } = req.query;
+  const channels = queryList(req.query.channel, SEARCH_CHANNELS);
+  const roles = queryList(req.query.role, SEARCH_ROLES);
+  const sessionIds = queryList(req.query.session);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || FEED_PAGE_SIZE, 1), FEED_MAX_PAGE_SIZE);
+  if (before && after) return res.status(400).json({ error: 'Use either before or after, not both' });
+  if (channels === undefined) return res.status(400).json({ error: `channel must be one of ${SEARCH_CHANNELS.join(', ')}` });
+  if (roles === undefined) return res.status(400).json({ error: `role must be one of ${SEARCH_ROLES.join(', ')}` });
+  
+  try {
+    const clearedAt = feedWatermarks.clearedAt(feedUserId(req, res));
+    const feed = [];
     
-    for (const f of files) {
-      const filepath = join(SESSIONS_DIR, f);
-      const content = readFileSync(filepath, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
-      
-      // Determine session type from filename
-      const isSparkSession = f.startsWith('spark_');
-      
-      // First pass: check if this session has any WhatsApp messages
-      const hasWhatsApp = content.includes('[WhatsApp');
-      
+    for (const session of await transcriptIndex.sessions()) {
       // Skip sessions that are neither Spark nor WhatsApp
-      if (!isSparkSession && !hasWhatsApp) continue;
+      const isSparkSession = session.sessionId.startsWith('spark_');
+      if (!isSparkSession && !session.hasWhatsApp) continue;
+      if (sessionIds && !sessionIds.includes(session.sessionId)) continue;
       
-      for (const line of lines) {
-        try {
-          const entry = JSON.parse(line);
-          // Handle Clawdbot transcript format
-          if (entry.type === 'message' && entry.message) {
-            const msg = entry.message;
-            if (msg.role === 'user' || msg.role === 'assistant') {
-              // Extract text content
-              let text = extractTextFromContent(msg.content);
-              if (!text) continue;
-              
-              // Determine channel for this message
-              const isWhatsAppMsg = text.includes('[WhatsApp');
-              
-              // Skip heartbeats, cron, system messages
-              if (excludePatterns.some(p => text.includes(p))) continue;
-              
-              // Clean up the text
-              text = text
-                .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-                .replace(/\n?\[message_id:[^\]]+\]/g, '')
-                .replace(/^\[Chat messages since[^\]]*\]\n?/gm, '')
-                .replace(/^\[Current message[^\]]*\]\n?/gm, '')
-                .replace(/^User:\s*/gm, '')
-                .replace(/^Assistant:\s*/gm, '')
-                .trim();
-              
-              if (!text) continue;
-              
-              // Get timestamp
-              const timestamp = msg.timestamp || entry.timestamp || Date.parse(entry.timestamp) || 0;
-              
-              allMessages.push({
-                role: msg.role,
-                text,
-                channel: hasWhatsApp ? 'whatsapp' : 'web',
-                timestamp: typeof timestamp === 'string' ? Date.parse(timestamp) : timestamp
-              });
-            }
-          }
-        } catch {}
-      }
+      const channelOf = channelResolver(session.sessionId);
+      session.messages.forEach((msg, i) => {
+        // Skip heartbeats, cron, system messages
+        if (!msg.text || msg.isSystem) return;
+        const channel = channelOf(msg); // Even for hidden messages - replies follow them
+        
+        // Hidden by a clear (still browsable via /api/sessions/:sessionId)
+        if (msg.timestamp <= clearedAt) return;
+        
+        feed.push({
+          id: msg.id || `${session.sessionId}#${i}`, // Old entries have no id
+          sessionId: session.sessionId,
+          role: msg.role,
+          text: msg.text,
+          channel,
+          timestamp: msg.timestamp
+        });
+      });
     }
     
-    // Sort by timestamp (oldest first for chat display)
-    allMessages.sort((a, b) => a.timestamp - b.timestamp);
+    // Oldest first for chat display (stable, so same-millisecond entries keep file order)
+    feed.sort((a, b) => a.timestamp - b.timestamp);
+    
+    // The cursor is found before filtering, so it stays valid when filters change
+    const cursor = before || after;
+    const at = cursor ? feed.findIndex(m => m.id === cursor) : feed.length;
+    if (at === -1) return res.status(404).json({ error: 'Unknown cursor' });
+    
+    const matches = (m) => (!channels || channels.includes(m.channel)) && (!roles || roles.includes(m.role));
+    const messages = [];
+    let hasMore = false;
     
-    // Return last 100 messages to keep it manageable
-    const recent = allMessages.slice(-100);
+    if (after) {
+      for (let i = at + 1; i < feed.length; i++) {
+        if (!matches(feed[i])) continue;
+        if (messages.length === limit) { hasMore = true; break; }
+        messages.push(feed[i]);
+      }
+    } else {
+      for (let i = at - 1; i >= 0; i--) {
+        if (!matches(feed[i])) continue;
+        if (messages.length === limit) { hasMore = true; break; }
+        messages.push(feed[i]);
+      }
+      messages.reverse();
+    }
     
-    res.json({ messages: recent });
+    res.json({ messages, hasMore, clearedAt });
   } catch (e) {
     console.error('All messages fetch error:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
 
+// Load main-session messages newer than a timestamp (for catch-up after reconnection)
+async function loadRecentMessages(since = 0) {
+  const recentMessages = [];
+  
+  // Last 50 messages of the main session
+  const messages = await transcriptIndex.messages(mainSession.sessionId, { limit: 50 });
+  
+  for (const msg of messages) {
+    // Skip messages before the requested timestamp
+    if (msg.timestamp <= since) continue;
+    
+    // Skip heartbeats and system messages
+    if (!msg.text || msg.isSystem) continue;
+    
+    recentMessages.push({
+      role: msg.role,
+      text: msg.text,
+      source: msg.channel,
+      timestamp: msg.timestamp
+    });
+  }
+  
+  // Sort by timestamp
+  recentMessages.sort((a, b) => a.timestamp - b.timestamp);
+  return recentMessages;
+}
+
 // Fetch recent messages since a timestamp (for catch-up after reconnection)
 app.get('/api/messages/recent', async (req, res) => {
   try {
-    const since = parseInt(req.query.since) || 0;
-    const recentMessages = [];
-    
-    // Read main session file
-    const currentSessionId = getMainSessionId();
-    const sessionPath = join(SESSIONS_DIR, `${currentSessionId}.jsonl`);
+    // Nothing from before a clear, like /api/messages/all
+    const clearedAt = feedWatermarks.clearedAt(feedUserId(req, res));
+    const since = Math.max(parseInt(req.query.since) || 0, clearedAt);
+    const messages = (await loadRecentMessages(since)).map(m => ({
+      role: m.role === 'assistant' ? 'bot' : 'user',
+      text: m.text,
+      timestamp: m.timestamp
+    }));
     
-    if (!existsSync(sessionPath)) {
-      return res.json({ messages: [] });
+    res.json({ messages, clearedAt });
+  } catch (e) {
+    console.error('Recent messages fetch error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Clear the unified feed for this user - records a watermark, transcripts are untouched
+app.post('/api/messages/clear', (req, res) => {
+  const userId = feedUserId(req, res);
+  const result = feedWatermarks.clear(userId);
+  console.log(`🧹 Feed cleared for ${userId} at ${new Date(result.clearedAt).toISOString()}`);
+  res.json({ cleared: true, ...result });
+});
+
+// Restore the feed to where it was before the last clear
+app.post('/api/messages/clear/undo', (req, res) => {
+  const userId = feedUserId(req, res);
+  const result = feedWatermarks.undo(userId);
+  if (!result) {
+    return res.status(409).json({ error: 'Nothing to undo' });
+  }
+  console.log(`↩️ Feed clear undone for ${userId}`);
+  res.json(result);
+});
+
+// ============================================================================
+// HTTP FALLBACK - POST /api/messages(/upload) feed the same pipeline as the
+// WebSocket `message` frame. Replies go to the socket if it's connected,
+// otherwise they wait in the pending store until the client reconnects.
+// ============================================================================
+const UPLOAD_LIMIT_MB = 20;
+
+// Single-file multipart parser that answers with JSON instead of an HTML 500
+// (audio routes pass config.stt.maxUploadMb - recordings outgrow 20MB quickly)
+function uploadSingle(field, limitMb = UPLOAD_LIMIT_MB) {
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: limitMb * 1024 * 1024 }
+  }).single(field);
+  return (req, res, next) => handler(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large (max ${limitMb}MB)`, code: ERROR_CODES.FILE_ERROR });
     }
-    
-    const content = readFileSync(sessionPath, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-    
-    // Read last 50 lines for efficiency
-    const recentLines = lines.slice(-50);
-    
-    for (const line of recentLines) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.type !== 'message' || !entry.message) continue;
-        
-        const msg = entry.message;
-        const msgTimestamp = msg.timestamp || Date.parse(entry.timestamp) || 0;
-        
-        // Skip messages before the requested timestamp
-        if (msgTimestamp <= since) continue;
-        
-        const text = typeof msg.content === 'string' ? msg.content :
-                    (Array.isArray(msg.content) ? msg.content.find(c => c.type === 'text')?.text : null);
-        
-        if (!text) continue;
-        
-        // Skip heartbeats and system messages
-        if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-        
-        // Clean up text
-        const cleanText = text
-          .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-          .replace(/\n?\[message_id:[^\]]+\]/g, '')
-          .replace(/^\[Spark Web\]\s*/g, '')
-          .trim();
-        
-        if (!cleanText) continue;
-        
-        recentMessages.push({
-          role: msg.role === 'assistant' ? 'bot' : 'user',
-          text: cleanText,
-          timestamp: msgTimestamp
-        });
-      } catch {}
+    if (err) {
+      return res.status(400).json({ error: err.message, code: ERROR_CODES.FILE_ERROR });
     }
-    
-    // Sort by timestamp
-    recentMessages.sort((a, b) => a.timestamp - b.timestamp);
-    
-    res.json({ messages: recentMessages });
+    next();
+  });
+}
+
+// Validate an HTTP-submitted message frame; returns an error body or null
+function checkHttpMessage(message) {
+  const check = validateFrame(message, 'client');
+  if (!check.ok) return { error: check.message, code: check.code };
+  if (message.type !== 'message') {
+    return { error: `Expected a message frame, got ${message.type}`, code: ERROR_CODES.INVALID_FRAME };
+  }
+  if (message.sparkMode && !modes.has(message.sparkMode)) {
+    return { error: `Unknown mode: ${message.sparkMode}`, code: ERROR_CODES.UNKNOWN_MODE };
+  }
+  return null;
+}
+
+// Run a message through the pipeline without holding the HTTP request open
+function acceptHttpMessage(req, res, message, attachment = {}) {
+  const sessionId = resolvePortalSession(req.body.sessionId || message.sessionId);
+  const requestId = submitRequest(sessionId, message.text, {
+    mode: message.mode || 'chat',
+    sparkMode: message.sparkMode,
+    requestId: message.requestId,
+    ...attachment
+  });
+  
+  console.log(`🌐 [${sessionId}] HTTP message accepted (request ${requestId})`);
+  res.status(202).json({ accepted: true, sessionId, requestId });
+}
+
+app.post('/api/messages', express.json({ limit: '1mb' }), (req, res) => {
+  const message = req.body || {};
+  const invalid = checkHttpMessage(message);
+  if (invalid) return res.status(400).json(invalid);
+  if (!message.text.trim()) {
+    return res.status(400).json({ error: 'No text provided', code: ERROR_CODES.INVALID_FRAME });
+  }
+  
+  acceptHttpMessage(req, res, message);
+});
+
+app.post('/api/messages/upload', uploadSingle('file'), (req, res) => {
+  let message;
+  try {
+    message = JSON.parse(req.body.message || '{}');
+  } catch {
+    return res.status(400).json({ error: 'message field is not valid JSON', code: ERROR_CODES.BAD_JSON });
+  }
+  
+  const invalid = checkHttpMessage(message);
+  if (invalid) return res.status(400).json(invalid);
+  if (!req.file && !message.text.trim()) {
+    return res.status(400).json({ error: 'No text or file provided', code: ERROR_CODES.INVALID_FRAME });
+  }
+  
+  const attachment = {};
+  if (req.file) {
+    const upload = {
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      buffer: req.file.buffer
+    };
+    if (req.file.mimetype?.startsWith('image/')) {
+      attachment.image = upload;
+    } else {
+      attachment.file = upload;
+    }
+  }
+  
+  acceptHttpMessage(req, res, message, attachment);
+});
+
+// Transcribe an uploaded recording (Notes mode) with the configured STT provider
+app.post('/api/transcribe', uploadSingle('audio', config.stt.maxUploadMb), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No audio provided', code: ERROR_CODES.FILE_ERROR });
+  }
+  
+  console.log(`🎙️ Transcribe: ${req.file.originalname} (${Math.round(req.file.size / 1024)}KB, ${req.body.duration || '?'}s)`);
+  
+  try {
+    const result = await stt.transcribe(req.file.buffer, {
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname,
+      language: req.body.language || null
+    });
+    res.json({
+      transcript: result.text,
+      segments: result.segments,
+      language: result.language,
+      duration: result.duration,
+      provider: result.provider
+    });
   } catch (e) {
-    console.error('Recent messages fetch error:', e.message);
+    console.error('Transcription error:', e.message);
+    res.status(502).json({ error: e.message, code: ERROR_CODES.UPSTREAM });
+  }
+});
+
+// ============================================================================
+// VOICE NOTES - recordings are kept with their transcript and summary
+// ============================================================================
+
+app.get('/api/notes', (req, res) => {
+  res.json({ notes: notes.list({ tag: req.query.tag || null }).map(publicNote) });
+});
+
+// Store a recording and transcribe it; the summary follows in the background
+app.post('/api/notes', uploadSingle('audio', config.stt.maxUploadMb), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No audio provided', code: ERROR_CODES.FILE_ERROR });
+  }
+  
+  const duration = req.body.duration ? Number(req.body.duration) : null;
+  const note = notes.create(req.file.buffer, { mimetype: req.file.mimetype, duration });
+  console.log(`🎙️ Voice note ${note.id}: ${Math.round(req.file.size / 1024)}KB, ${duration ?? '?'}s`);
+  
+  // Answer once the transcript is in (or processing failed before it)
+  let answered = false;
+  const answer = () => {
+    if (answered) return;
+    answered = true;
+    if (note.transcript) return res.status(201).json({ note: publicNote(note) });
+    res.status(502).json({ error: note.error, code: ERROR_CODES.UPSTREAM, note: publicNote(note) });
+  };
+  await notes.process(note.id, { onTranscript: answer });
+  answer();
+});
+
+app.get('/api/notes/:id', (req, res) => {
+  const note = notes.get(req.params.id);
+  if (!note) return res.status(404).json({ error: 'Note not found' });
+  res.json({ note: publicNote(note) });
+});
+
+app.get('/api/notes/:id/audio', (req, res) => {
+  const note = notes.get(req.params.id);
+  if (!note || !existsSync(notes.audioPath(note))) {
+    return res.status(404).json({ error: 'Audio not found' });
+  }
+  res.type(note.mimetype || 'application/octet-stream');
+  res.sendFile(notes.audioPath(note));
+});
+
+// Summarize again (transcribing first if that never worked)
+app.post('/api/notes/:id/summarize', async (req, res) => {
+  const note = notes.get(req.params.id);
+  if (!note) return res.status(404).json({ error: 'Note not found' });
+  if (note.status === 'processing') return res.status(409).json({ error: 'Note is already being processed' });
+  
+  await notes.process(note.id);
+  if (note.status === 'error') {
+    return res.status(502).json({ error: note.error, code: ERROR_CODES.UPSTREAM, note: publicNote(note) });
+  }
+  res.json({ note: publicNote(note) });
+});
+
+app.delete('/api/notes/:id', (req, res) => {
+  try {
+    if (!notes.remove(req.params.id)) return res.status(404).json({ error: 'Note not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('Note delete error:', e.message);
     res.status(500).json({ error: e.message });
   }
 });
 
+// ============================================================================
+// MEETINGS - long recordings arrive in chunks while they're being made and
+// are transcribed as they go; finished ones become notes (see meetings.js)
+// ============================================================================
+const meetings = new MeetingRecorder(config, {
+  stt,
+  diarizer: new DiarizationProvider(config.meetings),
+  notes,
+  onUpdate: notifyMeeting
+});
+
+app.post('/api/meetings', express.json(), (req, res) => {
+  const mimetype = String(req.body?.mimetype || 'audio/webm');
+  if (!mimetype.startsWith('audio/')) {
+    return res.status(400).json({ error: 'mimetype must be audio/*' });
+  }
+  res.status(201).json({ meeting: publicMeeting(meetings.start({ mimetype })) });
+});
+
+// With the transcript so far; nextChunk is where an interrupted upload resumes
+app.get('/api/meetings/:id', (req, res) => {
+  const meeting = meetings.get(req.params.id);
+  if (!meeting) return res.status(404).json({ error: 'Meeting not found' });
+  res.json({ meeting: publicMeeting(meeting, { segments: true }) });
+});
+
+// Chunk <index> of the recording as the raw body; X-Recorded-Ms: recording time at its end
+app.put('/api/meetings/:id/chunks/:index', express.raw({ type: () => true, limit: '10mb' }), (req, res) => {
+  const meeting = meetings.get(req.params.id);
+  const index = Number(req.params.index);
+  if (!meeting) return res.status(404).json({ error: 'Meeting not found' });
+  if (meeting.status !== 'recording') return res.status(409).json({ error: `Meeting is ${meeting.status}` });
+  if (!Number.isInteger(index) || index < 0) return res.status(400).json({ error: 'Invalid chunk index' });
+  if (index > meeting.nextChunk + MAX_CHUNKS_AHEAD) {
+    return res.status(400).json({ error: `Chunk ${index} is too far ahead`, nextChunk: meeting.nextChunk });
+  }
+  if (!req.body?.length) return res.status(400).json({ error: 'Empty chunk', code: ERROR_CODES.FILE_ERROR });
+  
+  try {
+    meetings.addChunk(meeting, index, req.body, Number(req.get('X-Recorded-Ms')) || 0);
+    res.json({ meeting: publicMeeting(meeting) });
+  } catch (e) {
+    console.error('Meeting chunk error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Recording over: { chunks, durationMs } - 409 with nextChunk if some never arrived
+app.post('/api/meetings/:id/finish', express.json(), (req, res) => {
+  const meeting = meetings.get(req.params.id);
+  if (!meeting) return res.status(404).json({ error: 'Meeting not found' });
+  
+  const chunks = Number(req.body?.chunks);
+  if (meeting.status === 'recording') {
+    if (!Number.isInteger(chunks) || chunks < 1) return res.status(400).json({ error: 'chunks is required' });
+    if (meeting.nextChunk < chunks) {
+      return res.status(409).json({ error: `Missing chunks from ${meeting.nextChunk}`, nextChunk: meeting.nextChunk });
+    }
+  }
+  
+  meetings.finish(meeting, { chunks, durationMs: Number(req.body?.durationMs) || null });
+  res.status(202).json({ meeting: publicMeeting(meeting) });
+});
+
+// Discard a recording
+app.delete('/api/meetings/:id', (req, res) => {
+  const meeting = meetings.get(req.params.id);
+  if (!meeting) return res.status(404).json({ error: 'Meeting not found' });
+  if (meeting.status === 'finishing') return res.status(409).json({ error: 'Meeting is being finished' });
+  meetings.remove(meeting);
+  res.json({ ok: true });
+});
+
+// Post the summary (or the failure) to the portal once a meeting is done
+function notifyMeeting(meeting, note = null) {
+  if (meeting.status !== 'done' && meeting.status !== 'error') return;
+  
+  const minutes = Math.max(1, Math.round((meeting.durationMs || meeting.recordedMs) / 60000));
+  let text;
+  if (note?.summary) {
+    const speakers = note.speakers.length ? `, ${note.speakers.length} speakers` : '';
+    text = `🎙️ Meeting notes (${minutes} min${speakers}):\n\n${note.summary}`;
+  } else if (note) {
+    text = `🎙️ Meeting transcribed, but the summary failed (${note.error}) - retry it from Voice Notes`;
+  } else {
+    text = `🎙️ Meeting transcription failed: ${meeting.error}`;
+  }
+  
+  broadcastToPortal(createFrame('message', {
+    role: 'assistant',
+    text,
+    source: 'other',
+    timestamp: Date.now()
+  }));
+}
+
+// ============================================================================
+// VIDEO GENERATION - jobs from the Video Gen sheet run in the background;
+// clients get video_job frames, the mode transcript gets the result
+// ============================================================================
+const videoJobs = new VideoJobQueue(config, {
+  generator: new VideoProvider(config.video),
+  onUpdate: notifyVideoJob
+});
+
+app.post('/api/video/generate', uploadSingle('image'), (req, res) => {
+  const prompt = req.body.prompt?.trim();
+  const model = req.body.model || 'kling';
+  const duration = req.body.duration ? parseInt(req.body.duration) : null;
+  
+  if (!prompt) {
+    return res.status(400).json({ error: 'No prompt provided' });
+  }
+  if (!VIDEO_MODELS.includes(model)) {
+    return res.status(400).json({ error: `Unknown model: ${model} (expected ${VIDEO_MODELS.join(' | ')})` });
+  }
+  if (duration !== null && !(duration > 0 && duration <= 60)) {
+    return res.status(400).json({ error: 'Invalid duration' });
+  }
+  if (req.file && !req.file.mimetype?.startsWith('image/')) {
+    return res.status(400).json({ error: 'Reference must be an image', code: ERROR_CODES.FILE_ERROR });
+  }
+  if (!req.file && videoJobs.generator.needsImage(model)) {
+    return res.status(400).json({ error: `${model} needs a reference image`, code: ERROR_CODES.FILE_ERROR });
+  }
+  
+  const job = videoJobs.submit({
+    prompt,
+    model,
+    duration,
+    image: req.file && { buffer: req.file.buffer, mimetype: req.file.mimetype },
+    sessionId: req.body.sessionId || null,
+    sparkMode: 'videogen'
+  });
+  
+  res.status(202).json({ job: publicJob(job) });
+});
+
+app.get('/api/video/jobs/:id', (req, res) => {
+  const job = videoJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: publicJob(job) });
+});
+
+// Videos produced as local files (command provider)
+app.get('/api/video/jobs/:id/video', (req, res) => {
+  const job = videoJobs.get(req.params.id);
+  if (!job?.result?.path || !existsSync(job.result.path)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  res.sendFile(job.result.path);
+});
+
+// Push job progress to every portal client; on completion also post the
+// result into the mode transcript and (if the mode wants it) WhatsApp
+function notifyVideoJob(job) {
+  const view = publicJob(job);
+  broadcastToPortal(createFrame('video_job', { job: view }));
+  
+  if (job.status !== 'complete' && job.status !== 'error') return;
+  
+  const text = job.status === 'complete'
+    ? `🎬 Your video is ready: [${job.prompt.slice(0, 60)}](${view.result.url})`
+    : `🎬 Video generation failed (${job.model}): ${job.error}`;
+  
+  if (job.sparkMode) modes.appendHistory(job.sparkMode, 'assistant', text);
+  broadcastToPortal(createFrame('message', {
+    role: 'assistant',
+    text,
+    source: 'other',
+    sparkMode: job.sparkMode,
+    timestamp: Date.now()
+  }));
+  
+  if (modes.get(job.sparkMode)?.notifyWhatsApp) {
+    const whatsappText = job.status === 'complete'
+      ? `🎬 Spark video ready (${job.model}): "${job.prompt.slice(0, 100)}" - ${view.result.url}`
+      : `🎬 Spark video failed (${job.model}): "${job.prompt.slice(0, 100)}" - ${job.error}`;
+    sendToMainSession(whatsappText, 'Spark Video', { deliver: true });
+  }
+}
+
 // Node status endpoint - check if PC is connected
-const CLAWDBOT_PATH = '/home/heisenberg/.npm-global/bin/clawdbot';
+const CLAWDBOT_PATH = config.clawdbot.bin;
 
 // Wake-on-LAN config
-const PC_MAC_ADDRESS = '8C:86:DD:61:3D:16';
+const PC_MAC_ADDRESS = config.wol.mac;
 
 // Wake-on-LAN endpoint
 import dgram from 'dgram';
 
 app.post('/api/nodes/wake', async (req, res) => {
+  if (!PC_MAC_ADDRESS) {
+    return res.status(503).json({ success: false, error: 'Wake-on-LAN is not configured (PC_MAC_ADDRESS)' });
+  }
+  
   try {
     // Create magic packet
     const mac = PC_MAC_ADDRESS.replace(/[:-]/g, '');
@@ -695,66 +1208,31 @@ app.post('/api/nodes/wake', async (req, res) => {
   }
 });
 
+// Agent sessions and PC node status, polled in the background and pushed
+// to portal clients as they change (session_status / node_status frames)
+const clawdbotStatus = new ClawdbotStatus({
+  clawdbotPath: CLAWDBOT_PATH,
+  mainSessionKey: config.clawdbot.mainSessionKey,
+  onSessions: sessions => broadcastToPortal(createFrame('session_status', { sessions })),
+  onNodes: node => broadcastToPortal(createFrame('node_status', { node })),
+  isWanted: () => portalClients.size > 0,
+});
+
+// Cached - only waits for the CLI before the first poll has finished
+async function currentClawdbotStatus() {
+  if (!clawdbotStatus.updatedAt) await clawdbotStatus.refresh();
+  return clawdbotStatus;
+}
+
 app.get('/api/nodes/status', async (req, res) => {
-  try {
-    // Use clawdbot CLI to get node status
-    const output = execSync(`${CLAWDBOT_PATH} nodes status --json`, { 
-      encoding: 'utf8',
-      timeout: 5000 
-    });
-    
-    const data = JSON.parse(output);
-    const nodes = data.nodes || [];
-    
-    // Find Parth's PC node
-    const pcNode = nodes.find(n => n.displayName?.includes('PC') || n.platform === 'win32');
-    
-    res.json({
-      connected: pcNode?.connected || false,
-      nodeName: pcNode?.displayName || null,
-      platform: pcNode?.platform || null,
-    });
-  } catch (e) {
-    console.error('Node status error:', e.message);
-    res.json({ connected: false, error: e.message });
-  }
+  const { nodes } = await currentClawdbotStatus();
+  res.json(nodes);
 });
 
 // Active sessions from Clawdbot gateway (running agents)
 app.get('/api/active-sessions', async (req, res) => {
-  try {
-    // Use CLI to get sessions (more reliable than HTTP API)
-    const output = execSync(`${CLAWDBOT_PATH} sessions list --json --limit 20`, {
-      encoding: 'utf8',
-      timeout: 5000
-    });
-    
-    const data = JSON.parse(output);
-    const sessions = data.sessions || [];
-    
-    // Filter to recent active sessions (updated in last 5 minutes)
-    const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-    const activeSessions = sessions
-      .filter(s => s.updatedAt > fiveMinutesAgo)
-      .map(s => ({
-        key: s.key,
-        label: s.label || (s.key?.includes('subagent') ? s.key.split(':').pop().slice(0, 8) : 'main'),
-        kind: s.kind,
-        updatedAt: s.updatedAt,
-        isMain: s.key === 'agent:main:main',
-        isSubagent: s.key?.includes('subagent'),
-        model: s.model
-      }));
-    
-    res.json({
-      count: activeSessions.length,
-      thinking: false, // Will be set by frontend based on isProcessing
-      sessions: activeSessions
-    });
-  } catch (e) {
-    console.error('Active sessions error:', e.message);
-    res.json({ count: 0, thinking: false, sessions: [], error: e.message });
-  }
+  const { sessions } = await currentClawdbotStatus();
+  res.json(sessions);
 });
 
 // Fetch today's reports from session messages (briefings sent to user)
@@ -765,7 +1243,6 @@ app.get('/api/reports/today', async (req, res) => {
     const todayMs = today.getTime();
     
     const reports = [];
-    const files = readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.jsonl'));
     
     // Report patterns to look for
     const reportPatterns = [
@@ -783,47 +1260,33 @@ app.get('/api/reports/today', async (req, res) => {
       'AI/TECH EVENING'
     ];
     
-    for (const f of files) {
-      const filepath = join(SESSIONS_DIR, f);
-      const stat = statSync(filepath);
-      
+    for (const session of await transcriptIndex.sessions()) {
       // Skip files not modified today
-      if (stat.mtimeMs < todayMs) continue;
-      
-      const content = readFileSync(filepath, 'utf8');
-      const lines = content.trim().split('\n').filter(l => l);
+      if (session.updatedAt < todayMs) continue;
       
-      for (const line of lines) {
-        try {
-          const entry = JSON.parse(line);
-          if (entry.type === 'message' && entry.message) {
-            const msg = entry.message;
-            
-            // Only assistant messages
-            if (msg.role !== 'assistant') continue;
-            
-            // Get timestamp
-            const timestamp = msg.timestamp || Date.parse(entry.timestamp) || 0;
-            if (timestamp < todayMs) continue;
-            
-            // Get text content
-            let text = extractTextFromContent(msg.content);
-            if (!text || text.length < 200) continue;
-            
-            // Check if it matches report patterns
-            const isReport = reportPatterns.some(p => text.toUpperCase().includes(p.toUpperCase()));
-            if (!isReport) continue;
-            
-            // Skip duplicates (same first 100 chars)
-            const preview = text.slice(0, 100);
-            if (reports.some(r => r.summary.slice(0, 100) === preview)) continue;
-            
-            reports.push({
-              timestamp,
-              summary: text
-            });
-          }
-        } catch {}
+      for (const msg of session.messages) {
+        // Only assistant messages
+        if (msg.role !== 'assistant') continue;
+        
+        // Get timestamp
+        if (msg.timestamp < todayMs) continue;
+        
+        // Get text content
+        const text = msg.text;
+        if (!text || text.length < 200) continue;
+        
+        // Check if it matches report patterns
+        const isReport = reportPatterns.some(p => text.toUpperCase().includes(p.toUpperCase()));
+        if (!isReport) continue;
+        
+        // Skip duplicates (same first 100 chars)
+        const preview = text.slice(0, 100);
+        if (reports.some(r => r.summary.slice(0, 100) === preview)) continue;
+        
+        reports.push({
+          timestamp: msg.timestamp,
+          summary: text
+        });
       }
     }
     
@@ -855,9 +1318,18 @@ server.on('upgrade', (request, socket, head) => {
   
   console.log(`🔌 WebSocket upgrade request: ${pathname}`);
   
+  const device = auth.enabled ? auth.authenticate(request) : null;
+  if (auth.enabled && !device) {
+    console.warn(`🔒 Rejected unauthenticated WebSocket upgrade: ${pathname}`);
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+  
   // Route /realtime to realtime voice handler
   if (pathname === '/realtime' || pathname.endsWith('/realtime')) {
     wssRealtime.handleUpgrade(request, socket, head, (ws) => {
+      ws.deviceId = device?.id || null; // Closed if the device is revoked
       if (useHybrid) {
         console.log('🎙️ Hybrid mode (STT → Claude → TTS)');
         handleHybridRealtimeSession(ws);
@@ -868,13 +1340,15 @@ server.on('upgrade', (request, socket, head) => {
     });
   } else if (pathname === '/elevenlabs-realtime' || pathname.endsWith('/elevenlabs-realtime')) {
     wssRealtime.handleUpgrade(request, socket, head, (ws) => {
+      ws.deviceId = device?.id || null;
       console.log('🎙️ ElevenLabs Conversational AI mode');
-      handleElevenLabsSession(ws, config);
+      handleElevenLabsSession(ws);
     });
   } else {
     // Route everything else to existing handler (chat/notes)
     console.log('💬 Chat WebSocket connection');
     wss.handleUpgrade(request, socket, head, (ws) => {
+      ws.deviceId = device?.id || null;
       wss.emit('connection', ws, request);
     });
   }
@@ -887,178 +1361,216 @@ const sessions = new Map();
 // UNIFIED SESSION - Real-time sync polling
 // ============================================================================
 const portalClients = new Set(); // Track all connected portal WebSocket clients
-const processingClients = new Set(); // Clients waiting for CLI response - don't sync assistant msgs to them
-// Initialize from last message in session file, not Date.now() (avoids missing recent messages)
-let lastSyncTimestamp = 0; // Will be set from session file on first poll
-let lastSyncedMessageId = null;
-let syncInitialized = false;
+// Clients waiting for CLI/streamed replies - sync holds their assistant msgs
+const processingClients = new Map(); // ws -> number of its requests in flight
+// Each portal client has its own sync cursor (ws.syncCursor = { id, timestamp }):
+// the last main-session entry it has been sent or shown past. Every poll sends
+// a client everything after its cursor, so a burst can't outrun it and nothing
+// is sent twice. If the entry id isn't in the current transcript (rotated
+// session, id from another session) the timestamp places the cursor instead.
+// A client starts at the entries that existed when it connected, or resumes
+// from an entry with `catch_up { after }`.
+
+// Main-session runs whose reply went straight to the asker (CLI / streamed).
+// Their answer is not synced again: each one claims the first user entry with
+// its text from its start on, and hides the assistant entries answering it.
+const directReplies = []; // { text, startedAt, questionId, expiresAt }
+const DIRECT_REPLY_TTL = 10 * 60 * 1000;
+
+// Entries checked against cancelled requests (the check consumes the marker, so once per entry)
+const syncVerdicts = new Map(); // entry id -> true (sync) | false (drop)
+const MAX_SYNC_VERDICTS = 500;
+
+function markProcessing(ws) {
+  if (ws) processingClients.set(ws, (processingClients.get(ws) || 0) + 1);
+}
+
+function unmarkProcessing(ws) {
+  const count = processingClients.get(ws);
+  if (count > 1) processingClients.set(ws, count - 1);
+  else processingClients.delete(ws);
+}
+
+function noteDirectReply(run) {
+  directReplies.push({ text: cleanText(run.text), startedAt: run.startedAt, questionId: null, expiresAt: Date.now() + DIRECT_REPLY_TTL });
+}
+
+// Whether the answer to this user entry was already sent to its asker
+function isDirectlyAnswered(question) {
+  if (!question) return false;
+  const now = Date.now();
+  while (directReplies.length > 0 && directReplies[0].expiresAt < now) directReplies.shift();
+  if (directReplies.some(r => r.questionId === question.id)) return true;
+  
+  const reply = directReplies.find(r => !r.questionId && r.text && question.timestamp >= r.startedAt && question.text.includes(r.text));
+  if (reply) reply.questionId = question.id;
+  return !!reply;
+}
 
-// Track recently sent message IDs to avoid duplicate sync (by content hash)
-const recentlySentHashes = new Set();
-const MAX_HASH_CACHE = 100;
+// Whether a main-session message belongs in the portal sync feed
+// question: the user message an assistant message answers (see questionOf)
+function isSyncable(msg, question = null) {
+  // Text is already cleaned by the transcript parser; heartbeats, cron and tool-use turns stay out
+  if (!msg.text || msg.isSystem) return false;
+  if (msg.role === 'assistant' && (msg.hasToolCall || (msg.hasThinking && !msg.hasText))) return false;
+  
+  // Portal-originated entries (the user already sees them locally)
+  if (msg.sourceTag === 'Spark Web' || (msg.role === 'user' && msg.channel === 'web')) return false;
+  
+  if (msg.role !== 'assistant') return true;
+  if (syncVerdicts.get(msg.id) === false) return false;
+  
+  // Echo of a reply the asker already got directly
+  if (isDirectlyAnswered(question)) {
+    syncVerdicts.set(msg.id, false);
+    return false;
+  }
+  
+  // Late answer to a request the user cancelled
+  if (!syncVerdicts.has(msg.id)) {
+    const abandoned = isAbandonedAnswer(question);
+    if (abandoned) console.log(`📡 Dropping answer to cancelled request: ${msg.text.slice(0, 50)}...`);
+    syncVerdicts.set(msg.id, !abandoned);
+    if (syncVerdicts.size > MAX_SYNC_VERDICTS) syncVerdicts.delete(syncVerdicts.keys().next().value);
+  }
+  return syncVerdicts.get(msg.id);
+}
 
-function hashMessage(text) {
-  // Simple hash for deduplication
-  let hash = 0;
-  for (let i = 0; i < Math.min(text.length, 200); i++) {
-    hash = ((hash << 5) - hash) + text.charCodeAt(i);
-    hash = hash & hash;
+// The last user message before messages[index] - the turn an assistant entry belongs to
+function questionOf(messages, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') return messages[i];
   }
-  return hash.toString(36);
+  return null;
 }
 
-// Poll the main session transcript for new messages and broadcast to portal clients
-async function pollForSync() {
-  if (!UNIFIED_SESSION || portalClients.size === 0) return;
+// Index of the first message after a cursor
+function cursorPosition(messages, cursor) {
+  const index = cursor.id ? messages.findLastIndex(m => m.id === cursor.id) : -1;
+  if (index !== -1) return index + 1;
+  const after = messages.findIndex(m => m.timestamp > cursor.timestamp);
+  return after === -1 ? messages.length : after;
+}
+
+// Send a client every synced message after its cursor, then move the cursor past them
+function syncClient(client, messages) {
+  if (client.readyState !== 1) return; // WebSocket.OPEN
+  if (!client.syncCursor) client.syncCursor = { id: null, timestamp: client.connectedAt };
   
-  try {
-    // Re-read main session ID in case it changed
-    const currentSessionId = getMainSessionId();
-    const sessionPath = join(SESSIONS_DIR, `${currentSessionId}.jsonl`);
-    
-    if (!existsSync(sessionPath)) return;
-    
-    const content = readFileSync(sessionPath, 'utf8');
-    const lines = content.trim().split('\n').filter(l => l);
-    
-    // Initialize lastSyncTimestamp from the last message on first poll
-    // This ensures we don't re-sync old messages but also don't miss recent ones
-    if (!syncInitialized) {
-      syncInitialized = true;
-      const lastLines = lines.slice(-5);
-      for (let i = lastLines.length - 1; i >= 0; i--) {
-        try {
-          const entry = JSON.parse(lastLines[i]);
-          if (entry.message?.timestamp) {
-            lastSyncTimestamp = entry.message.timestamp;
-            console.log(`📡 Sync initialized from timestamp: ${new Date(lastSyncTimestamp).toISOString()}`);
-            break;
-          }
-        } catch {}
-      }
-      return; // Skip first poll to avoid re-syncing recent messages
-    }
+  let sent = 0;
+  for (let i = cursorPosition(messages, client.syncCursor); i < messages.length; i++) {
+    const msg = messages[i];
     
-    // Check last 10 entries for new messages
-    const recentLines = lines.slice(-10);
+    // Clients waiting for a CLI/streamed reply get it directly - hold their
+    // cursor here until it's done, when the echo check can recognise it
+    if (msg.role === 'assistant' && processingClients.has(client)) break;
     
-    for (const line of recentLines) {
+    if (isSyncable(msg, msg.role === 'assistant' ? questionOf(messages, i) : null)) {
       try {
-        const entry = JSON.parse(line);
-        if (entry.type !== 'message' || !entry.message) continue;
-        
-        const msg = entry.message;
-        const msgTimestamp = msg.timestamp || Date.parse(entry.timestamp) || 0;
-        const msgId = entry.id;
-        
-        // Skip if we've already synced this message (by timestamp)
-        if (msgTimestamp <= lastSyncTimestamp) continue;
-        if (msgId && msgId === lastSyncedMessageId) continue;
-        
-        // ONLY sync user and assistant messages - skip toolResult, toolCall, thinking, etc.
-        if (msg.role !== 'user' && msg.role !== 'assistant') continue;
-        
-        // For assistant messages, check if it's a pure text response (not tool calls/thinking)
-        if (msg.role === 'assistant' && Array.isArray(msg.content)) {
-          // Check if content contains toolCall or thinking blocks
-          const hasToolCall = msg.content.some(c => c.type === 'toolCall' || c.type === 'tool_use');
-          const hasThinking = msg.content.some(c => c.type === 'thinking');
-          // Skip if this is a tool-use turn (not a final response)
-          if (hasToolCall) continue;
-          // If it's ONLY thinking with no text, skip
-          if (hasThinking && !msg.content.some(c => c.type === 'text')) continue;
-        }
-        
-        const text = typeof msg.content === 'string' ? msg.content :
-                    (Array.isArray(msg.content) ? msg.content.find(c => c.type === 'text')?.text : null);
-        
-        if (!text) continue;
-        
-        // Skip USER messages from Spark Portal (to avoid echo of what you just typed)
-        // BUT allow assistant responses to be synced (they don't have [Spark Web] tag when from gateway)
-        if (msg.role === 'user' && (text.includes('[Spark Web]') || text.includes('[Spark Portal]'))) continue;
-        
-        // Skip heartbeats and system messages
-        if (text.includes('HEARTBEAT') || text.includes('Read HEARTBEAT.md')) continue;
-        
-        // Clean up text for display
-        let cleanText = text
-          .replace(/^\[WhatsApp[^\]]*\]\s*/g, '')
-          .replace(/\n?\[message_id:[^\]]+\]/g, '')
-          .replace(/^\[Spark Web\]\s*/g, '')
-          .trim();
-        
-        if (!cleanText) continue;
-        
-        // Check content hash to avoid duplicates (more reliable than timestamp)
-        const contentHash = hashMessage(cleanText);
-        if (recentlySentHashes.has(contentHash)) continue;
-        
-        // Determine source (WhatsApp or other)
-        const isWhatsApp = text.includes('[WhatsApp') || text.includes('[message_id:');
-        const isSparkWeb = text.includes('[Spark Web]');
-        const source = isWhatsApp ? 'whatsapp' : (isSparkWeb ? 'web' : 'other');
-        
-        // Skip portal-originated messages (user already sees them locally)
-        // Assistant responses to portal are handled by hash check above (recentlySentHashes)
-        if (isSparkWeb) {
-          lastSyncTimestamp = msgTimestamp;
-          if (msgId) lastSyncedMessageId = msgId;
-          continue;
-        }
-        
-        // Broadcast to portal clients (WhatsApp messages + responses to them)
-        const syncPayload = JSON.stringify({
-          type: 'sync',
-          message: {
-            role: msg.role === 'assistant' ? 'bot' : 'user',
-            text: cleanText,
-            source,
-            timestamp: msgTimestamp
-          }
-        });
-        
-        for (const client of portalClients) {
-          if (client.readyState === 1) { // WebSocket.OPEN
-            // Skip assistant messages for clients waiting for CLI response
-            // They'll get the response directly from CLI
-            if (msg.role === 'assistant' && processingClients.has(client)) {
-              console.log(`📡 Skipping sync to processing client`);
-              continue;
-            }
-            try {
-              client.send(syncPayload);
-            } catch (e) {
-              console.error('Failed to send sync to client:', e.message);
-            }
-          }
-        }
-        
-        // Update tracking
-        lastSyncTimestamp = msgTimestamp;
-        if (msgId) lastSyncedMessageId = msgId;
-        
-        // Track hash to prevent re-syncing
-        recentlySentHashes.add(contentHash);
-        if (recentlySentHashes.size > MAX_HASH_CACHE) {
-          // Clear oldest entries (Set maintains insertion order)
-          const iter = recentlySentHashes.values();
-          for (let i = 0; i < 20; i++) recentlySentHashes.delete(iter.next().value);
-        }
-        
-        console.log(`📡 Synced ${msg.role} message from ${source}: ${cleanText.slice(0, 50)}...`);
-      } catch (parseErr) {
-        // Skip malformed lines
+        client.send(JSON.stringify(createFrame('message', {
+          id: msg.id,
+          role: msg.role,
+          text: msg.text,
+          source: msg.channel, // whatsapp | web | voice | other
+          timestamp: msg.timestamp
+        })));
+      } catch (e) {
+        console.error('Failed to send sync to client:', e.message);
+        return; // Retried from the same cursor next poll
       }
+      sent++;
     }
+    client.syncCursor = { id: msg.id, timestamp: msg.timestamp };
+  }
+  
+  if (sent > 0) console.log(`📡 Synced ${sent} message(s) to ${client.sessionId || 'client'}`);
+}
+
+// Poll the main session transcript for new messages and sync every portal client
+async function pollForSync() {
+  if (!UNIFIED_SESSION || portalClients.size === 0) return;
+  
+  try {
+    // Only the bytes appended since the last poll are read
+    // Activity first, so a tool's result lands before the answer that follows it
+    const messages = await transcriptIndex.messages(mainSession.sessionId);
+    syncActivity(await transcriptIndex.activity(mainSession.sessionId));
+    for (const client of portalClients) syncClient(client, messages);
   } catch (e) {
     console.error('Sync poll error:', e.message);
   }
 }
 
+// Tool activity and thinking from the main session, for clients that opted in
+// (`activity { enabled }`). Live only - it starts wherever the transcript is
+// when the first client connects and isn't replayed on reconnect.
+let activityCursor = null;
+
+function syncActivity(items) {
+  if (!activityCursor) {
+    const last = items[items.length - 1];
+    activityCursor = { id: last?.id || null, timestamp: last?.timestamp || Date.now() };
+    return;
+  }
+  
+  const start = cursorPosition(items, activityCursor);
+  if (start >= items.length) return;
+  
+  const watchers = [...portalClients].filter(c => c.wantsActivity && c.readyState === 1);
+  for (const item of items.slice(start)) {
+    const frame = activityFrame(item, items);
+    if (!frame) continue;
+    const payload = JSON.stringify(frame);
+    for (const client of watchers) {
+      try {
+        client.send(payload);
+      } catch (e) {
+        console.error('Failed to send activity to client:', e.message);
+      }
+    }
+  }
+  const last = items[items.length - 1];
+  activityCursor = { id: last.id, timestamp: last.timestamp };
+}
+
+function activityFrame(item, items) {
+  if (item.kind === 'thinking') {
+    return createFrame('thinking_summary', { id: item.id, text: item.summary, timestamp: item.timestamp });
+  }
+  if (item.kind === 'tool_call') {
+    return createFrame('tool_activity', {
+      callId: item.callId || item.id,
+      name: item.name,
+      summary: item.summary,
+      status: 'running',
+      timestamp: item.timestamp
+    });
+  }
+  
+  // Result - match it to its call for the name and duration
+  const call = item.callId && items.findLast(i => i.kind === 'tool_call' && i.callId === item.callId);
+  if (!call && !item.callId) return null;
+  return createFrame('tool_activity', {
+    callId: item.callId,
+    name: call?.name || item.name || 'tool',
+    summary: call?.summary,
+    status: item.isError ? 'error' : 'ok',
+    durationMs: call ? Math.max(0, item.timestamp - call.timestamp) : null,
+    timestamp: item.timestamp
+  });
+}
+
+// Resume a client's sync from an entry id (or timestamp) it last saw
+async function resumeSync(ws, { after = null, since = 0 } = {}) {
+  ws.syncCursor = { id: after, timestamp: since || ws.connectedAt };
+  if (!UNIFIED_SESSION) return;
+  syncClient(ws, await transcriptIndex.messages(mainSession.sessionId));
+}
+
 // Start sync with file watching (instant) + backup polling (fallback)
 let syncDebounceTimer = null;
 let fileWatcher = null;
+let fileWatcherRetry = null;
 
 function debouncedSync() {
   // Debounce rapid file changes (multiple writes in quick succession)
@@ -1069,17 +1581,17 @@ function debouncedSync() {
 }
 
 function startFileWatcher() {
-  const currentSessionId = getMainSessionId();
-  const sessionPath = join(SESSIONS_DIR, `${currentSessionId}.jsonl`);
+  const sessionPath = mainSession.path;
   
+  clearTimeout(fileWatcherRetry);
   if (fileWatcher) {
     fileWatcher.close();
     fileWatcher = null;
   }
   
-  if (!existsSync(sessionPath)) {
+  if (!sessionPath || !existsSync(sessionPath)) {
     console.log('📡 Session file not found, will retry in 5s');
-    setTimeout(startFileWatcher, 5000);
+    fileWatcherRetry = setTimeout(startFileWatcher, 5000);
     return;
   }
   
@@ -1094,7 +1606,7 @@ function startFileWatcher() {
       console.error('File watcher error:', err.message);
       fileWatcher = null;
       // Restart watcher after error
-      setTimeout(startFileWatcher, 2000);
+      fileWatcherRetry = setTimeout(startFileWatcher, 2000);
     });
     
     console.log(`📡 File watcher active on: ${sessionPath}`);
@@ -1105,14 +1617,31 @@ function startFileWatcher() {
 }
 
 if (UNIFIED_SESSION) {
-  // Primary: file watching (instant sync)
+  // Primary: file watching (instant sync), moved to the new transcript when the main session rotates
   startFileWatcher();
+  mainSession.onChange(() => {
+    startFileWatcher();
+    debouncedSync();
+  });
   
   // Backup: poll every 1s - file watching is unreliable on Linux
   setInterval(pollForSync, 1000);
   console.log('📡 Real-time sync: file watching + 1s backup poll');
 }
 
+// Send a frame to every connected portal client
+function broadcastToPortal(frame) {
+  const payload = JSON.stringify(frame);
+  for (const client of portalClients) {
+    if (client.readyState !== 1) continue; // WebSocket.OPEN
+    try {
+      client.send(payload);
+    } catch (e) {
+      console.error('Failed to broadcast to client:', e.message);
+    }
+  }
+}
+
 // WebSocket heartbeat to detect dead connections
 const HEARTBEAT_INTERVAL = 15000; // 15 seconds
 const HEARTBEAT_TIMEOUT = 10000; // 10 seconds to respond
@@ -1145,6 +1674,7 @@ setInterval(() => {
     const lastActivity = session.lastActivity || session.createdAt || 0;
     if (now - lastActivity > MAX_AGE) {
       sessions.delete(sessionId);
+      requestStore.append({ op: 'session_delete', sessionId });
       // Also clean up pending requests for this session
       if (pendingRequests.has(sessionId)) {
         pendingRequests.delete(sessionId);
@@ -1160,8 +1690,12 @@ setInterval(() => {
 
 // Pending requests store - persists across reconnections
 // Map<sessionId, Array<{requestId, status, startTime, text, response?, error?}>>
+// status: queued → processing → complete | error | cancelled
 const pendingRequests = new Map();
 
+// Client-chosen request ids (so the UI can match answers to questions)
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
 // Get or create pending queue for a session
 function getPendingQueue(sessionId) {
   if (!pendingRequests.has(sessionId)) {
@@ -1171,15 +1705,23 @@ function getPendingQueue(sessionId) {
 }
 
 // Add a new pending request to the queue
-function addPendingRequest(sessionId, text) {
-  const requestId = Math.random().toString(36).slice(2, 10);
+// requestId: the client's id for the request - a fresh one is minted if it's
+// missing, malformed or already taken
+function addPendingRequest(sessionId, text, { sparkMode = null, requestId = null, status = 'processing', input = null } = {}) {
   const queue = getPendingQueue(sessionId);
-  queue.push({
+  if (!REQUEST_ID_PATTERN.test(requestId || '') || queue.some(r => r.requestId === requestId)) {
+    requestId = Math.random().toString(36).slice(2, 10);
+  }
+  const request = {
     requestId,
-    status: 'processing',
+    status,
     startTime: Date.now(),
-    text: text.slice(0, 100)
-  });
+    text: text.slice(0, 100),
+    sparkMode,
+    ...(input && { input })
+  };
+  queue.push(request);
+  requestStore.append({ op: 'request', sessionId, request: { ...request } });
   return requestId;
 }
 
@@ -1190,6 +1732,7 @@ function updatePendingRequest(sessionId, requestId, updates) {
   const request = queue.find(r => r.requestId === requestId);
   if (request) {
     Object.assign(request, updates);
+    requestStore.append({ op: 'request', sessionId, request: { ...request } });
     return true;
   }
   return false;
@@ -1202,6 +1745,7 @@ function removePendingRequest(sessionId, requestId) {
   const index = queue.findIndex(r => r.requestId === requestId);
   if (index !== -1) {
     queue.splice(index, 1);
+    requestStore.append({ op: 'request_delete', sessionId, requestId });
   }
   // Clean up empty queues
   if (queue.length === 0) {
@@ -1209,6 +1753,172 @@ function removePendingRequest(sessionId, requestId) {
   }
 }
 
+// Finish a tracked request: drop it if the client got the result,
+// otherwise keep the result for delivery on reconnect
+function settlePendingRequest(sessionId, requestId, delivered, updates) {
+  if (!requestId) return;
+  if (delivered) {
+    removePendingRequest(sessionId, requestId);
+  } else {
+    updatePendingRequest(sessionId, requestId, { ...updates, completedAt: Date.now() });
+    console.log(`📦 [${sessionId}] Result stored for reconnection (request ${requestId})`);
+  }
+}
+
+// Rebuild portal sessions, pending requests and the message queue from the
+// request log after a restart
+function restoreRequestState() {
+  const restored = requestStore.load();
+  
+  for (const [sessionId, { createdAt }] of restored.sessions) {
+    // Fresh lastActivity - give the phone a full day to come back
+    sessions.set(sessionId, { history: [], createdAt, lastActivity: Date.now(), ws: null });
+  }
+  
+  const queuedIds = new Set(restored.queue.map(item => item.requestId));
+  const waiting = []; // Still waiting their turn in a request lane - submitted again below
+  let interrupted = 0;
+  for (const [sessionId, requests] of restored.pending) {
+    pendingRequests.set(sessionId, requests.map(r => ({ ...r })));
+    // Work in progress died with the old process, unless it's still in the
+    // message queue or never left its lane (it hadn't reached Clawdbot yet)
+    for (const request of requests) {
+      if (queuedIds.has(request.requestId)) continue;
+      if (request.status === 'queued' && request.input) {
+        waiting.push({ sessionId, request });
+      } else if (request.status === 'queued' || request.status === 'processing') {
+        updatePendingRequest(sessionId, request.requestId, {
+          status: 'error',
+          error: 'Interrupted by a server restart - please send it again',
+          errorCode: ERROR_CODES.INTERNAL,
+          completedAt: Date.now()
+        });
+        interrupted++;
+      }
+    }
+  }
+  
+  for (const item of restored.queue) {
+    messageQueue.push({ ...item, ws: null, resolve: null });
+  }
+  if (messageQueue.length > 0) startQueueDrainTimer();
+  
+  const undelivered = [...pendingRequests.values()].flat().length - messageQueue.length - waiting.length;
+  console.log(`💾 Restored ${sessions.size} session(s), ${undelivered} undelivered result(s), ${messageQueue.length} queued message(s)` +
+    (waiting.length > 0 ? `, ${waiting.length} waiting request(s)` : '') +
+    (interrupted > 0 ? `, ${interrupted} interrupted` : ''));
+  
+  // In their original order, under their original ids
+  for (const { sessionId, request: { requestId, sparkMode, input } } of waiting) {
+    removePendingRequest(sessionId, requestId);
+    submitRequest(sessionId, input.text, { mode: input.mode, sparkMode, requestId });
+  }
+}
+
+// ============================================================================
+// REQUEST LANES - each portal session works through its requests in order,
+// config.llm.concurrency at a time; the rest wait as 'queued'
+// ============================================================================
+// Map<sessionId, { running, waiting: Array<{ requestId, sparkMode, task }> }>
+const requestLanes = new Map();
+
+// Request ids already handled, so client retries of a message we already
+// have are acknowledged instead of run twice (a retry after a page reload
+// may come from a new portal session, so ids are global)
+const seenRequestIds = new Set();
+const MAX_SEEN_REQUEST_IDS = 1000;
+
+// Tell the client where its message is:
+// received (tracked in the pending store) → delivered (handed to Clawdbot)
+function sendAck(sessionId, requestId, status, { duplicate = false } = {}) {
+  if (!requestId) return false;
+  return sendToClient(sessionId, createFrame('ack', { requestId, status, duplicate }));
+}
+
+/**
+ * Track a portal message in the pending store and queue it for handling
+ * @param {string} sessionId - Portal session
+ * @param {string} text - Message text
+ * @param {Object} options - handleTranscript options plus the client's requestId
+ * @returns {string} - The request id replies will carry
+ */
+function submitRequest(sessionId, text, options = {}) {
+  const { sparkMode = null } = options;
+  
+  // Retry of a message we already have - acknowledge it again, don't re-run it
+  const existing = pendingRequests.get(sessionId)?.find(r => r.requestId === options.requestId);
+  if (options.requestId && (existing || seenRequestIds.has(options.requestId))) {
+    console.log(`♻️ [${sessionId}] Duplicate request ${options.requestId} ignored`);
+    const status = existing?.status === 'queued' ? 'received' : 'delivered';
+    sendAck(sessionId, options.requestId, status, { duplicate: true });
+    return options.requestId;
+  }
+  
+  const label = text || options.image?.filename || options.file?.filename || '';
+  // Kept while it waits, so it can be submitted again after a restart (attachments are too big to log)
+  const input = options.image || options.file ? null : { text, mode: options.mode };
+  const requestId = addPendingRequest(sessionId, label, { sparkMode, requestId: options.requestId, status: 'queued', input });
+  
+  seenRequestIds.add(requestId);
+  if (seenRequestIds.size > MAX_SEEN_REQUEST_IDS) {
+    seenRequestIds.delete(seenRequestIds.values().next().value);
+  }
+  sendAck(sessionId, requestId, 'received');
+  
+  if (!requestLanes.has(sessionId)) requestLanes.set(sessionId, { running: 0, waiting: [] });
+  requestLanes.get(sessionId).waiting.push({
+    requestId,
+    sparkMode,
+    task: () => handleTranscript(sessionId, text, { ...options, requestId })
+  });
+  drainRequestLane(sessionId);
+  return requestId;
+}
+
+function drainRequestLane(sessionId) {
+  const lane = requestLanes.get(sessionId);
+  if (!lane) return;
+  
+  while (lane.running < config.llm.concurrency && lane.waiting.length > 0) {
+    const { requestId, sparkMode, task } = lane.waiting.shift();
+    lane.running++;
+    updatePendingRequest(sessionId, requestId, { status: 'processing', startTime: Date.now(), input: undefined });
+    
+    task().catch((e) => {
+      console.error(`[${sessionId}] Request ${requestId} error:`, e.message);
+      sendError(sessionId, ERROR_CODES.INTERNAL, e.message, sparkMode, requestId);
+    }).finally(() => {
+      // Handlers that bail out early (nothing to send) never settle their entry
+      const request = pendingRequests.get(sessionId)?.find(r => r.requestId === requestId);
+      if (request?.status === 'processing') {
+        removePendingRequest(sessionId, requestId);
+        sendToClient(sessionId, createFrame('thinking', { status: 'stop', sparkMode, requestId }));
+      }
+      lane.running--;
+      if (lane.running === 0 && lane.waiting.length === 0) {
+        requestLanes.delete(sessionId);
+      } else {
+        drainRequestLane(sessionId);
+      }
+    });
+  }
+}
+
+function createSessionId() {
+  return `spark_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Reuse a known portal session or start a new one (HTTP requests may arrive
+// before the client ever opened a socket)
+function resolvePortalSession(sessionId) {
+  if (!sessionId || !sessions.has(sessionId)) {
+    sessionId = createSessionId();
+    console.log(`⚡ [${sessionId}] New session (HTTP)`);
+  }
+  getOrCreateSession(sessionId);
+  return sessionId;
+}
+
 // Get or create session
 function getOrCreateSession(sessionId) {
   if (!sessions.has(sessionId)) {
@@ -1218,6 +1928,7 @@ function getOrCreateSession(sessionId) {
       lastActivity: Date.now(),
       ws: null,
     });
+    requestStore.append({ op: 'session', sessionId, createdAt: sessions.get(sessionId).createdAt });
   }
   const session = sessions.get(sessionId);
   session.lastActivity = Date.now(); // Update on access
@@ -1230,7 +1941,9 @@ function sendToClient(sessionId, data) {
   if (session?.ws?.readyState === 1) { // WebSocket.OPEN
     try {
       session.ws.send(JSON.stringify(data));
-      console.log(`📤 [${sessionId}] Sent ${data.type}:`, data.content?.slice?.(0, 50) || '');
+      if (data.type !== 'text_delta') { // Too chatty to log per token
+        console.log(`📤 [${sessionId}] Sent ${data.type}:`, data.text?.slice?.(0, 50) || data.status || '');
+      }
       return true;
     } catch (e) {
       console.error(`❌ [${sessionId}] Failed to send ${data.type}:`, e.message);
@@ -1241,10 +1954,159 @@ function sendToClient(sessionId, data) {
   return false;
 }
 
+// Send an assistant reply and clear the thinking indicator
+// With a requestId, an undelivered reply waits in the pending store
+function sendReply(sessionId, text, sparkMode = null, requestId = null) {
+  const sent = sendToClient(sessionId, createFrame('message', {
+    role: 'assistant',
+    text,
+    source: 'web',
+    sparkMode,
+    requestId,
+    timestamp: Date.now()
+  }));
+  sendToClient(sessionId, createFrame('thinking', { status: 'stop', sparkMode, requestId }));
+  settlePendingRequest(sessionId, requestId, sent, { status: 'complete', response: text });
+  return sent;
+}
+
+// Send a typed error and clear the thinking indicator
+function sendError(sessionId, code, message, sparkMode = null, requestId = null) {
+  const sent = sendToClient(sessionId, createFrame('error', { code, message, requestId }));
+  sendToClient(sessionId, createFrame('thinking', { status: 'stop', sparkMode, requestId }));
+  settlePendingRequest(sessionId, requestId, sent, { status: 'error', error: message, errorCode: code });
+  return sent;
+}
+
+// Relay a reply while it is being generated: each chunk goes out as a
+// text_delta frame, finish() sends `done` with the canonical text
+function createReplyStream(sessionId, sparkMode = null, requestId = null) {
+  const streamId = `st_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  let text = '';
+  return {
+    get text() { return text; },
+    delta(chunk) {
+      text += chunk;
+      sendToClient(sessionId, createFrame('text_delta', { streamId, delta: chunk, sparkMode, requestId }));
+    },
+    // Like sendReply - an undelivered reply waits in the pending store
+    finish(finalText = text) {
+      const sent = sendToClient(sessionId, createFrame('done', {
+        streamId,
+        text: finalText,
+        sparkMode,
+        requestId,
+        timestamp: Date.now()
+      }));
+      sendToClient(sessionId, createFrame('thinking', { status: 'stop', sparkMode, requestId }));
+      settlePendingRequest(sessionId, requestId, sent, { status: 'complete', response: finalText });
+      return sent;
+    }
+  };
+}
+
+// ============================================================================
+// CANCELLATION - in-flight requests the portal can abort
+// ============================================================================
+// Map<sessionId, Set<run>>
+// run: { requestId, sparkMode, text, startedAt, toMainSession, cancelled, cancel() }
+const activeRuns = new Map();
+
+// Cancelled main-session requests whose answers sync should drop
+// Array<{ text, startedAt, expiresAt }> (text: the request as the transcript shows it)
+const abandonedRuns = [];
+const ABANDONED_TTL = 10 * 60 * 1000; // Longer than the 5 minute request timeout
+
+function startRun(sessionId, run) {
+  if (!activeRuns.has(sessionId)) activeRuns.set(sessionId, new Set());
+  run = { startedAt: Date.now(), cancelled: false, ...run };
+  activeRuns.get(sessionId).add(run);
+  return run;
+}
+
+function endRun(sessionId, run) {
+  const runs = activeRuns.get(sessionId);
+  if (!runs) return;
+  runs.delete(run);
+  if (runs.size === 0) activeRuns.delete(sessionId);
+}
+
+// Tell the client a request was cancelled and settle its pending entry
+function sendCancelled(sessionId, requestId = null, sparkMode = null) {
+  const sent = sendToClient(sessionId, createFrame('cancelled', { requestId, sparkMode }));
+  sendToClient(sessionId, createFrame('thinking', { status: 'stop', sparkMode, requestId }));
+  settlePendingRequest(sessionId, requestId, sent, { status: 'cancelled' });
+}
+
+/**
+ * Cancel a portal session's in-flight requests
+ * @param {string} sessionId - Portal session
+ * @param {string|null} requestId - One request, or null for all of them
+ * @returns {number} - How many requests were cancelled
+ */
+function cancelRequests(sessionId, requestId = null) {
+  const matches = (item) => !requestId || item.requestId === requestId;
+  let cancelled = 0;
+  
+  // Requests still waiting their turn
+  const lane = requestLanes.get(sessionId);
+  for (const item of [...(lane?.waiting || [])]) {
+    if (!matches(item)) continue;
+    lane.waiting.splice(lane.waiting.indexOf(item), 1);
+    sendCancelled(sessionId, item.requestId, item.sparkMode);
+    cancelled++;
+  }
+  
+  // Queued messages never reached Clawdbot - just drop them
+  for (let i = messageQueue.length - 1; i >= 0; i--) {
+    const item = messageQueue[i];
+    if (item.sessionId !== sessionId || !matches(item)) continue;
+    messageQueue.splice(i, 1);
+    requestStore.append({ op: 'dequeue', requestId: item.requestId });
+    if (item.resolve) item.resolve(null);
+    sendCancelled(sessionId, item.requestId, item.sparkMode);
+    cancelled++;
+  }
+  
+  for (const run of [...(activeRuns.get(sessionId) || [])]) {
+    if (!matches(run)) continue;
+    run.cancelled = true;
+    endRun(sessionId, run);
+    run.cancel();
+    sendCancelled(sessionId, run.requestId, run.sparkMode);
+    cancelled++;
+    
+    if (run.toMainSession) {
+      // The agent may still finish - keep its answer out of the synced feed
+      abandonedRuns.push({ text: cleanText(run.text), startedAt: run.startedAt, expiresAt: Date.now() + ABANDONED_TTL });
+      sendToMainSession(
+        `The user cancelled their Spark Portal request "${run.text.slice(0, 200)}". ` +
+        'Stop working on it; no answer is needed.',
+        'Spark Portal'
+      );
+    }
+  }
+  
+  console.log(`🛑 [${sessionId}] Cancelled ${cancelled} request(s)`);
+  return cancelled;
+}
+
+// Whether an assistant message belongs to the turn of a cancelled request:
+// its question is that request's user entry (the gateway may wrap the text,
+// so the entry only has to contain it). Other turns - e.g. WhatsApp messages
+// that land in the main session meanwhile - still sync.
+function isAbandonedAnswer(question) {
+  const now = Date.now();
+  while (abandonedRuns.length > 0 && abandonedRuns[0].expiresAt < now) abandonedRuns.shift();
+  if (!question) return false;
+  return abandonedRuns.some(r => r.text && question.timestamp >= r.startedAt && question.text.includes(r.text));
+}
+
 // Connection handler for chat/notes
 wss.on('connection', (ws, request) => {
   // Track portal clients for sync broadcasting
   portalClients.add(ws);
+  ws.connectedAt = Date.now(); // Sync starts here unless the client resumes from an earlier entry
   
   // Heartbeat tracking
   ws.isAlive = true;
@@ -1261,7 +2123,7 @@ wss.on('connection', (ws, request) => {
     console.log(`⚡ [${sessionId}] Reconnected`);
   } else {
     // New session
-    sessionId = `spark_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    sessionId = createSessionId();
     console.log(`⚡ [${sessionId}] New connection (unified=${UNIFIED_SESSION})`);
   }
   
@@ -1272,39 +2134,60 @@ wss.on('connection', (ws, request) => {
   // Check for pending request results (queue-based)
   const pendingQueue = pendingRequests.get(sessionId);
   if (pendingQueue && pendingQueue.length > 0) {
-    const hasProcessing = pendingQueue.some(r => r.status === 'processing');
-    const completedRequests = pendingQueue.filter(r => r.status === 'complete' || r.status === 'error');
+    const inFlight = pendingQueue.filter(r => r.status === 'queued' || r.status === 'processing');
+    const completedRequests = pendingQueue.filter(r => !inFlight.includes(r));
     
-    if (hasProcessing) {
-      // At least one still processing - tell client
-      ws.send(JSON.stringify({ type: 'ready', sessionId, pending: true }));
-      ws.send(JSON.stringify({ type: 'thinking' }));
+    if (inFlight.length > 0) {
+      // Still working on some - tell client which ones
+      ws.send(JSON.stringify(createFrame('ready', { sessionId, pending: true })));
+      for (const req of inFlight) {
+        ws.send(JSON.stringify(createFrame('thinking', { status: 'start', sparkMode: req.sparkMode, requestId: req.requestId })));
+      }
     } else {
-      ws.send(JSON.stringify({ type: 'ready', sessionId }));
+      ws.send(JSON.stringify(createFrame('ready', { sessionId })));
     }
     
     // Send all completed/errored results
     for (const req of completedRequests) {
       if (req.status === 'complete') {
-        ws.send(JSON.stringify({ type: 'text', content: req.response }));
-        ws.send(JSON.stringify({ type: 'done' }));
+        sendReply(sessionId, req.response, req.sparkMode, req.requestId);
       } else if (req.status === 'error') {
-        ws.send(JSON.stringify({ type: 'error', message: req.error }));
-        ws.send(JSON.stringify({ type: 'done' }));
-      }
+        sendError(sessionId, req.errorCode || ERROR_CODES.UPSTREAM, req.error, req.sparkMode, req.requestId);
+      } // Cancelled requests have nothing to deliver
       removePendingRequest(sessionId, req.requestId);
     }
   } else {
-    ws.send(JSON.stringify({ type: 'ready', sessionId }));
+    ws.send(JSON.stringify(createFrame('ready', { sessionId })));
   }
   
+  // Latest agent/node status; changes are pushed as they happen
+  ws.send(JSON.stringify(createFrame('session_status', { sessions: clawdbotStatus.sessions })));
+  ws.send(JSON.stringify(createFrame('node_status', { node: clawdbotStatus.nodes })));
+  if (!clawdbotStatus.updatedAt) clawdbotStatus.refresh();
+  
   ws.on('message', async (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      ws.send(JSON.stringify(createFrame('error', { code: ERROR_CODES.BAD_JSON, message: 'Frame is not valid JSON' })));
+      return;
+    }
+    
+    const check = validateFrame(msg, 'client');
+    if (!check.ok) {
+      console.warn(`[${sessionId}] Rejected frame (${check.code}): ${check.message}`);
+      // Echo the request id (if any) so the client can close that question
+      const requestId = typeof msg?.requestId === 'string' ? msg.requestId : undefined;
+      ws.send(JSON.stringify(createFrame('error', { code: check.code, message: check.message, requestId })));
+      return;
+    }
+    
     try {
-      const msg = JSON.parse(data.toString());
       await handleMessage(ws, msg);
     } catch (e) {
       console.error(`[${sessionId}] Error:`, e.message);
-      ws.send(JSON.stringify({ type: 'error', message: e.message }));
+      ws.send(JSON.stringify(createFrame('error', { code: ERROR_CODES.INTERNAL, message: e.message })));
     }
   });
   
@@ -1317,37 +2200,76 @@ wss.on('connection', (ws, request) => {
   });
 });
 
-// Message handler
+// Message handler - frames are already validated against the protocol schema
 async function handleMessage(ws, msg) {
   const session = sessions.get(ws.sessionId);
   if (!session) return;
 
+  // Mode-scoped frames must name a registered mode
+  if (msg.sparkMode && !modes.has(msg.sparkMode)) {
+    ws.send(JSON.stringify(createFrame('error', {
+      code: ERROR_CODES.UNKNOWN_MODE,
+      message: `Unknown mode: ${msg.sparkMode}`,
+      requestId: msg.requestId
+    })));
+    return;
+  }
+
   switch (msg.type) {
-    case 'transcript':
-      await handleTranscript(ws, session, msg.text, msg.mode || 'chat', msg.image, msg.file);
+    case 'message':
+    case 'transcript': // deprecated alias
+      submitRequest(ws.sessionId, msg.text, {
+        mode: msg.mode || 'chat',
+        image: msg.image,
+        file: msg.file,
+        sparkMode: msg.sparkMode,
+        requestId: msg.requestId
+      });
       break;
       
     case 'voice_note':
       await handleVoiceNote(ws, session, msg.audio, msg.duration);
       break;
       
-    default:
-      console.warn(`Unknown message: ${msg.type}`);
+    case 'mode_history':
+      ws.send(JSON.stringify(createFrame('mode_history', {
+        sparkMode: msg.sparkMode,
+        messages: modes.loadHistory(msg.sparkMode)
+      })));
+      break;
+      
+    case 'cancel':
+      if (cancelRequests(ws.sessionId, msg.requestId) === 0) {
+        // Nothing in flight (already answered) - make sure the UI isn't stuck
+        sendToClient(ws.sessionId, createFrame('thinking', { status: 'stop', requestId: msg.requestId }));
+      }
+      break;
+      
+    case 'catch_up':
+      await resumeSync(ws, msg);
+      break;
+      
+    case 'activity':
+      ws.wantsActivity = msg.enabled;
+      break;
   }
 }
 
+// Attachments arrive as data URLs (WebSocket) or { buffer } (multipart upload)
+function attachmentBuffer(attachment) {
+  if (Buffer.isBuffer(attachment?.buffer)) return attachment.buffer;
+  const dataUrl = typeof attachment === 'string' ? attachment : attachment.dataUrl;
+  return Buffer.from(dataUrl.replace(/^data:[^;]*;base64,/, ''), 'base64');
+}
+
 // Extract text from PDF
-async function extractPdfText(dataUrl) {
-  const base64Data = dataUrl.split(',')[1];
-  const buffer = Buffer.from(base64Data, 'base64');
+async function extractPdfText(buffer) {
   const data = await pdf(buffer);
   return data.text;
 }
 
 // Extract text from DOCX
-async function extractDocxText(dataUrl) {
-  const base64Data = dataUrl.split(',')[1];
-  const buffer = Buffer.from(base64Data, 'base64');
+async function extractDocxText(buffer) {
   const result = await mammoth.extractRawText({ buffer });
   return result.value;
 }
@@ -1355,12 +2277,45 @@ async function extractDocxText(dataUrl) {
 // Route special commands through Clawdbot's main session (for tools/skills)
 // Uses the CLI for reliable agent execution with full tool access
 // isRetry: true if this is a retry from the queue (don't re-queue on failure)
-async function routeThroughClawdbot(ws, sessionId, text, isRetry = false) {
+// sparkMode: mode with target 'session' routes to its own Clawdbot session
+// requestId: pending-store entry that holds the result if the client is offline
+// Resolves with the reply text, or null on failure
+async function routeThroughClawdbot(ws, sessionId, text, { isRetry = false, sparkMode = null, requestId = null } = {}) {
   console.log(`🔀 [${sessionId}] Routing through Clawdbot: ${text.slice(0, 50)}...${isRetry ? ' (retry)' : ''}`);
-  sendToClient(sessionId, { type: 'thinking' });
+  sendAck(sessionId, requestId, 'delivered');
+  sendToClient(sessionId, createFrame('thinking', { status: 'start', sparkMode, requestId }));
   
   // Mark this client as processing - sync will skip assistant msgs for them
-  if (ws) processingClients.add(ws);
+  // (every way out of here unmarks it once)
+  markProcessing(ws);
+  
+  // Stream the reply through the gateway when it can; otherwise (streaming
+  // disabled, endpoint off, gateway down) wait for the CLI's full reply
+  if (config.llm.stream && modes.get(sparkMode)?.target !== 'session') {
+    const streamed = await streamThroughGateway(sessionId, text, { sparkMode, requestId });
+    if (streamed.connecting && !isRetry) {
+      return new Promise(resolve => queueWhileConnecting(ws, sessionId, text, resolve, { sparkMode, requestId }));
+    }
+    if (streamed.connecting) {
+      sendError(sessionId, ERROR_CODES.UPSTREAM, streamed.error, sparkMode, requestId);
+    }
+    if (streamed.handled) {
+      unmarkProcessing(ws);
+      return streamed.reply;
+    }
+  }
+  
+  // Dedicated mode sessions get their own session id, everything else goes to
+  // main - via the owner's WhatsApp number if configured, else the session id
+  const mainSessionId = mainSession.sessionId;
+  const toModeSession = modes.get(sparkMode)?.target === 'session';
+  const target = toModeSession
+    ? ['--session-id', `spark-${sparkMode}`]
+    : config.clawdbot.deliverTo
+      ? ['--to', config.clawdbot.deliverTo]
+      : mainSessionId
+        ? ['--session-id', mainSessionId]
+        : ['--agent', config.llm.agent];
   
   return new Promise((resolve) => {
     const timeout = 5 * 60 * 1000; // 5 minutes timeout
@@ -1368,11 +2323,11 @@ async function routeThroughClawdbot(ws, sessionId, text, isRetry = false) {
     let stderr = '';
     let completed = false;
     
-    // Use clawdbot agent CLI to route to main session
+    // Use clawdbot agent CLI to route to main (or mode) session
     const proc = spawn(CLAWDBOT_PATH, [
       'agent',
       '--message', text,
-      '--to', '+6587588470', // Parth's number - routes to main session
+      ...target,
       '--json'
     ], {
       timeout,
@@ -1390,21 +2345,36 @@ async function routeThroughClawdbot(ws, sessionId, text, isRetry = false) {
     const timeoutId = setTimeout(() => {
       if (!completed) {
         completed = true;
+        endRun(sessionId, run);
         proc.kill('SIGTERM');
         console.error(`[${sessionId}] Clawdbot routing timeout after 5 minutes`);
-        sendToClient(sessionId, { type: 'error', message: 'Request timed out after 5 minutes' });
-        sendToClient(sessionId, { type: 'done' });
-        // Unmark client as processing
-        const session = sessions.get(sessionId);
-        if (session?.ws) processingClients.delete(session.ws);
-        resolve(false);
+        sendError(sessionId, ERROR_CODES.TIMEOUT, 'Request timed out after 5 minutes', sparkMode, requestId);
+        unmarkProcessing(ws);
+        resolve(null);
       }
     }, timeout);
     
+    // Stop button: kill the CLI, cancelRequests() tells the client
+    const run = startRun(sessionId, {
+      requestId,
+      sparkMode,
+      text,
+      toMainSession: !toModeSession,
+      cancel: () => {
+        completed = true;
+        clearTimeout(timeoutId);
+        proc.kill('SIGTERM');
+        console.log(`🛑 [${sessionId}] Killed Clawdbot CLI (pid ${proc.pid})`);
+        unmarkProcessing(ws);
+        resolve(null);
+      }
+    });
+    
     proc.on('close', (code) => {
       clearTimeout(timeoutId);
       if (completed) return;
       completed = true;
+      endRun(sessionId, run);
       
       try {
         if (code !== 0) {
@@ -1412,23 +2382,7 @@ async function routeThroughClawdbot(ws, sessionId, text, isRetry = false) {
           
           // Check if this is a "connecting" error - queue message for retry
           if (!isRetry && isConnectingError(errorText)) {
-            console.log(`⏳ [${sessionId}] Gateway connecting, queueing message...`);
-            gatewayConnecting = true;
-            
-            // Notify user their message is queued
-            sendToClient(sessionId, { 
-              type: 'text', 
-              content: '⏳ WhatsApp is reconnecting... Your message has been queued and will be sent automatically when connected.' 
-            });
-            sendToClient(sessionId, { type: 'done' });
-            
-            // Queue the message
-            queueMessage(ws, sessionId, text, resolve);
-            startQueueDrainTimer();
-            
-            // Unmark client as processing (will be re-marked on retry)
-            const sessionQueue = sessions.get(sessionId);
-            if (sessionQueue?.ws) processingClients.delete(sessionQueue.ws);
+            queueWhileConnecting(ws, sessionId, text, resolve, { sparkMode, requestId });
             return;
           }
           
@@ -1438,34 +2392,27 @@ async function routeThroughClawdbot(ws, sessionId, text, isRetry = false) {
         // Parse JSON output from CLI
         const result = JSON.parse(stdout);
         const payloads = result.result?.payloads || [];
-        const reply = payloads.map(p => p.text).filter(Boolean).join('\n') || 
-                      'Request processed by Clawdbot.';
+        const answer = payloads.map(p => p.text).filter(Boolean).join('\n');
+        const reply = answer || 'Request processed by Clawdbot.';
         
         console.log(`✅ [${sessionId}] Clawdbot response: ${reply.slice(0, 100)}...`);
-        sendToClient(sessionId, { type: 'text', content: reply });
-        sendToClient(sessionId, { type: 'done' });
+        sendReply(sessionId, reply, sparkMode, requestId);
         
-        // Add to hash set so sync won't re-broadcast this response
-        const replyHash = hashMessage(reply);
-        recentlySentHashes.add(replyHash);
+        // Sync won't send its transcript entries again (mode sessions aren't synced at all)
+        if (answer && !toModeSession) noteDirectReply(run);
         
-        // Unmark client as processing
-        const session = sessions.get(sessionId);
-        if (session?.ws) processingClients.delete(session.ws);
+        unmarkProcessing(ws);
         
-        resolve(true);
+        resolve(reply);
       } catch (e) {
         console.error(`[${sessionId}] Clawdbot routing error:`, e.message);
         // If JSON parsing fails, try to extract any useful text
         const errorMsg = e.message.includes('JSON') 
           ? (stderr || stdout || 'Unknown error from Clawdbot').slice(0, 500)
           : e.message;
-        sendToClient(sessionId, { type: 'error', message: errorMsg });
-        sendToClient(sessionId, { type: 'done' });
-        // Unmark client as processing
-        const sessionErr = sessions.get(sessionId);
-        if (sessionErr?.ws) processingClients.delete(sessionErr.ws);
-        resolve(false);
+        sendError(sessionId, ERROR_CODES.UPSTREAM, errorMsg, sparkMode, requestId);
+        unmarkProcessing(ws);
+        resolve(null);
       }
     });
     
@@ -1473,44 +2420,126 @@ async function routeThroughClawdbot(ws, sessionId, text, isRetry = false) {
       clearTimeout(timeoutId);
       if (completed) return;
       completed = true;
+      endRun(sessionId, run);
       
       console.error(`[${sessionId}] Clawdbot spawn error:`, e.message);
-      sendToClient(sessionId, { type: 'error', message: `Failed to run Clawdbot: ${e.message}` });
-      sendToClient(sessionId, { type: 'done' });
-      // Unmark client as processing
-      const sessionSpawn = sessions.get(sessionId);
-      if (sessionSpawn?.ws) processingClients.delete(sessionSpawn.ws);
-      resolve(false);
+      sendError(sessionId, ERROR_CODES.UPSTREAM, `Failed to run Clawdbot: ${e.message}`, sparkMode, requestId);
+      unmarkProcessing(ws);
+      resolve(null);
     });
   });
 }
 
+// Gateway or WhatsApp is reconnecting - park the message until it's back
+// (drainMessageQueue retries it and calls resolve with the reply)
+function queueWhileConnecting(ws, sessionId, text, resolve, { sparkMode = null, requestId = null } = {}) {
+  console.log(`⏳ [${sessionId}] Gateway connecting, queueing message...`);
+  gatewayConnecting = true;
+  
+  // Notify user their message is queued
+  sendToClient(sessionId, createFrame('status', {
+    message: '⏳ WhatsApp is reconnecting... Your message has been queued and will be sent automatically when connected.',
+    requestId
+  }));
+  
+  queueMessage(ws, sessionId, text, resolve, { sparkMode, requestId });
+  startQueueDrainTimer();
+  
+  // Unmark client as processing (will be re-marked on retry)
+  unmarkProcessing(ws);
+}
+
+// The gateway never took the request (not listening, or no chat endpoint),
+// so nothing ran and the CLI can safely try instead
+function isGatewayUnreachable(error) {
+  return error.cause?.code === 'ECONNREFUSED' || error.status === 404 || error.status === 405;
+}
+
+// Ask the main Clawdbot session through the gateway's OpenAI-compatible
+// endpoint with stream: true, relaying tokens as they arrive
+// Resolves with { handled: false } if the gateway couldn't be reached and the
+// caller should fall back to the CLI, { handled: true, connecting: true, error }
+// if it's reconnecting (the caller queues the message), else { handled: true, reply }
+// (reply is null on error). Once the gateway has accepted the request the agent may
+// already have run tools, so later failures are reported rather than re-run.
+async function streamThroughGateway(sessionId, text, { sparkMode = null, requestId = null } = {}) {
+  const stream = createReplyStream(sessionId, sparkMode, requestId);
+  const controller = new AbortController();
+  const run = startRun(sessionId, {
+    requestId,
+    sparkMode,
+    text,
+    toMainSession: true,
+    cancel: () => controller.abort()
+  });
+  
+  try {
+    const reply = await chatCompletion({
+      model: `clawdbot:${config.llm.agent}`,
+      messages: [{ role: 'user', content: text }],
+    }, {
+      headers: { 'x-clawdbot-session-key': UNIFIED_SESSION_KEY },
+      onDelta: stream.delta,
+      signal: controller.signal,
+    });
+    if (!reply) throw new Error('Empty reply from gateway');
+    
+    console.log(`✅ [${sessionId}] Streamed response: ${reply.slice(0, 100)}...`);
+    stream.finish(reply);
+    // Sync won't send its transcript entries again
+    noteDirectReply(run);
+    return { handled: true, reply };
+  } catch (e) {
+    // Cancelled - cancelRequests() already told the client
+    if (run.cancelled) return { handled: true, reply: null };
+    if (!stream.text && isGatewayUnreachable(e)) {
+      console.warn(`[${sessionId}] Gateway streaming unavailable, using CLI: ${e.message}`);
+      return { handled: false };
+    }
+    if (!stream.text && isConnectingError(e.message)) {
+      return { handled: true, connecting: true, error: e.message, reply: null };
+    }
+    // Accepted (maybe with a partial reply on screen) - report the failure instead of starting over
+    console.error(`[${sessionId}] Gateway stream failed:`, e.message);
+    sendError(sessionId, ERROR_CODES.UPSTREAM, e.message, sparkMode, requestId);
+    return { handled: true, reply: null };
+  } finally {
+    endRun(sessionId, run);
+  }
+}
+
 // Handle text/voice transcript (with optional image or file)
-// ALL messages route through Clawdbot main session for unified experience
-async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData) {
-  if (!text?.trim()) return;
+// ALL messages route through Clawdbot main session for unified experience,
+// unless sent from inside a Spark mode (see routeModeMessage)
+// image/file: data URL payloads (WebSocket) or { buffer } uploads (HTTP)
+// requestId: pending-store entry, so replies survive a dropped socket
+async function handleTranscript(sessionId, text, { mode = 'chat', image = null, file = null, sparkMode = null, requestId = null } = {}) {
+  text = text?.trim() || '';
+  if (!text && !image && !file) return;
   
-  const sessionId = ws.sessionId;
-  const hasImage = !!imageDataUrl;
-  const hasFile = !!fileData;
+  const ws = sessions.get(sessionId)?.ws || null;
+  const hasImage = !!image;
+  const hasFile = !!file;
   
-  console.log(`🎤 [${sessionId}] (${mode}) User: ${text.slice(0, 50)}...${hasImage ? ' [+image]' : ''}${hasFile ? ` [+${fileData.filename}]` : ''}`);
+  console.log(`🎤 [${sessionId}] (${mode}) User: ${text.slice(0, 50)}...${hasImage ? ' [+image]' : ''}${hasFile ? ` [+${file.filename}]` : ''}`);
   
   // Build the full message text
   let fullText = text;
   
   // Handle file attachments - extract text and include in message
-  if (fileData) {
+  if (file) {
     try {
-      const ext = fileData.filename.split('.').pop().toLowerCase();
+      const ext = file.filename.split('.').pop().toLowerCase();
       let extractedText = '';
       
       if (ext === 'pdf') {
-        console.log(`📄 [${sessionId}] Extracting PDF: ${fileData.filename}`);
-        extractedText = await extractPdfText(fileData.dataUrl);
+        console.log(`📄 [${sessionId}] Extracting PDF: ${file.filename}`);
+        extractedText = await extractPdfText(attachmentBuffer(file));
       } else if (ext === 'docx' || ext === 'doc') {
-        console.log(`📝 [${sessionId}] Extracting DOCX: ${fileData.filename}`);
-        extractedText = await extractDocxText(fileData.dataUrl);
+        console.log(`📝 [${sessionId}] Extracting DOCX: ${file.filename}`);
+        extractedText = await extractDocxText(attachmentBuffer(file));
+      } else if (['txt', 'md', 'json', 'csv'].includes(ext)) {
+        extractedText = attachmentBuffer(file).toString('utf8');
       }
       
       // Truncate if too long (keep first 30k chars for CLI)
@@ -1518,11 +2547,10 @@ async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData)
         extractedText = extractedText.slice(0, 30000) + '\n\n[... truncated ...]';
       }
       
-      fullText = `${text}\n\n[File: ${fileData.filename}]\n\n${extractedText}`;
+      fullText = `${text}\n\n[File: ${file.filename}]\n\n${extractedText}`;
     } catch (e) {
       console.error(`[${sessionId}] File extraction error:`, e.message);
-      sendToClient(sessionId, { type: 'error', message: `Failed to read file: ${e.message}` });
-      sendToClient(sessionId, { type: 'done' });
+      sendError(sessionId, ERROR_CODES.FILE_ERROR, `Failed to read file: ${e.message}`, sparkMode, requestId);
       return;
     }
   }
@@ -1530,13 +2558,13 @@ async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData)
   // Handle images - save to temp file and reference in message
   if (hasImage) {
     try {
-      const imgDir = '/tmp/spark-images';
+      const imgDir = config.imageDir;
       if (!existsSync(imgDir)) mkdirSync(imgDir, { recursive: true });
       
-      const imgFilename = `img_${Date.now()}.jpg`;
-      const imgPath = join(imgDir, imgFilename);
-      const base64Data = imageDataUrl.replace(/^data:[^;]+;base64,/, '');
-      writeFileSync(imgPath, Buffer.from(base64Data, 'base64'));
+      const mimetype = image.mimetype || (typeof image === 'string' && image.match(/^data:([^;]+);/)?.[1]);
+      const ext = { 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' }[mimetype] || 'jpg';
+      const imgPath = join(imgDir, `img_${Date.now()}.${ext}`);
+      writeFileSync(imgPath, attachmentBuffer(image));
       
       fullText = `[Image attached: ${imgPath}]\n\n${text}`;
       console.log(`📷 [${sessionId}] Image saved: ${imgPath}`);
@@ -1546,9 +2574,56 @@ async function handleTranscript(ws, session, text, mode, imageDataUrl, fileData)
     }
   }
   
+  if (sparkMode) {
+    await routeModeMessage(ws, sessionId, sparkMode, text, fullText, requestId);
+    return;
+  }
+  
   // Route ALL messages through Clawdbot main session
   // This ensures same session, same tools, same memory as WhatsApp
-  await routeThroughClawdbot(ws, sessionId, fullText);
+  await routeThroughClawdbot(ws, sessionId, fullText, { requestId });
+}
+
+// Route a message sent from inside a Spark mode according to the mode's target,
+// keeping both sides of the exchange in the mode's own transcript
+async function routeModeMessage(ws, sessionId, sparkMode, text, fullText, requestId = null) {
+  const modeConfig = modes.get(sparkMode);
+  const history = modes.loadHistory(sparkMode, 20);
+  modes.appendHistory(sparkMode, 'user', text || fullText);
+  
+  let reply = null;
+  if (modeConfig.target === 'gateway') {
+    // Plain LLM call with the mode's system prompt (e.g. Articulate)
+    sendAck(sessionId, requestId, 'delivered');
+    sendToClient(sessionId, createFrame('thinking', { status: 'start', sparkMode, requestId }));
+    const controller = new AbortController();
+    const run = startRun(sessionId, { requestId, sparkMode, text: fullText, cancel: () => controller.abort() });
+    try {
+      const messages = history.map(m => ({ role: m.role, content: m.content }));
+      messages.push({ role: 'user', content: fullText });
+      const stream = createReplyStream(sessionId, sparkMode, requestId);
+      reply = await chat(messages, MODELS.chat, 'chat', false, modeConfig.systemPrompt, {
+        onDelta: config.llm.stream ? stream.delta : null,
+        signal: controller.signal
+      });
+      stream.finish(reply);
+    } catch (e) {
+      if (!run.cancelled) {
+        console.error(`[${sessionId}] ${sparkMode} mode error:`, e.message);
+        sendError(sessionId, ERROR_CODES.UPSTREAM, e.message, sparkMode, requestId);
+      }
+    } finally {
+      endRun(sessionId, run);
+    }
+  } else {
+    // First turn of a dedicated session carries the mode's instructions
+    const message = modeConfig.target === 'session' && history.length === 0 && modeConfig.systemPrompt
+      ? `${modeConfig.systemPrompt}\n\n${fullText}`
+      : fullText;
+    reply = await routeThroughClawdbot(ws, sessionId, message, { sparkMode, requestId });
+  }
+  
+  if (reply) modes.appendHistory(sparkMode, 'assistant', reply);
 }
 
 // Legacy handler kept for reference - no longer used
@@ -1561,9 +2636,9 @@ async function handleTranscriptIsolated(ws, session, text, mode, imageDataUrl, f
   const hasFile = !!fileData;
   
   const requestId = addPendingRequest(sessionId, text);
-  sendToClient(sessionId, { type: 'thinking' });
+  sendToClient(sessionId, createFrame('thinking', { status: 'start' }));
   
-  const sharedHistory = loadSessionHistory(20);
+  const sharedHistory = await loadSessionHistory(20);
   let userContent = text;
   let fullText = text;
   
@@ -1585,9 +2660,9 @@ async function handleTranscriptIsolated(ws, session, text, mode, imageDataUrl, f
       let extractedText = '';
       
       if (ext === 'pdf') {
-        extractedText = await extractPdfText(fileData.dataUrl);
+        extractedText = await extractPdfText(attachmentBuffer(fileData));
       } else if (ext === 'docx' || ext === 'doc') {
-        extractedText = await extractDocxText(fileData.dataUrl);
+        extractedText = await extractDocxText(attachmentBuffer(fileData));
       }
       
       if (extractedText.length > 50000) {
@@ -1599,37 +2674,26 @@ async function handleTranscriptIsolated(ws, session, text, mode, imageDataUrl, f
     }
   } catch (e) {
     updatePendingRequest(sessionId, requestId, { status: 'error', error: `Failed to read file: ${e.message}` });
-    sendToClient(sessionId, { type: 'error', message: `Failed to read file: ${e.message}` });
-    sendToClient(sessionId, { type: 'done' });
+    sendError(sessionId, ERROR_CODES.FILE_ERROR, `Failed to read file: ${e.message}`);
     return;
   }
   
   sharedHistory.push({ role: 'user', content: userContent });
-  appendToSessionSync('user', typeof userContent === 'string' ? userContent.slice(0, 2000) : text);
+  appendToSession('user', typeof userContent === 'string' ? userContent.slice(0, 2000) : text);
   
   let response;
   try {
     response = await chat(sharedHistory, model, mode, hasImage);
-    appendToSessionSync('assistant', response);
+    appendToSession('assistant', response);
   } catch (e) {
     updatePendingRequest(sessionId, requestId, { status: 'error', error: `API error: ${e.message}` });
-    sendToClient(sessionId, { type: 'error', message: `API error: ${e.message}` });
-    sendToClient(sessionId, { type: 'done' });
+    sendError(sessionId, ERROR_CODES.UPSTREAM, `API error: ${e.message}`);
     return;
   }
   
-  const sent = sendToClient(sessionId, { type: 'text', content: response });
+  const sent = sendReply(sessionId, response);
   
   if (sent) {
-    if (mode === 'voice') {
-      try {
-        const audio = await tts.synthesize(response);
-        sendToClient(sessionId, { type: 'audio', data: audio.toString('base64') });
-      } catch (e) {
-        console.error('TTS error:', e.message);
-      }
-    }
-    sendToClient(sessionId, { type: 'done' });
     removePendingRequest(sessionId, requestId);
   } else {
     // Client disconnected - store response for later
@@ -1642,42 +2706,30 @@ async function handleTranscriptIsolated(ws, session, text, mode, imageDataUrl, f
   }
 }
 
-// Handle voice note (transcribe + summarize)
+// Handle voice note (stored in the notes library, transcribed, summarized)
 async function handleVoiceNote(ws, session, audioBase64, duration) {
   console.log(`🎙️ [${ws.sessionId}] Voice note: ${duration}s`);
   
-  ws.send(JSON.stringify({ type: 'thinking' }));
-  
-  // Save audio file
-  const notesDir = join(__dirname, '../notes');
-  if (!existsSync(notesDir)) mkdirSync(notesDir, { recursive: true });
+  ws.send(JSON.stringify(createFrame('thinking', { status: 'start' })));
   
-  const filename = `note_${Date.now()}.webm`;
-  const filepath = join(notesDir, filename);
-  writeFileSync(filepath, Buffer.from(audioBase64, 'base64'));
+  const note = notes.create(Buffer.from(audioBase64, 'base64'), { mimetype: 'audio/webm', duration });
+  await notes.process(note.id, {
+    onTranscript: () => sendToClient(ws.sessionId, createFrame('transcription', { text: note.transcript }))
+  });
   
-  // Transcribe using Whisper API via gateway
-  let transcription;
-  try {
-    transcription = await transcribeAudio(audioBase64);
-    ws.send(JSON.stringify({ type: 'transcription', text: transcription }));
-  } catch (e) {
-    console.error('Transcription error:', e.message);
-    ws.send(JSON.stringify({ type: 'error', message: 'Transcription failed' }));
-    ws.send(JSON.stringify({ type: 'done' }));
-    return;
+  if (!note.transcript) {
+    sendError(ws.sessionId, ERROR_CODES.UPSTREAM, 'Transcription failed');
+  } else if (note.summary) {
+    sendReply(ws.sessionId, note.summary);
+  } else {
+    sendError(ws.sessionId, ERROR_CODES.UPSTREAM, 'Summary failed - retry it from the notes list');
   }
-  
-  // Summarize
-  const prompt = `Here's a voice note transcription. Please provide a clear, concise summary with key points:\n\n${transcription}`;
-  const summary = await chat([{ role: 'user', content: prompt }], MODELS.notes, 'notes');
-  
-  ws.send(JSON.stringify({ type: 'text', content: summary }));
-  ws.send(JSON.stringify({ type: 'done' }));
 }
 
-// Chat with LLM
-async function chat(history, model, mode, hasImage = false) {
+// Chat with LLM (systemPrompt overrides the per-mode default, e.g. for Spark modes)
+// onDelta: stream the reply, called with each chunk of text as it arrives
+// signal: AbortSignal to cancel the request
+async function chat(history, model, mode, hasImage = false, systemPrompt = null, { onDelta = null, signal = null } = {}) {
   const systemPrompts = {
     voice: 'You are Spark, a voice assistant. Be concise (under 50 words), natural, conversational. No markdown.',
     chat: 'You are Spark, an AI assistant. Be thorough and helpful. Use markdown for formatting when useful.',
@@ -1685,7 +2737,7 @@ async function chat(history, model, mode, hasImage = false) {
   };
   
   const messages = [
-    { role: 'system', content: systemPrompts[mode] || systemPrompts.chat },
+    { role: 'system', content: systemPrompt || systemPrompts[mode] || systemPrompts.chat },
     ...history.slice(-10)
   ];
 
@@ -1701,103 +2753,97 @@ async function chat(history, model, mode, hasImage = false) {
     body.thinking = { type: 'enabled', budget_tokens: 2000 };
   }
 
+  try {
+    return await chatCompletion(body, { onDelta, signal }) || 'No response';
+  } catch (e) {
+    console.error('Chat fetch error:', e.message, e.cause || '');
+    throw new Error(`Chat failed: ${e.message}`);
+  }
+}
+
+// POST to the gateway's /v1/chat/completions and return the reply text
+// With onDelta the request is streamed (SSE) and onDelta gets each chunk
+async function chatCompletion(body, { headers = {}, onDelta = null, signal = null } = {}) {
   // 5 minute timeout to prevent infinite hangs (increased for Opus + thinking)
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 300000);
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
   
   try {
-    const jsonBody = JSON.stringify(body);
+    const jsonBody = JSON.stringify(onDelta ? { ...body, stream: true } : body);
     const bodySize = Buffer.byteLength(jsonBody);
-    console.log(`📡 Sending request to ${GATEWAY_URL}/v1/chat/completions (${Math.round(bodySize/1024)}KB)`);
+    console.log(`📡 Sending ${onDelta ? 'streaming ' : ''}request to ${GATEWAY_URL}/v1/chat/completions (${Math.round(bodySize/1024)}KB)`);
     
     const response = await fetch(`${GATEWAY_URL}/v1/chat/completions`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${GATEWAY_TOKEN}`,
+        ...headers,
       },
       body: jsonBody,
       signal: controller.signal,
     });
-    
-    clearTimeout(timeoutId);
 
     if (!response.ok) {
       const err = await response.text();
       console.error('API error:', response.status, err);
-      throw new Error(`API error: ${response.status} - ${err.slice(0, 200)}`);
+      const error = new Error(`API error: ${response.status} - ${err.slice(0, 200)}`);
+      error.status = response.status;
+      throw error;
     }
 
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || 'No response';
+    if (!onDelta) {
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    }
+    return await readChatStream(response, onDelta);
   } catch (e) {
-    clearTimeout(timeoutId);
+    if (e.name === 'AbortError' && signal?.aborted) {
+      throw new Error('Request cancelled');
+    }
     if (e.name === 'AbortError') {
       console.error('Chat request timed out after 5 minutes');
       throw new Error('Request timed out after 5 minutes');
     }
-    console.error('Chat fetch error:', e.message, e.cause || '');
-    throw new Error(`Chat failed: ${e.message}`);
+    throw e;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
-// Transcribe audio using OpenAI Whisper API
-async function transcribeAudio(audioBase64) {
-  // Get OpenAI key from skills config
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  let apiKey;
-  
-  if (existsSync(configPath)) {
-    const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-    apiKey = cfg.skills?.entries?.['openai-whisper-api']?.apiKey;
-  }
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key not found');
-  }
-  
-  // Convert base64 to buffer
-  const audioBuffer = Buffer.from(audioBase64, 'base64');
-  
-  // Build multipart form data manually
-  const boundary = '----WebKitFormBoundary' + Math.random().toString(36).slice(2);
-  
-  const formParts = [
-    `--${boundary}\r\n`,
-    `Content-Disposition: form-data; name="file"; filename="audio.webm"\r\n`,
-    `Content-Type: audio/webm\r\n\r\n`,
-  ];
+// Read an OpenAI-style SSE stream: "data: {json}" lines, ending with "data: [DONE]"
+async function readChatStream(response, onDelta) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
   
-  const formEnd = [
-    `\r\n--${boundary}\r\n`,
-    `Content-Disposition: form-data; name="model"\r\n\r\n`,
-    `whisper-1`,
-    `\r\n--${boundary}--\r\n`,
-  ];
-  
-  const formBody = Buffer.concat([
-    Buffer.from(formParts.join('')),
-    audioBuffer,
-    Buffer.from(formEnd.join(''))
-  ]);
-  
-  const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': `multipart/form-data; boundary=${boundary}`,
-    },
-    body: formBody,
-  });
-  
-  if (!response.ok) {
-    const err = await response.text();
-    console.error('Whisper error:', err);
-    throw new Error(`Whisper error: ${response.status}`);
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // Incomplete line waits for the next chunk
+    
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return text;
+      
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      if (event.error) throw new Error(event.error.message || 'Stream error');
+      
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onDelta(delta);
+      }
+    }
   }
-  
-  const data = await response.json();
-  return data.text;
+  return text;
 }
 
 // Start server
@@ -1815,4 +2861,12 @@ server.listen(PORT, () => {
 ║  • Notes: Whisper + ${MODELS.notes}  ║
 ╚═══════════════════════════════════════════════════════╝
 `);
+  
+  // Pick up portal requests, video jobs and meetings interrupted by a restart
+  restoreRequestState();
+  videoJobs.resume();
+  meetings.resume();
+  
+  clawdbotStatus.start();
+  console.log('📊 Clawdbot status: background poll, pushed to portal clients');
 });
@@ -0,0 +1,342 @@
+/**
+ * Session Export - a conversation as Markdown, HTML, JSON or a zip bundle
+ *
+ * Exports cover the chat turns of one transcript (heartbeats and cron
+ * prompts are left out) with their timestamps and channels:
+ * - json: a normalized schema (EXPORT_SCHEMA), the same for every channel
+ * - md / html: readable transcripts, times in the configured timezone
+ * - zip: transcript.md + transcript.json + transcript.html, the images the
+ *   conversation attached (images/, from imageDir) and the voice notes
+ *   recorded while it was going on (notes/, from notesDir). It's streamed a
+ *   file at a time, and attachments stop being added once it would pass
+ *   MAX_ZIP_BYTES (the transcripts say which ones were left out).
+ *
+ * Voice notes aren't written to transcripts, so a note belongs to a
+ * conversation if it was recorded between its first and last message
+ * (give or take NOTE_WINDOW_MS). Meetings are conversations of their own
+ * and are never bundled.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { Readable } from 'stream';
+import { basename, join, relative, isAbsolute } from 'path';
+import { deflateRawSync } from 'zlib';
+import { channelResolver } from './transcript-parser.js';
+
+export const EXPORT_SCHEMA = 'spark.conversation.v1';
+export const EXPORT_FORMATS = ['md', 'json', 'html', 'zip'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  zip: 'application/zip',
+};
+
+const IMAGE_PATTERN = /\[Image attached: ([^\]\n]+)\]\s*/g;
+const NOTE_WINDOW_MS = 5 * 60 * 1000;
+const MAX_ZIP_BYTES = 256 * 1024 * 1024; // Attachments past this are left out (and zip64 is never needed)
+
+const CHANNEL_NAMES = { web: 'Spark Web', whatsapp: 'WhatsApp', voice: 'Voice', other: 'Other' };
+
+/**
+ * Build an export
+ * @param {string} sessionId
+ * @param {Array} messages - Indexed messages of the session (transcripts.js)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} config - App config (uses notesDir, imageDir, timezone, locale)
+ * @param {Object} options - { notes } the voice notes library's records (notes.js)
+ * @returns {Promise<{filename: string, contentType: string, body: string|Readable}>} - body is a stream for zip
+ */
+export async function exportSession(sessionId, messages, format, config, { notes = [] } = {}) {
+  const conversation = normalize(sessionId, messages, config, notes);
+  const filename = `spark-${sessionId}.${format}`;
+  const contentType = CONTENT_TYPES[format];
+
+  switch (format) {
+    case 'json':
+      return { filename, contentType, body: JSON.stringify(conversation, null, 2) };
+    case 'md':
+      return { filename, contentType, body: toMarkdown(conversation, config) };
+    case 'html':
+      return { filename, contentType, body: toHtml(conversation, config) };
+    case 'zip':
+      return { filename, contentType, body: await toZip(conversation, config) };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// ============================================================================
+// NORMALIZED SCHEMA
+// ============================================================================
+
+function normalize(sessionId, messages, config, notes) {
+  const channelOf = channelResolver(sessionId);
+  const turns = [];
+
+  for (const msg of messages) {
+    if (!msg.text || msg.isSystem) continue;
+    const channel = channelOf(msg);
+
+    // "[Image attached: /tmp/spark-images/img_1.png]" becomes an attachment
+    const images = [...msg.text.matchAll(IMAGE_PATTERN)].map(m => m[1].trim());
+    turns.push({
+      id: msg.id,
+      role: msg.role,
+      channel,
+      source: msg.sourceTag,
+      timestamp: new Date(msg.timestamp).toISOString(),
+      text: msg.text.replace(IMAGE_PATTERN, '').trim(),
+      attachments: images
+        .filter(path => isInside(config.imageDir, path))
+        .map(path => ({ type: 'image', name: basename(path), path })),
+    });
+  }
+
+  const startedAt = turns[0]?.timestamp || null;
+  const endedAt = turns[turns.length - 1]?.timestamp || null;
+
+  return {
+    schema: EXPORT_SCHEMA,
+    sessionId,
+    exportedAt: new Date().toISOString(),
+    startedAt,
+    endedAt,
+    channels: [...new Set(turns.map(t => t.channel))],
+    messages: turns,
+    voiceNotes: startedAt ? voiceNotesBetween(notes, Date.parse(startedAt), Date.parse(endedAt)) : [],
+  };
+}
+
+function voiceNotesBetween(notes, start, end) {
+  return notes
+    .filter(n => n.kind !== 'meeting')
+    .filter(n => n.createdAt >= start - NOTE_WINDOW_MS && n.createdAt <= end + NOTE_WINDOW_MS)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(n => ({ name: n.file, recordedAt: new Date(n.createdAt).toISOString() }));
+}
+
+// Attachment paths come from message text - only files in our own directories are exported
+function isInside(dir, path) {
+  const rel = relative(dir, path);
+  return !!rel && !rel.startsWith('..') && !isAbsolute(rel);
+}
+
+// ============================================================================
+// MARKDOWN / HTML
+// ============================================================================
+
+function formatTime(iso, config) {
+  return new Date(iso).toLocaleString(config.locale, {
+    timeZone: config.timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
+function speaker(turn) {
+  return turn.role === 'user' ? 'You' : 'Spark';
+}
+
+// bundled: paths in the zip (images/…, notes/…) - those are linked, the rest
+// marked as left out. Without it (a plain md/html export) nothing is linked.
+function toMarkdown(conversation, config, { bundled = null } = {}) {
+  const lines = [`# Conversation ${conversation.sessionId}`, ''];
+  if (conversation.startedAt) {
+    lines.push(`${formatTime(conversation.startedAt, config)} – ${formatTime(conversation.endedAt, config)} (${config.timezone})`, '');
+  }
+
+  for (const turn of conversation.messages) {
+    lines.push(`### ${speaker(turn)} · ${CHANNEL_NAMES[turn.channel]} · ${formatTime(turn.timestamp, config)}`, '');
+    if (turn.text) lines.push(turn.text, '');
+    for (const image of turn.attachments) {
+      lines.push(bundled?.has(`images/${image.name}`) ? `![${image.name}](images/${image.name})` : `_Image: ${image.name}${leftOut(bundled)}_`, '');
+    }
+  }
+
+  if (conversation.voiceNotes.length > 0) {
+    lines.push('## Voice notes', '');
+    for (const note of conversation.voiceNotes) {
+      const label = formatTime(note.recordedAt, config);
+      lines.push(bundled?.has(`notes/${note.name}`) ? `- [${label}](notes/${note.name})` : `- ${label} (${note.name}${leftOut(bundled)})`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function leftOut(bundled) {
+  return bundled ? ' - not included in this download' : '';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toHtml(conversation, config, { bundled = null } = {}) {
+  const turns = conversation.messages.map(turn => `
+  <div class="msg ${turn.role === 'user' ? 'user' : 'bot'}">
+    <div class="meta">${speaker(turn)} · ${CHANNEL_NAMES[turn.channel]} · ${escapeHtml(formatTime(turn.timestamp, config))}</div>
+    <div class="text">${escapeHtml(turn.text)}</div>
+    ${turn.attachments.map(image => bundled?.has(`images/${image.name}`)
+      ? `<img src="images/${escapeHtml(image.name)}" alt="${escapeHtml(image.name)}">`
+      : `<div class="attachment">Image: ${escapeHtml(image.name)}${leftOut(bundled)}</div>`).join('')}
+  </div>`).join('');
+
+  const notes = conversation.voiceNotes.length === 0 ? '' : `
+  <h2>Voice notes</h2>
+  <ul>${conversation.voiceNotes.map(note => {
+    const label = escapeHtml(formatTime(note.recordedAt, config));
+    return bundled?.has(`notes/${note.name}`)
+      ? `<li><audio controls src="notes/${escapeHtml(note.name)}"></audio> ${label}</li>`
+      : `<li>${label} (${escapeHtml(note.name)}${leftOut(bundled)})</li>`;
+  }).join('')}</ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Conversation ${escapeHtml(conversation.sessionId)}</title>
+<style>
+  body { font: 15px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 760px; margin: 0 auto; padding: 24px 16px; color: #1c1c1e; }
+  .msg { margin: 12px 0; padding: 10px 14px; border-radius: 14px; background: #f2f2f7; max-width: 85%; }
+  .msg.user { margin-left: auto; background: #e3efff; }
+  .meta { font-size: 12px; color: #8e8e93; margin-bottom: 4px; }
+  .text { white-space: pre-wrap; overflow-wrap: anywhere; }
+  .attachment { font-size: 13px; color: #636366; margin-top: 6px; }
+  img { max-width: 100%; border-radius: 8px; margin-top: 6px; }
+</style>
+</head>
+<body>
+  <h1>Conversation ${escapeHtml(conversation.sessionId)}</h1>
+  ${conversation.startedAt ? `<p class="meta">${escapeHtml(formatTime(conversation.startedAt, config))} – ${escapeHtml(formatTime(conversation.endedAt, config))} (${escapeHtml(config.timezone)})</p>` : ''}
+  ${turns}
+  ${notes}
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// ZIP BUNDLE
+// ============================================================================
+
+async function toZip(conversation, config) {
+  // Attachments in conversation order while they fit; images that have since
+  // been cleaned out of the temp dir are skipped. Read one at a time as the
+  // zip is written, not all up front.
+  const images = new Map(conversation.messages.flatMap(t => t.attachments).map(a => [a.name, a.path]));
+  const candidates = [
+    ...[...images].map(([name, path]) => ({ name: `images/${name}`, path })),
+    ...conversation.voiceNotes.map(note => ({ name: `notes/${note.name}`, path: join(config.notesDir, note.name), stored: true })),
+  ];
+  const attachments = [];
+  let total = 0;
+  for (const file of candidates) {
+    const size = await stat(file.path).then(s => s.size, () => null);
+    if (size === null || total + size > MAX_ZIP_BYTES) continue;
+    total += size;
+    attachments.push(file);
+  }
+
+  const bundled = new Set(attachments.map(f => f.name));
+  const files = [
+    { name: 'transcript.md', data: Buffer.from(toMarkdown(conversation, config, { bundled })) },
+    { name: 'transcript.html', data: Buffer.from(toHtml(conversation, config, { bundled })) },
+    { name: 'transcript.json', data: Buffer.from(JSON.stringify(conversation, null, 2)) },
+    ...attachments,
+  ];
+  return Readable.from(zip(files));
+}
+
+/**
+ * Minimal streaming zip writer (no zip64 - exports stay under MAX_ZIP_BYTES)
+ * @param {Array<{name: string, data?: Buffer, path?: string, stored?: boolean}>} files
+ *   data, or a path read when its turn comes; stored: already compressed (audio)
+ * @yields {Buffer} - The archive, in pieces
+ */
+export async function* zip(files) {
+  const central = [];
+  let entries = 0;
+  let offset = 0;
+  const { time, date } = dosDateTime(new Date());
+
+  for (const file of files) {
+    const data = file.data ?? await readFile(file.path).catch(() => null);
+    if (!data) continue; // Deleted since the export started - the zip stays valid without it
+
+    const name = Buffer.from(file.name);
+    const compressed = file.stored ? data : deflateRawSync(data);
+    const method = file.stored ? 0 : 8;
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);             // Version needed
+    header.writeUInt16LE(0x0800, 6);         // UTF-8 names
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    yield Buffer.concat([header, name]);
+    yield compressed;
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);              // Version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+    entries++;
+
+    offset += header.length + name.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries, 8);
+  end.writeUInt16LE(entries, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield Buffer.concat([...central, end]);
+}
+
+// zlib.crc32 only exists from Node 20.15
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
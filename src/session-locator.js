@@ -0,0 +1,133 @@
+/**
+ * Session Locator - which transcript file is the main session right now
+ *
+ * Clawdbot keeps the current transcript id of every session key in
+ * sessions.json and rotates it (new sessionId, new <id>.jsonl) from time to
+ * time. The locator caches the main session's id, watches sessions.json and
+ * tells listeners when it moves, so transcript writers and the sync watcher
+ * follow it instead of writing to a dead file.
+ *
+ * The directory is watched rather than the file, because sessions.json is
+ * replaced by rename; a slow poll backs up fs.watch, which can miss events.
+ * Until start() is called (tests, scripts), every read goes to the file.
+ */
+
+import { readFileSync, existsSync, watch } from 'fs';
+import { join } from 'path';
+import { loadConfig } from './config.js';
+
+const POLL_INTERVAL_MS = 10000;
+const DEBOUNCE_MS = 100;
+
+export class SessionLocator {
+  /**
+   * @param {Object} config - App config (uses clawdbot.sessionsDir, mainSessionKey, mainSessionId)
+   */
+  constructor(config) {
+    this.sessionsDir = config.clawdbot.sessionsDir;
+    this.sessionKey = config.clawdbot.mainSessionKey;
+    this.fallbackId = config.clawdbot.mainSessionId;
+    this.current = null;
+    this.started = false;
+    this.listeners = new Set();
+    this.watcher = null;
+    this.pollTimer = null;
+    this.debounceTimer = null;
+  }
+
+  // Current main session id (null if sessions.json has none and no fallback is set)
+  get sessionId() {
+    return this.started ? this.current : this.read();
+  }
+
+  // Transcript file of the current main session
+  get path() {
+    const sessionId = this.sessionId;
+    return sessionId ? join(this.sessionsDir, `${sessionId}.jsonl`) : null;
+  }
+
+  /**
+   * Call fn({ sessionId, previousId }) whenever the main session moves
+   * @returns {Function} - Unsubscribe
+   */
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.current = this.read();
+    this.watch();
+    this.pollTimer = setInterval(() => this.refresh(), POLL_INTERVAL_MS);
+    this.pollTimer.unref?.();
+  }
+
+  stop() {
+    this.started = false;
+    this.watcher?.close();
+    this.watcher = null;
+    clearInterval(this.pollTimer);
+    clearTimeout(this.debounceTimer);
+  }
+
+  watch() {
+    if (!existsSync(this.sessionsDir)) return; // The poll picks it up once it exists
+    try {
+      this.watcher = watch(this.sessionsDir, (eventType, filename) => {
+        if (filename && filename !== 'sessions.json') return;
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.refresh(), DEBOUNCE_MS);
+      });
+      this.watcher.on('error', (e) => {
+        console.error('sessions.json watcher error:', e.message);
+        this.watcher = null; // Polling carries on
+      });
+      this.watcher.unref?.();
+    } catch (e) {
+      console.error('Failed to watch sessions.json:', e.message);
+    }
+  }
+
+  // Re-read sessions.json and notify listeners if the main session moved
+  refresh() {
+    if (!this.watcher && this.started) this.watch();
+
+    const sessionId = this.read();
+    if (!sessionId || sessionId === this.current) return;
+
+    const previousId = this.current;
+    this.current = sessionId;
+    console.log(`🔄 Main session moved: ${previousId || 'none'} → ${sessionId}`);
+    for (const fn of this.listeners) {
+      try {
+        fn({ sessionId, previousId });
+      } catch (e) {
+        console.error('Session change listener failed:', e.message);
+      }
+    }
+  }
+
+  read() {
+    try {
+      const sessionsPath = join(this.sessionsDir, 'sessions.json');
+      if (existsSync(sessionsPath)) {
+        const sessions = JSON.parse(readFileSync(sessionsPath, 'utf8'));
+        // sessions.json is keyed by session key (e.g., "agent:main:main")
+        const mainSession = sessions[this.sessionKey];
+        if (mainSession?.sessionId) {
+          return mainSession.sessionId;
+        }
+      }
+    } catch (e) {
+      // Caught mid-write - keep the id we have
+      if (this.current) return this.current;
+      console.error('Failed to read main session ID:', e.message);
+    }
+    return this.current || this.fallbackId;
+  }
+}
+
+// Shared by the server and the realtime voice handlers
+export const mainSession = new SessionLocator(loadConfig());
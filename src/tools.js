@@ -5,24 +5,20 @@
  */
 
 import { readFileSync, existsSync } from 'fs';
+import { loadConfig } from './config.js';
+
+const config = loadConfig();
 
 // Google Calendar setup
-const GOOGLE_CREDS_PATH = '/home/heisenberg/.clawdbot/google/credentials.json';
+const GOOGLE_CREDS_PATH = config.clawdbot.googleCredentials;
 const CALENDAR_ID = 'primary';
 
 // Gateway for Clawdbot queries
-const GATEWAY_URL = 'http://localhost:18789';
+const GATEWAY_URL = config.llm.gatewayUrl;
 
-function getGatewayToken() {
-  const configPath = '/home/heisenberg/.clawdbot/clawdbot.json';
-  if (existsSync(configPath)) {
-    try {
-      const cfg = JSON.parse(readFileSync(configPath, 'utf8'));
-      return cfg.gateway?.auth?.token;
-    } catch {}
-  }
-  return null;
-}
+// Owner's timezone, e.g. "Asia/Singapore" → "Singapore" when spoken
+const TIMEZONE = config.timezone;
+const PLACE = TIMEZONE.split('/').pop().replace(/_/g, ' ');
 
 // Load and refresh Google credentials
 async function getGoogleAccessToken() {
@@ -61,15 +57,15 @@ export async function getCalendar(args = {}) {
   try {
     const accessToken = await getGoogleAccessToken();
     
-    // Default to today in Singapore timezone
+    // Default to today in the owner's timezone
     const now = new Date();
-    const sgNow = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Singapore' }));
+    const localNow = new Date(now.toLocaleString('en-US', { timeZone: TIMEZONE }));
     
     // If no specific date, get today's events
     let timeMin, timeMax;
     
     if (args.date === 'tomorrow') {
-      const tomorrow = new Date(sgNow);
+      const tomorrow = new Date(localNow);
       tomorrow.setDate(tomorrow.getDate() + 1);
       tomorrow.setHours(0, 0, 0, 0);
       timeMin = tomorrow.toISOString();
@@ -78,7 +74,7 @@ export async function getCalendar(args = {}) {
       timeMax = endOfTomorrow.toISOString();
     } else if (args.date === 'week') {
       // This week
-      const startOfWeek = new Date(sgNow);
+      const startOfWeek = new Date(localNow);
       startOfWeek.setHours(0, 0, 0, 0);
       timeMin = startOfWeek.toISOString();
       const endOfWeek = new Date(startOfWeek);
@@ -86,10 +82,10 @@ export async function getCalendar(args = {}) {
       timeMax = endOfWeek.toISOString();
     } else {
       // Today
-      const startOfDay = new Date(sgNow);
+      const startOfDay = new Date(localNow);
       startOfDay.setHours(0, 0, 0, 0);
       timeMin = startOfDay.toISOString();
-      const endOfDay = new Date(sgNow);
+      const endOfDay = new Date(localNow);
       endOfDay.setHours(23, 59, 59, 999);
       timeMax = endOfDay.toISOString();
     }
@@ -121,8 +117,8 @@ export async function getCalendar(args = {}) {
     // Format events for voice
     const formatted = events.map(event => {
       const start = event.start.dateTime || event.start.date;
-      const time = new Date(start).toLocaleTimeString('en-SG', {
-        timeZone: 'Asia/Singapore',
+      const time = new Date(start).toLocaleTimeString(config.locale, {
+        timeZone: TIMEZONE,
         hour: 'numeric',
         minute: '2-digit',
         hour12: true
@@ -141,12 +137,12 @@ export async function getCalendar(args = {}) {
 }
 
 /**
- * Get current time in Singapore
+ * Get current time in the owner's timezone
  */
 export function getTime() {
   const now = new Date();
-  const sgTime = now.toLocaleString('en-SG', {
-    timeZone: 'Asia/Singapore',
+  const localTime = now.toLocaleString(config.locale, {
+    timeZone: TIMEZONE,
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -155,7 +151,7 @@ export function getTime() {
     minute: '2-digit',
     hour12: true
   });
-  return `It's ${sgTime} in Singapore.`;
+  return `It's ${localTime} in ${PLACE}.`;
 }
 
 /**
@@ -165,7 +161,7 @@ export async function askClawdbot(args) {
   const { question } = args;
   if (!question) return 'No question provided.';
   
-  const gatewayToken = getGatewayToken();
+  const gatewayToken = config.llm.gatewayToken;
   if (!gatewayToken) return 'Gateway not available.';
   
   try {
@@ -180,7 +176,7 @@ export async function askClawdbot(args) {
         messages: [
           { 
             role: 'system', 
-            content: 'You are answering a voice query. Be concise (1-2 sentences). Current timezone: Asia/Singapore.' 
+            content: `You are answering a voice query. Be concise (1-2 sentences). Current timezone: ${TIMEZONE}.` 
           },
           { role: 'user', content: question }
         ],
@@ -224,7 +220,7 @@ export const TOOL_DEFINITIONS = [
   {
     type: 'function',
     name: 'get_time',
-    description: 'Get the current time in Singapore. Use for questions about what time it is.',
+    description: `Get the current time in ${PLACE}. Use for questions about what time it is.`,
     parameters: {
       type: 'object',
       properties: {},
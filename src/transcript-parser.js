@@ -0,0 +1,247 @@
+/**
+ * Transcript Parser - one place that turns Clawdbot transcript entries into
+ * display-ready messages
+ *
+ * Clawdbot writes one JSON entry per line:
+ *   { type: 'message', id, timestamp, message: { role, content, timestamp } }
+ * where content is a string or an array of parts (text, toolCall/tool_use,
+ * thinking, ...). Text from other channels carries markers:
+ *   [WhatsApp +65 ... GMT+8] hi            ← WhatsApp header
+ *   ...\n[message_id: ABC123]              ← WhatsApp message id
+ *   [Spark Web] / [Spark Portal] hi        ← typed in the Spark portal
+ *   [Spark Voice] / [Spark Voice Realtime] ← Spark voice modes
+ * Spark's own entries now carry a structured marker instead (see
+ * transcript-writer.js): source: { client: 'spark', channel, name }.
+ *
+ * parseActivity() pulls tool calls, tool results and thinking out of an entry
+ * for the portal's activity timeline.
+ *
+ * parseEntry() normalizes an entry into:
+ *   {
+ *     id, role: 'user' | 'assistant', timestamp (ms),
+ *     text,        // clean text (markers stripped)
+ *     channel,     // 'whatsapp' | 'web' | 'voice' | 'other'
+ *     sourceTag,   // marker name, e.g. 'WhatsApp', 'Spark Web' (null if none)
+ *     hasText, hasToolCall, hasThinking,
+ *     isSystem     // heartbeat / cron / system event noise
+ *   }
+ */
+
+// Text that marks heartbeat, cron and system-event turns
+const SYSTEM_MARKERS = ['HEARTBEAT', 'Cron:', '[Cron', 'systemEvent'];
+
+// Leading source tag → channel
+const SOURCE_TAGS = [
+  { pattern: /^\[(WhatsApp)[^\]]*\]\s*/, channel: 'whatsapp' },
+  { pattern: /^\[(Spark (?:Web|Portal))\]\s*/, channel: 'web' },
+  { pattern: /^\[(Spark Voice(?: Realtime)?)\]\s*/, channel: 'voice' },
+  { pattern: /^\[(Spark[^\]]*)\]\s*/, channel: 'web' },
+];
+
+const MESSAGE_ID_PATTERN = /\n?\[message_id:[^\]]+\]/g;
+
+/**
+ * First text part of a message's content
+ * @param {string|Array|null} content
+ * @returns {string|null}
+ */
+export function extractText(content) {
+  if (!content) return null;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.find(c => c.type === 'text')?.text || null;
+  }
+  return null;
+}
+
+/**
+ * Find the source tag at the start of a message
+ * @param {string} text - Raw message text
+ * @returns {{tag: string, channel: string, length: number} | null}
+ */
+export function detectSource(text) {
+  for (const { pattern, channel } of SOURCE_TAGS) {
+    const match = text.match(pattern);
+    if (match) return { tag: match[1], channel, length: match[0].length };
+  }
+  // WhatsApp message ids can appear without the header (group context)
+  if (text.includes('[message_id:')) return { tag: 'WhatsApp', channel: 'whatsapp', length: 0 };
+  return null;
+}
+
+/**
+ * Strip channel markers and group-context headers from message text
+ * @param {string} text - Raw message text
+ * @returns {string}
+ */
+export function cleanText(text) {
+  if (!text) return '';
+  const source = detectSource(text);
+  return text
+    .slice(source?.length || 0)
+    .replace(/^\[WhatsApp[^\]]*\]\s*/gm, '') // Headers inside group context
+    .replace(MESSAGE_ID_PATTERN, '')
+    .replace(/^\[Chat messages since[^\]]*\]\n?/gm, '')
+    .replace(/^\[Current message[^\]]*\]\n?/gm, '')
+    .replace(/^User:\s*/gm, '')
+    .replace(/^Assistant:\s*/gm, '')
+    .trim();
+}
+
+export function isSystemText(text) {
+  return !!text && SYSTEM_MARKERS.some(m => text.includes(m));
+}
+
+// Transcript timestamps are numbers or ISO strings depending on the writer
+function toMillis(value) {
+  if (typeof value === 'string') return Date.parse(value) || 0;
+  return typeof value === 'number' ? value : 0;
+}
+
+/**
+ * Normalize a transcript entry into a typed message
+ * @param {Object} entry - Parsed JSONL entry
+ * @returns {Object|null} - null for non-message entries and non chat roles
+ */
+export function parseEntry(entry) {
+  if (entry?.type !== 'message' || !entry.message) return null;
+
+  const msg = entry.message;
+  if (msg.role !== 'user' && msg.role !== 'assistant') return null;
+
+  const parts = Array.isArray(msg.content) ? msg.content : [];
+  const raw = extractText(msg.content);
+  const source = entry.source?.name
+    ? { tag: entry.source.name, channel: entry.source.channel || 'other' }
+    : raw ? detectSource(raw) : null;
+
+  return {
+    id: entry.id || null,
+    role: msg.role,
+    timestamp: toMillis(msg.timestamp) || toMillis(entry.timestamp),
+    text: cleanText(raw),
+    channel: source?.channel || 'other',
+    sourceTag: source?.tag || null,
+    hasText: !!raw,
+    hasToolCall: parts.some(c => c.type === 'toolCall' || c.type === 'tool_use'),
+    hasThinking: parts.some(c => c.type === 'thinking'),
+    isSystem: isSystemText(raw),
+  };
+}
+
+/**
+ * Per-message channels for one session's messages, fed in transcript order
+ *
+ * Replies carry no channel marker, so an untagged assistant message went out
+ * on the channel of the user message it answers. Portal sessions (spark_*)
+ * don't tag anything: untagged messages there are 'web'.
+ * @param {string} sessionId
+ * @returns {Function} - message => channel
+ */
+export function channelResolver(sessionId) {
+  const portal = sessionId.startsWith('spark_');
+  let lastChannel = null;
+
+  return (message) => {
+    let channel = message.channel;
+    if (channel === 'other' && message.role === 'assistant' && lastChannel) channel = lastChannel;
+    if (channel === 'other' && portal) channel = 'web';
+    if (message.role === 'user' && message.text && !message.isSystem) lastChannel = channel;
+    return channel;
+  };
+}
+
+// Argument keys that say the most about a tool call, best first
+const SUMMARY_KEYS = ['command', 'cmd', 'query', 'url', 'path', 'file_path', 'filePath', 'pattern', 'action', 'message'];
+const MAX_SUMMARY_LENGTH = 120;
+
+function truncate(text, max = MAX_SUMMARY_LENGTH) {
+  const oneLine = String(text).replace(/\s+/g, ' ').trim();
+  return oneLine.length > max ? `${oneLine.slice(0, max - 1)}…` : oneLine;
+}
+
+/**
+ * Short description of a tool call's arguments, e.g. "git status"
+ * @param {Object|string|null} args
+ * @returns {string}
+ */
+export function summarizeArgs(args) {
+  if (args == null) return '';
+  if (typeof args !== 'object') return truncate(args);
+  const key = SUMMARY_KEYS.find(k => typeof args[k] === 'string' && args[k]);
+  if (key) return truncate(args[key]);
+  const firstString = Object.values(args).find(v => typeof v === 'string' && v);
+  if (firstString) return truncate(firstString);
+  return Object.keys(args).length > 0 ? truncate(JSON.stringify(args)) : '';
+}
+
+// First sentence of a thinking block, without markdown emphasis
+function summarizeThinking(text) {
+  const clean = String(text || '').replace(/[*_`#]+/g, '').trim();
+  const sentence = clean.match(/^[^\n.!?]*[.!?]?/)?.[0] || clean;
+  return truncate(sentence || clean);
+}
+
+/**
+ * Tool calls, tool results and thinking in an entry (for the activity timeline)
+ *
+ * Items: { id, kind: 'tool_call' | 'tool_result' | 'thinking', timestamp, ... }
+ *   tool_call:   callId, name, summary
+ *   tool_result: callId, name, isError
+ *   thinking:    summary
+ * @param {Object} entry - Parsed JSONL entry
+ * @returns {Array}
+ */
+export function parseActivity(entry) {
+  if (entry?.type !== 'message' || !entry.message) return [];
+
+  const msg = entry.message;
+  const timestamp = toMillis(msg.timestamp) || toMillis(entry.timestamp);
+  const parts = Array.isArray(msg.content) ? msg.content : [];
+  const items = [];
+
+  // Clawdbot writes tool output as its own toolResult message
+  if (msg.role === 'toolResult') {
+    return [{
+      id: entry.id,
+      kind: 'tool_result',
+      callId: msg.toolCallId || null,
+      name: msg.toolName || null,
+      isError: !!msg.isError,
+      timestamp,
+    }];
+  }
+
+  parts.forEach((part, i) => {
+    const id = `${entry.id}:${i}`;
+    if (part.type === 'toolCall' || part.type === 'tool_use') {
+      items.push({
+        id,
+        kind: 'tool_call',
+        callId: part.id || null,
+        name: part.name || 'tool',
+        summary: summarizeArgs(part.arguments ?? part.input),
+        timestamp,
+      });
+    } else if (part.type === 'tool_result') {
+      items.push({ id, kind: 'tool_result', callId: part.tool_use_id || null, name: null, isError: !!part.is_error, timestamp });
+    } else if (part.type === 'thinking' && part.thinking) {
+      items.push({ id, kind: 'thinking', summary: summarizeThinking(part.thinking), timestamp });
+    }
+  });
+  return items;
+}
+
+/**
+ * Parse one JSONL line
+ * @param {string} line
+ * @returns {Object|null} - Typed message, or null for blank/malformed/other lines
+ */
+export function parseLine(line) {
+  if (!line?.trim()) return null;
+  try {
+    return parseEntry(JSON.parse(line));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Transcript Writer - adds Spark turns to the main session transcript
+ *
+ * The gateway writes to the same <sessionId>.jsonl and has no API for adding
+ * an entry without running a turn, so Spark appends its entries itself, under
+ * an advisory lock (<transcript>.lock, created exclusively, holding
+ * { pid, createdAt }), with a UUID and parentId = the last entry's id.
+ * Only Spark's own writers (the server and the realtime voice handlers) take
+ * the lock; the gateway doesn't. So this is still racy against the gateway:
+ * a gateway write can land between reading parentId and appending (the entry
+ * then hangs off a stale parent), and a large gateway append could interleave
+ * with ours.
+ *
+ * Where an entry came from is a structured field instead of a text prefix:
+ *   { type: 'message', id, parentId, timestamp,
+ *     source: { client: 'spark', channel: 'web' | 'voice', name: 'Spark Web' },
+ *     message: { role, content: [{ type: 'text', text }], timestamp } }
+ * transcript-parser.js reads it (and still understands the old prefixes).
+ */
+
+import { open, readFile, stat, unlink, appendFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { mainSession } from './session-locator.js';
+
+export const SOURCES = {
+  web: { client: 'spark', channel: 'web', name: 'Spark Web' },
+  voice: { client: 'spark', channel: 'voice', name: 'Spark Voice' },
+  voiceRealtime: { client: 'spark', channel: 'voice', name: 'Spark Voice Realtime' },
+};
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 30000; // A lock this old is left over from a crashed writer
+
+const TAIL_BYTES = 64 * 1024; // lastEntryId reads backwards this much at a time
+
+export class TranscriptWriter {
+  /**
+   * @param {SessionLocator} locator - Which transcript is the main session
+   */
+  constructor(locator) {
+    this.locator = locator;
+    this.tail = Promise.resolve(); // Appends run one at a time, in call order
+  }
+
+  /**
+   * Append a text turn to the main session
+   * @param {string} role - 'user' | 'assistant'
+   * @param {string} text - Message text (no source prefix)
+   * @param {Object} source - One of SOURCES
+   * @returns {Promise<string|null>} - The new entry's id, null if it couldn't be written
+   */
+  append(role, text, source) {
+    const run = this.tail.then(() => this.write(role, text, source));
+    this.tail = run;
+    return run;
+  }
+
+  async write(role, text, source) {
+    try {
+      return await this.appendToFile(role, text, source);
+    } catch (e) {
+      console.error('Failed to append to session:', e.message);
+      return null;
+    }
+  }
+
+  async appendToFile(role, text, source) {
+    const path = this.locator.path;
+    if (!path) throw new Error('No main session to append to');
+
+    const release = await acquireLock(path);
+    try {
+      const entry = {
+        type: 'message',
+        id: randomUUID(),
+        parentId: await lastEntryId(path),
+        timestamp: new Date().toISOString(),
+        source,
+        message: {
+          role,
+          content: [{ type: 'text', text }],
+          timestamp: Date.now()
+        }
+      };
+      await appendFile(path, JSON.stringify(entry) + '\n');
+      return entry.id;
+    } finally {
+      await release();
+    }
+  }
+}
+
+/**
+ * Take <path>.lock, waiting for (or clearing a stale) lock held by another writer
+ * @returns {Promise<Function>} - Releases the lock
+ */
+async function acquireLock(path) {
+  const lockPath = `${path}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      const handle = await open(lockPath, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }));
+      await handle.close();
+      return () => unlink(lockPath).catch(() => {});
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    if (await isStaleLock(lockPath)) {
+      console.warn(`📝 Removing stale transcript lock: ${lockPath}`);
+      await unlink(lockPath).catch(() => {});
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`Transcript is locked: ${lockPath}`);
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+async function isStaleLock(lockPath) {
+  try {
+    const { mtimeMs } = await stat(lockPath);
+    if (Date.now() - mtimeMs > LOCK_STALE_MS) return true;
+
+    const { pid } = JSON.parse(await readFile(lockPath, 'utf8'));
+    if (pid && pid !== process.pid) process.kill(pid, 0); // Throws if the holder is gone
+    return false;
+  } catch (e) {
+    // ESRCH: holder exited. Missing or half-written lock files are left to the retry.
+    return e.code === 'ESRCH';
+  }
+}
+
+// id of the last complete entry in a transcript (null for a new or empty file)
+export async function lastEntryId(path) {
+  let handle;
+  try {
+    handle = await open(path, 'r');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    let end = size;
+    let rest = Buffer.alloc(0); // Start of a line the reads so far cut into
+
+    while (end > 0) {
+      const start = Math.max(0, end - TAIL_BYTES);
+      const { buffer } = await handle.read(Buffer.alloc(end - start), 0, end - start, start);
+      const chunk = Buffer.concat([buffer, rest]);
+      end = start;
+
+      // Its first line may begin before this read - unless the read reached the top of the file
+      const cut = start > 0 ? chunk.indexOf('\n') : -1;
+      if (start > 0 && cut === -1) {
+        rest = chunk; // One long line so far, keep going back
+        continue;
+      }
+      rest = chunk.subarray(0, Math.max(cut, 0));
+
+      const lines = chunk.subarray(cut + 1).toString('utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        try {
+          const entry = JSON.parse(lines[i]);
+          if (entry?.id) return entry.id;
+        } catch {
+          // Blank, or half-written at the end of the file
+        }
+      }
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Shared by the server and the realtime voice handlers
+export const transcriptWriter = new TranscriptWriter(mainSession);
@@ -0,0 +1,175 @@
+/**
+ * Transcript Index - incremental reader for Clawdbot session transcripts
+ *
+ * Session files (<sessionId>.jsonl) only ever grow, and some are large.
+ * Instead of re-reading whole files, the index remembers the byte offset
+ * it has parsed up to and only reads what was appended since. Reads are
+ * async streams, so they never block the event loop.
+ *
+ * User/assistant message entries are indexed as typed messages from
+ * transcript-parser.js (clean text, channel, source tag, flags). The last
+ * few hundred tool calls, tool results and thinking blocks are kept too,
+ * for the portal's activity timeline.
+ *
+ * A file that shrinks or is replaced (new inode) is re-indexed from scratch.
+ */
+
+import { createReadStream } from 'fs';
+import { stat, readdir } from 'fs/promises';
+import { join } from 'path';
+import { parseEntry, parseActivity } from './transcript-parser.js';
+import { loadConfig } from './config.js';
+
+const config = loadConfig();
+
+export const SESSIONS_DIR = config.clawdbot.sessionsDir;
+
+// Activity items kept per session - only the live timeline reads them
+const MAX_ACTIVITY = 200;
+
+export class TranscriptIndex {
+  constructor(sessionsDir = SESSIONS_DIR) {
+    this.sessionsDir = sessionsDir;
+    this.files = new Map();   // sessionId -> { offset, ino, mtimeMs, partial, messages, activity, hasWhatsApp }
+                              // partial: bytes after the last newline (line still being written)
+    this.pending = new Map(); // sessionId -> in-flight sync promise
+  }
+
+  path(sessionId) {
+    return join(this.sessionsDir, `${sessionId}.jsonl`);
+  }
+
+  /**
+   * Bring one session up to date
+   * @param {string} sessionId - Transcript file name without .jsonl
+   * @returns {Promise<Object|null>} - File state, or null if the file is gone
+   */
+  sync(sessionId) {
+    // Concurrent callers share one read
+    if (this.pending.has(sessionId)) return this.pending.get(sessionId);
+
+    const promise = this.readNew(sessionId).finally(() => this.pending.delete(sessionId));
+    this.pending.set(sessionId, promise);
+    return promise;
+  }
+
+  async readNew(sessionId) {
+    let info;
+    try {
+      info = await stat(this.path(sessionId));
+    } catch {
+      this.files.delete(sessionId);
+      return null;
+    }
+
+    let state = this.files.get(sessionId);
+    if (!state || info.ino !== state.ino || info.size < state.offset) {
+      state = { offset: 0, ino: info.ino, mtimeMs: 0, partial: Buffer.alloc(0), messages: [], activity: [], hasWhatsApp: false };
+      this.files.set(sessionId, state);
+    }
+    state.mtimeMs = info.mtimeMs;
+    if (info.size === state.offset) return state;
+
+    // Read only the bytes appended since last time
+    const end = info.size - 1;
+    const stream = createReadStream(this.path(sessionId), { start: state.offset, end });
+    let pending = [state.partial];
+    for await (const chunk of stream) {
+      // Split on the last newline byte - never inside a multi-byte character
+      const cut = chunk.lastIndexOf(0x0a);
+      if (cut === -1) {
+        pending.push(chunk);
+        continue;
+      }
+      const complete = Buffer.concat([...pending, chunk.subarray(0, cut)]);
+      for (const line of complete.toString('utf8').split('\n')) {
+        this.indexLine(state, line);
+      }
+      pending = [chunk.subarray(cut + 1)]; // Incomplete last line waits for the next read
+    }
+    state.partial = Buffer.concat(pending);
+    state.offset = end + 1;
+
+    return state;
+  }
+
+  indexLine(state, line) {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    const activity = parseActivity(entry);
+    if (activity.length > 0) {
+      state.activity.push(...activity);
+      if (state.activity.length > MAX_ACTIVITY) state.activity.splice(0, state.activity.length - MAX_ACTIVITY);
+    }
+
+    const message = parseEntry(entry);
+    if (!message) return;
+
+    state.messages.push(message);
+    if (message.channel === 'whatsapp') state.hasWhatsApp = true;
+  }
+
+  /**
+   * Indexed messages for a session (oldest first)
+   * @param {string} sessionId
+   * @param {Object} options - { limit } most recent N
+   * @returns {Promise<Array>}
+   */
+  async messages(sessionId, { limit } = {}) {
+    const state = await this.sync(sessionId);
+    if (!state) return [];
+    return limit ? state.messages.slice(-limit) : state.messages;
+  }
+
+  /**
+   * Recent tool calls, tool results and thinking for a session (oldest first)
+   * @param {string} sessionId
+   * @returns {Promise<Array>} - Items from parseActivity()
+   */
+  async activity(sessionId) {
+    const state = await this.sync(sessionId);
+    return state ? state.activity : [];
+  }
+
+  /**
+   * Bring every session in the directory up to date
+   * @returns {Promise<Array<{sessionId, updatedAt, hasWhatsApp, messages}>>}
+   */
+  async sessions() {
+    let names;
+    try {
+      names = (await readdir(this.sessionsDir)).filter(f => f.endsWith('.jsonl'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      names = []; // Fresh install - Clawdbot hasn't written a session yet
+    }
+    const ids = new Set(names.map(f => f.replace('.jsonl', '')));
+
+    // Forget deleted files
+    for (const sessionId of this.files.keys()) {
+      if (!ids.has(sessionId)) this.files.delete(sessionId);
+    }
+
+    const sessions = [];
+    for (const sessionId of ids) {
+      const state = await this.sync(sessionId);
+      if (!state) continue;
+      sessions.push({
+        sessionId,
+        updatedAt: state.mtimeMs,
+        hasWhatsApp: state.hasWhatsApp,
+        messages: state.messages,
+      });
+    }
+    return sessions;
+  }
+}
+
+// Shared by the server and the realtime voice handlers
+export const transcriptIndex = new TranscriptIndex();
@@ -0,0 +1,167 @@
+/**
+ * Video Jobs - persisted queue in front of the video generator
+ *
+ * Jobs move queued → running → complete | error. Every transition is
+ * written to disk and reported through onUpdate(job), so the server can
+ * notify clients. Jobs that were queued or running when the server stopped
+ * are queued again on resume().
+ *
+ * Storage (under config.dataDir):
+ * - video/jobs.json:      { [id]: job }
+ * - video/<id>-ref.<ext>: reference image, if one was uploaded
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+// Finished jobs kept in jobs.json (oldest are dropped first)
+const MAX_FINISHED_JOBS = 200;
+
+export class VideoJobQueue {
+  /**
+   * @param {Object} config - App config (uses dataDir, video.concurrency)
+   * @param {Object} options - { generator: VideoProvider, onUpdate(job) }
+   */
+  constructor(config, { generator, onUpdate = () => {} }) {
+    this.dir = join(config.dataDir, 'video');
+    this.jobsPath = join(this.dir, 'jobs.json');
+    this.concurrency = config.video?.concurrency || 1;
+    this.generator = generator;
+    this.onUpdate = onUpdate;
+    this.running = 0;
+    this.queue = [];
+    this.jobs = this.load();
+  }
+
+  load() {
+    if (!existsSync(this.jobsPath)) return {};
+    try {
+      return JSON.parse(readFileSync(this.jobsPath, 'utf8')) || {};
+    } catch (e) {
+      console.error('Failed to read video jobs:', e.message);
+      return {};
+    }
+  }
+
+  save() {
+    if (!existsSync(this.dir)) mkdirSync(this.dir, { recursive: true });
+
+    // Trim old finished jobs so the file doesn't grow forever
+    const finished = Object.values(this.jobs)
+      .filter(j => j.status === 'complete' || j.status === 'error')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      delete this.jobs[job.id];
+    }
+
+    writeFileSync(this.jobsPath, JSON.stringify(this.jobs, null, 2));
+  }
+
+  // Pick up jobs interrupted by a restart
+  resume() {
+    const pending = Object.values(this.jobs)
+      .filter(j => j.status === 'queued' || j.status === 'running')
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const job of pending) {
+      job.status = 'queued';
+      this.queue.push(job.id);
+    }
+    if (pending.length > 0) {
+      console.log(`🎬 Resuming ${pending.length} video job(s)`);
+      this.save();
+      this.drain();
+    }
+  }
+
+  get(id) {
+    return Object.hasOwn(this.jobs, id) ? this.jobs[id] : null;
+  }
+
+  /**
+   * Queue a new generation job
+   * @param {Object} request - { prompt, model, duration, image?, sessionId, sparkMode }
+   *   image: { buffer, mimetype } reference image
+   * @returns {Object} - The job record
+   */
+  submit({ prompt, model, duration = null, image = null, sessionId = null, sparkMode = null }) {
+    const id = `vid_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+    let imagePath = null;
+    if (image) {
+      if (!existsSync(this.dir)) mkdirSync(this.dir, { recursive: true });
+      const ext = image.mimetype?.split('/')[1]?.replace('jpeg', 'jpg') || 'jpg';
+      imagePath = join(this.dir, `${id}-ref.${ext}`);
+      writeFileSync(imagePath, image.buffer);
+    }
+
+    const job = {
+      id,
+      status: 'queued',
+      prompt,
+      model,
+      duration,
+      imagePath,
+      imageMimetype: image?.mimetype || null,
+      sessionId,
+      sparkMode,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+    };
+
+    this.jobs[id] = job;
+    this.queue.push(id);
+    this.save();
+    console.log(`🎬 Video job ${id} queued (${model}): ${prompt.slice(0, 50)}`);
+
+    this.drain();
+    return job;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.get(this.queue.shift());
+      if (job) this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    this.update(job, { status: 'running', startedAt: Date.now() });
+
+    try {
+      const result = await this.generator.generate(job);
+      this.update(job, { status: 'complete', result, completedAt: Date.now() });
+      console.log(`✅ Video job ${job.id} complete`);
+    } catch (e) {
+      console.error(`❌ Video job ${job.id} failed:`, e.message);
+      this.update(job, { status: 'error', error: e.message, completedAt: Date.now() });
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  update(job, fields) {
+    Object.assign(job, fields);
+    this.save();
+    try {
+      this.onUpdate(job);
+    } catch (e) {
+      console.error(`Video job ${job.id} update handler failed:`, e.message);
+    }
+  }
+}
+
+// Job fields safe to send to clients (local files are served by the API)
+export function publicJob(job) {
+  const { imagePath, imageMimetype, result, ...rest } = job;
+  return {
+    ...rest,
+    hasImage: !!imagePath,
+    result: result && { url: result.url || `/api/video/jobs/${job.id}/video` },
+  };
+}
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Auth, SESSION_COOKIE, totpCode } from '../src/auth.js';
+
+let dataDir;
+before(() => { dataDir = mkdtempSync(join(tmpdir(), 'spark-auth-')); });
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+// RFC 6238 appendix B: the SHA-1 secret is ASCII "12345678901234567890"
+const RFC_KEY = Buffer.from('12345678901234567890');
+const RFC_KEY_BASE32 = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('totpCode matches the RFC 6238 vectors (last 6 digits)', () => {
+  assert.equal(totpCode(RFC_KEY, Math.floor(59 / 30)), '287082');
+  assert.equal(totpCode(RFC_KEY, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(totpCode(RFC_KEY, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('a TOTP code is accepted for one 30s step of clock drift either way', (t) => {
+  const now = 1111111109 * 1000;
+  t.mock.timers.enable({ apis: ['Date'], now });
+  const auth = new Auth({ dataDir, auth: { passphrase: 'pw', totpSecret: RFC_KEY_BASE32, sessionSecret: 's' } });
+  assert.equal(auth.totpEnabled, true);
+
+  const step = Math.floor(now / 30000);
+  const codeFor = drift => totpCode(RFC_KEY, step + drift);
+  let ip = 0;
+  const login = code => auth.login({ passphrase: 'pw', code, ip: `192.0.2.${++ip}` });
+
+  assert.ok(login(codeFor(0)).token);
+  assert.ok(login(codeFor(-1)).token);
+  assert.ok(login(codeFor(1)).token);
+  assert.deepEqual(login(codeFor(-2)), { status: 401, error: 'Wrong passphrase or code' });
+  assert.equal(login(codeFor(2)).status, 401);
+  assert.equal(login(undefined).status, 401);
+  assert.equal(login(`${codeFor(0)}0`).status, 401);
+  assert.equal(auth.login({ passphrase: 'nope', code: codeFor(0), ip: '192.0.2.99' }).status, 401);
+});
+
+test('revoking a device invalidates its bearer token and its session cookie', () => {
+  const auth = new Auth({ dataDir, auth: { passphrase: 'pw', sessionSecret: 's' } });
+  const { device, token } = auth.login({ passphrase: 'pw', userAgent: 'Mozilla/5.0 (iPhone) Safari/604.1', ip: '198.51.100.1' });
+  assert.equal(device.name, 'Safari on iPhone');
+  assert.equal(JSON.stringify(auth.devices).includes(token), false); // Stored hashed
+
+  const withToken = { headers: { authorization: `Bearer ${token}` }, socket: { remoteAddress: '198.51.100.1' } };
+  const withCookie = { headers: { cookie: `theme=dark; ${SESSION_COOKIE}=${auth.sessionCookie(device)}` }, socket: {} };
+  assert.equal(auth.authenticate(withToken).id, device.id);
+  assert.equal(auth.authenticate(withCookie).id, device.id);
+
+  assert.equal(auth.revoke(device.id), true);
+  assert.equal(auth.authenticate(withToken), null);
+  assert.equal(auth.authenticate(withCookie), null);
+  assert.equal(auth.revoke(device.id), false);
+
+  const reloaded = new Auth({ dataDir, auth: { passphrase: 'pw', sessionSecret: 's' } });
+  assert.equal(reloaded.fromToken(token), null);
+  assert.ok(reloaded.list().find(d => d.id === device.id).revokedAt);
+});
+
+test('five failed logins lock the address out for 15 minutes', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1) });
+  const auth = new Auth({ dataDir, auth: { passphrase: 'pw', sessionSecret: 's' } });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(auth.login({ passphrase: 'guess', ip: '203.0.113.7' }).status, 401);
+  }
+  assert.equal(auth.login({ passphrase: 'pw', ip: '203.0.113.7' }).status, 429);
+  assert.ok(auth.login({ passphrase: 'pw', ip: '203.0.113.8' }).token);
+
+  t.mock.timers.tick(14 * 60 * 1000);
+  assert.equal(auth.login({ passphrase: 'pw', ip: '203.0.113.7' }).status, 429);
+  t.mock.timers.tick(60 * 1000 + 1);
+  assert.ok(auth.login({ passphrase: 'pw', ip: '203.0.113.7' }).token);
+});
+
+test('SPARK_AUTH=off turns login off even with a passphrase set', () => {
+  assert.equal(new Auth({ dataDir, auth: { passphrase: 'pw', sessionSecret: 's' } }).enabled, true);
+  assert.equal(new Auth({ dataDir, auth: { required: false, passphrase: 'pw', sessionSecret: 's' } }).enabled, false);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, tokenize, parseDateFilter } from '../src/search-index.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2026, 2, 1, 9);
+
+// What TranscriptIndex.sessions() hands the search index
+const sessions = [
+  {
+    sessionId: 'main',
+    messages: [
+      { id: 'm1', role: 'user', channel: 'whatsapp', timestamp: START, text: 'Book the dentist for Friday please' },
+      { id: 'm2', role: 'assistant', channel: 'other', timestamp: START + HOUR, text: 'Dentist booked: Friday 10:00.' },
+      { id: 'm3', role: 'user', channel: 'voice', timestamp: START + 24 * HOUR, text: 'Did the plumber fix the boiler?' },
+      { id: 'm4', role: 'assistant', channel: 'other', timestamp: START + 25 * HOUR, text: 'The plumber replaced the boiler valve; the boiler pressure is fine now.' },
+      { id: 'm5', role: 'user', channel: 'other', timestamp: START + 26 * HOUR, text: 'HEARTBEAT plumber', isSystem: true },
+      { id: 'm6', role: 'assistant', channel: 'other', timestamp: START + 27 * HOUR, text: null },
+    ],
+  },
+  {
+    sessionId: 'spark_portal1',
+    messages: [
+      { id: 'p1', role: 'user', channel: 'other', timestamp: START + 48 * HOUR, text: 'Write the plumber a thank-you note' },
+    ],
+  },
+];
+
+const index = new SearchIndex({ dataDir: '/nonexistent', search: { embeddingsUrl: null } }, { sessions: async () => sessions });
+const ids = async (query, options) => (await index.search(query, options)).results.map(r => r.id);
+
+test('tokenize folds case and accents and drops stopwords and one-letter words', () => {
+  assert.deepEqual(tokenize('Crème Brûlée at the CAFÉ, a 2nd time'), ['creme', 'brulee', 'cafe', '2nd', 'time']);
+  assert.deepEqual(tokenize("what's up"), ['up']);
+  assert.deepEqual(tokenize(undefined), []);
+});
+
+test('without an embeddings URL search is keyword-only', async () => {
+  assert.equal(index.semantic, false);
+  const { semantic, terms } = await index.search('the Boiler');
+  assert.equal(semantic, false);
+  assert.deepEqual(terms, ['boiler']);
+});
+
+test('BM25 puts messages with every query term before partial matches', async () => {
+  const ranked = await ids('plumber boiler');
+  assert.deepEqual(ranked.slice(0, 2).sort(), ['m3', 'm4']);
+  assert.deepEqual(ranked.slice(2), ['p1']);
+  assert.deepEqual(await ids('dentist'), ['m1', 'm2']); // Same frequency - the shorter message ranks higher
+});
+
+test('the last query term also matches longer words', async () => {
+  assert.deepEqual((await ids('boil')).sort(), ['m3', 'm4']);
+  assert.deepEqual(await ids('bo'), []);
+  assert.deepEqual((await ids('plumb friday')).sort(), ['m1', 'm2']); // Only the last term expands
+});
+
+test('system and empty messages are not searchable', async () => {
+  assert.deepEqual(await ids('heartbeat'), []);
+  assert.equal((await index.search('plumber')).total, 3);
+});
+
+test('channel, role and date filters', async () => {
+  assert.deepEqual((await ids('dentist', { channels: ['whatsapp'] })).sort(), ['m1', 'm2']); // Reply inherits its question's channel
+  assert.deepEqual((await ids('plumber', { channels: ['voice'] })).sort(), ['m3', 'm4']);
+  assert.deepEqual(await ids('plumber', { channels: ['web'] }), ['p1']); // Portal sessions are web
+  assert.deepEqual(await ids('plumber', { roles: ['assistant'] }), ['m4']);
+  assert.deepEqual(await ids('plumber dentist', { from: START + HOUR, to: START + 24 * HOUR }).then(r => r.sort()), ['m2', 'm3']);
+});
+
+test('results carry a snippet around the first hit and page with limit/offset', async () => {
+  const [first] = (await index.search('valve')).results;
+  assert.equal(first.sessionId, 'main');
+  assert.equal(first.channel, 'voice');
+  assert.match(first.snippet, /valve/);
+
+  const page = await index.search('plumber', { limit: 1, offset: 1 });
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.results.map(r => r.id), [(await ids('plumber'))[1]]);
+});
+
+test('bare dates in the date filter are days in the owner\'s timezone', () => {
+  const tz = 'America/New_York';
+  assert.equal(parseDateFilter('2026-01-31', tz), Date.UTC(2026, 0, 31, 5));
+  assert.equal(parseDateFilter('2026-01-31', tz, { endOfDay: true }), Date.UTC(2026, 1, 1, 5) - 1);
+  assert.equal(parseDateFilter('2026-01-31', 'Asia/Tokyo'), Date.UTC(2026, 0, 30, 15));
+
+  // 2026-03-08 is 23 hours long in New York (clocks go forward at 2am)
+  const from = parseDateFilter('2026-03-08', tz);
+  assert.equal(from, Date.UTC(2026, 2, 8, 5));
+  assert.equal(parseDateFilter('2026-03-08', tz, { endOfDay: true }) + 1 - from, 23 * HOUR);
+
+  assert.equal(parseDateFilter('1767225600000', tz), 1767225600000);
+  assert.equal(parseDateFilter('2026-01-31T10:00:00Z', tz), Date.UTC(2026, 0, 31, 10));
+  assert.equal(parseDateFilter('', tz), null);
+  assert.equal(parseDateFilter('2026-13-01', tz), undefined);
+  assert.equal(parseDateFilter('last tuesday', tz), undefined);
+});
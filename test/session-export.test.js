@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { inflateRawSync } from 'zlib';
+import { exportSession, zip, crc32 } from '../src/session-export.js';
+
+// Entries of a zip, read back through its central directory
+function unzip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.notEqual(end, -1, 'no end of central directory');
+  const count = archive.readUInt16LE(end + 10);
+  let at = archive.readUInt32LE(end + 16);
+  assert.equal(at + archive.readUInt32LE(end + 12), end);
+
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(at), 0x02014b50);
+    const method = archive.readUInt16LE(at + 10);
+    const crc = archive.readUInt32LE(at + 16);
+    const compressedSize = archive.readUInt32LE(at + 20);
+    const size = archive.readUInt32LE(at + 24);
+    const nameLength = archive.readUInt16LE(at + 28);
+    const offset = archive.readUInt32LE(at + 42);
+    const name = archive.toString('utf8', at + 46, at + 46 + nameLength);
+    at += 46 + nameLength;
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50);
+    assert.equal(archive.readUInt32LE(offset + 14), crc, `${name}: local and central CRC differ`);
+    const start = offset + 30 + archive.readUInt16LE(offset + 26);
+    const stored = archive.subarray(start, start + compressedSize);
+    const data = method === 8 ? inflateRawSync(stored) : stored;
+    assert.equal(data.length, size);
+    entries[name] = { method, crc, data };
+  }
+  return entries;
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+test('crc32 matches the standard check values', () => {
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+});
+
+test('zip writes entries that read back with their names, methods and CRCs', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'spark-zip-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const audio = Buffer.from(Array.from({ length: 5000 }, (_, i) => (i * 31) % 256));
+  writeFileSync(join(dir, 'a.webm'), audio);
+
+  const text = Buffer.from('Café ☕\n'.repeat(200));
+  const entries = unzip(await collect(zip([
+    { name: 'transcript.md', data: text },
+    { name: 'notes/a.webm', path: join(dir, 'a.webm'), stored: true },
+    { name: 'notes/gone.webm', path: join(dir, 'gone.webm'), stored: true },
+    { name: 'empty.txt', data: Buffer.alloc(0) },
+  ])));
+
+  assert.deepEqual(Object.keys(entries), ['transcript.md', 'notes/a.webm', 'empty.txt']);
+  assert.equal(entries['transcript.md'].method, 8);
+  assert.deepEqual(entries['transcript.md'].data, text);
+  assert.equal(entries['transcript.md'].crc, crc32(text));
+  assert.equal(entries['notes/a.webm'].method, 0);
+  assert.deepEqual(entries['notes/a.webm'].data, audio);
+  assert.equal(entries['empty.txt'].data.length, 0);
+});
+
+test('a zip export bundles the conversation\'s images and voice notes, but not meetings', async (t) => {
+  const root = mkdtempSync(join(tmpdir(), 'spark-export-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  const config = { notesDir: join(root, 'notes'), imageDir: join(root, 'images'), timezone: 'UTC', locale: 'en-US' };
+  mkdirSync(config.notesDir);
+  mkdirSync(config.imageDir);
+
+  const start = Date.UTC(2026, 2, 1, 9);
+  const note = (createdAt, kind = 'note') => {
+    const file = `note_${createdAt}.webm`;
+    writeFileSync(join(config.notesDir, file), `audio ${createdAt}`);
+    return { id: `note_${createdAt}`, kind, file, createdAt };
+  };
+  const notes = [note(start + 60000), note(start + 120000, 'meeting'), note(start + 24 * 60 * 60 * 1000)];
+  writeFileSync(join(config.imageDir, 'img_1.png'), 'png');
+
+  const messages = [
+    { id: 'u1', role: 'user', channel: 'web', timestamp: start, text: `[Image attached: ${join(config.imageDir, 'img_1.png')}] What is this?` },
+    { id: 'a1', role: 'assistant', channel: 'other', timestamp: start + 5000, text: 'A plant.' },
+    { id: 'u2', role: 'user', channel: 'web', timestamp: start + 180000, text: `[Image attached: ${join(config.imageDir, 'img_2.png')}] And this?` },
+    { id: 'h1', role: 'user', channel: 'other', timestamp: start + 190000, text: 'HEARTBEAT', isSystem: true },
+  ];
+
+  const { filename, body } = await exportSession('spark_abc', messages, 'zip', config, { notes });
+  assert.equal(filename, 'spark-spark_abc.zip');
+  const entries = unzip(await collect(body));
+  assert.deepEqual(Object.keys(entries).sort(), [
+    `notes/${notes[0].file}`, 'images/img_1.png', 'transcript.html', 'transcript.json', 'transcript.md',
+  ].sort());
+
+  const markdown = entries['transcript.md'].data.toString();
+  assert.match(markdown, /!\[img_1\.png\]\(images\/img_1\.png\)/);
+  assert.match(markdown, /_Image: img_2\.png - not included in this download_/); // Cleaned out of the temp dir
+  assert.match(markdown, new RegExp(`\\(notes/${notes[0].file}\\)`));
+
+  const json = JSON.parse(entries['transcript.json'].data);
+  assert.deepEqual(json.messages.map(m => m.id), ['u1', 'a1', 'u2']);
+  assert.deepEqual(json.voiceNotes.map(n => n.name), [notes[0].file]);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseLine, parseEntry, parseActivity, summarizeArgs, channelResolver, cleanText, detectSource, extractText } from '../src/transcript-parser.js';
+import { TranscriptIndex } from '../src/transcripts.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SESSIONS = join(__dirname, 'fixtures/sessions');
+
+// Fixture: a main-session transcript covering every channel and noise type
+const lines = readFileSync(join(SESSIONS, 'main.jsonl'), 'utf8').split('\n');
+const messages = lines.map(parseLine).filter(Boolean);
+const byId = Object.fromEntries(messages.map(m => [m.id, m]));
+
+test('skips non-message entries, non-chat roles and malformed lines', () => {
+  assert.deepEqual(messages.map(m => m.id), ['m1', 'm2', 'm4', 'm5', 'm6', 'm7', 'm8', 'm9', 'm10', 'm11']);
+  assert.equal(parseLine(''), null);
+  assert.equal(parseLine('{"type":"message", broken'), null);
+});
+
+test('WhatsApp messages lose their header and message id', () => {
+  assert.deepEqual(byId.m1, {
+    id: 'm1',
+    role: 'user',
+    timestamp: 1767225601000,
+    text: "Morning! What's on today?",
+    channel: 'whatsapp',
+    sourceTag: 'WhatsApp',
+    hasText: true,
+    hasToolCall: false,
+    hasThinking: false,
+    isSystem: false,
+  });
+});
+
+test('flags tool-use and thinking turns', () => {
+  assert.equal(byId.m2.hasToolCall, true);
+  assert.equal(byId.m2.hasThinking, true);
+  assert.equal(byId.m2.hasText, false);
+  assert.equal(byId.m2.text, '');
+
+  assert.equal(byId.m4.hasToolCall, false);
+  assert.equal(byId.m4.hasThinking, true);
+  assert.equal(byId.m4.text, 'Nothing scheduled - enjoy the quiet day.');
+});
+
+test('Spark source tags map to channels', () => {
+  assert.equal(byId.m5.channel, 'web');
+  assert.equal(byId.m5.sourceTag, 'Spark Web');
+  assert.equal(byId.m5.text, 'Summarize my notes');
+
+  assert.equal(byId.m6.channel, 'voice');
+  assert.equal(byId.m6.sourceTag, 'Spark Voice');
+  assert.equal(byId.m6.text, 'what time is it');
+
+  assert.equal(byId.m7.channel, 'voice');
+  assert.equal(byId.m7.sourceTag, 'Spark Voice Realtime');
+  assert.equal(byId.m7.text, 'and the weather?');
+});
+
+test('structured source wins over text prefixes', () => {
+  const msg = parseEntry({
+    type: 'message',
+    id: '5f0c6a52-8c1e-4a34-9a53-0d6b1f0e2c11',
+    parentId: 'm7',
+    timestamp: '2026-01-01T00:00:12.000Z',
+    source: { client: 'spark', channel: 'voice', name: 'Spark Voice' },
+    message: { role: 'user', content: [{ type: 'text', text: 'set a timer' }], timestamp: 1767225612000 },
+  });
+  assert.equal(msg.channel, 'voice');
+  assert.equal(msg.sourceTag, 'Spark Voice');
+  assert.equal(msg.text, 'set a timer');
+});
+
+test('tool calls, tool results and thinking become activity items', () => {
+  const entries = lines.filter(l => l.trim()).map(l => { try { return JSON.parse(l); } catch { return null; } });
+  const activity = entries.flatMap(parseActivity);
+
+  assert.deepEqual(activity.slice(0, 3).map(a => [a.id, a.kind]), [
+    ['m2:0', 'thinking'],
+    ['m2:1', 'tool_call'],
+    ['m3', 'tool_result'],
+  ]);
+  assert.equal(activity[0].summary, 'Check the calendar');
+  assert.equal(activity[1].name, 'calendar');
+  assert.equal(activity[1].callId, 't1');
+  assert.equal(activity[2].isError, false);
+
+  assert.equal(summarizeArgs({ timeout: 30, command: 'git  status\n' }), 'git status');
+  assert.equal(summarizeArgs({}), '');
+});
+
+test('untagged replies take the channel of the message they answer', () => {
+  const channelOf = channelResolver('main');
+  assert.deepEqual(messages.filter(m => m.text && !m.isSystem).map(m => [m.id, channelOf(m)]), [
+    ['m1', 'whatsapp'],
+    ['m4', 'whatsapp'],
+    ['m5', 'web'],
+    ['m6', 'voice'],
+    ['m7', 'voice'],
+    ['m10', 'whatsapp'],
+    ['m11', 'whatsapp'],
+  ]);
+
+  const portal = channelResolver('spark_abc');
+  assert.equal(portal({ role: 'user', text: 'hi', channel: 'other' }), 'web');
+  assert.equal(portal({ role: 'assistant', text: 'hello', channel: 'other' }), 'web');
+});
+
+test('heartbeat and cron turns are marked as system', () => {
+  assert.equal(byId.m8.isSystem, true);
+  assert.equal(byId.m9.isSystem, true);
+  assert.equal(messages.filter(m => m.isSystem).length, 2);
+});
+
+test('group context headers are stripped', () => {
+  assert.equal(byId.m10.channel, 'whatsapp');
+  assert.equal(byId.m10.text, 'earlier question\nand tomorrow?');
+});
+
+test('string content and entry-level timestamps', () => {
+  assert.equal(byId.m11.text, 'Plain string reply');
+  assert.equal(byId.m11.channel, 'other');
+  assert.equal(byId.m11.sourceTag, null);
+  assert.equal(byId.m11.timestamp, Date.parse('2026-01-01T00:00:11.000Z'));
+});
+
+test('helpers', () => {
+  assert.equal(extractText([{ type: 'thinking' }, { type: 'text', text: 'hi' }]), 'hi');
+  assert.equal(extractText(null), null);
+  assert.equal(detectSource('no tag here'), null);
+  assert.equal(detectSource('[Spark Portal] hi').channel, 'web');
+  assert.equal(cleanText('[Spark Web] hello\n[message_id: X1]'), 'hello');
+  assert.equal(parseEntry({ type: 'message', message: { role: 'system', content: 'x' } }), null);
+});
+
+test('TranscriptIndex serves parsed fixture messages', async () => {
+  const index = new TranscriptIndex(SESSIONS);
+  const indexed = await index.messages('main');
+  assert.deepEqual(indexed, messages);
+
+  const [session] = await index.sessions();
+  assert.equal(session.sessionId, 'main');
+  assert.equal(session.hasWhatsApp, true);
+  assert.deepEqual((await index.messages('main', { limit: 2 })).map(m => m.id), ['m10', 'm11']);
+});
+
+test('TranscriptIndex treats a missing sessions dir as no sessions', async () => {
+  const index = new TranscriptIndex(join(SESSIONS, 'does-not-exist'));
+  assert.deepEqual(await index.sessions(), []);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, utimesSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TranscriptWriter, SOURCES, lastEntryId } from '../src/transcript-writer.js';
+
+// A transcript in its own directory, removed when the test ends
+function transcript(t, lines) {
+  const dir = mkdtempSync(join(tmpdir(), 'spark-writer-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const path = join(dir, 'main.jsonl');
+  if (lines) writeFileSync(path, lines.map(l => (typeof l === 'string' ? l : JSON.stringify(l))).join('\n'));
+  return path;
+}
+
+const entries = path => readFileSync(path, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('lastEntryId skips half-written and id-less lines', async (t) => {
+  assert.equal(await lastEntryId(transcript(t)), null);
+  assert.equal(await lastEntryId(transcript(t, [''])), null);
+  assert.equal(await lastEntryId(transcript(t, [{ type: 'session', version: 2 }, ''])), null);
+
+  const path = transcript(t, [{ type: 'session' }, { type: 'message', id: 'a1' }, { type: 'custom', id: 'b2' }, '', '{"type":"message","id":"c3","mess']);
+  assert.equal(await lastEntryId(path), 'b2');
+});
+
+test('lastEntryId copes with a tail read that starts mid-line', async (t) => {
+  const big = { type: 'message', id: 'big', message: { content: 'x'.repeat(80 * 1024) } };
+  assert.equal(await lastEntryId(transcript(t, [big, { type: 'message', id: 'after' }, ''])), 'after');
+});
+
+test('lastEntryId reads back past an entry longer than one tail read', async (t) => {
+  const huge = { type: 'message', id: 'huge', message: { content: 'é'.repeat(100 * 1024) } };
+  assert.equal(await lastEntryId(transcript(t, [{ type: 'message', id: 'before' }, huge, ''])), 'huge');
+  assert.equal(await lastEntryId(transcript(t, [huge])), 'huge');
+
+  const cutOff = JSON.stringify({ ...huge, id: 'cut' }).slice(0, 60 * 1024); // ~120KB of bytes
+  assert.equal(await lastEntryId(transcript(t, [{ type: 'message', id: 'before' }, huge, cutOff])), 'huge');
+});
+
+test('file appends link each entry to the one before and carry the source', async (t) => {
+  const path = transcript(t, [{ type: 'session' }, { type: 'message', id: 'root' }, '']);
+  const writer = new TranscriptWriter({ path });
+
+  const [question, answer] = await Promise.all([
+    writer.append('user', 'what time is it?', SOURCES.voice),
+    writer.append('assistant', 'Half past three.', SOURCES.voice),
+  ]);
+
+  const [, , first, second] = entries(path);
+  assert.equal(first.id, question);
+  assert.equal(first.parentId, 'root');
+  assert.equal(second.parentId, question);
+  assert.equal(second.id, answer);
+  assert.deepEqual(second.source, { client: 'spark', channel: 'voice', name: 'Spark Voice' });
+  assert.deepEqual(second.message.content, [{ type: 'text', text: 'Half past three.' }]);
+  assert.equal(existsSync(`${path}.lock`), false);
+});
+
+test('a lock whose holder has exited is taken over', async (t) => {
+  const path = transcript(t, [{ type: 'message', id: 'root' }, '']);
+  const exited = spawnSync(process.execPath, ['-e', '']).pid;
+  writeFileSync(`${path}.lock`, JSON.stringify({ pid: exited, createdAt: new Date().toISOString() }));
+
+  const id = await new TranscriptWriter({ path }).append('user', 'hi', SOURCES.web);
+  assert.equal(entries(path).pop().id, id);
+  assert.equal(existsSync(`${path}.lock`), false);
+});
+
+test('a lock untouched for over 30s is taken over even if its holder is alive', async (t) => {
+  const path = transcript(t, [{ type: 'message', id: 'root' }, '']);
+  writeFileSync(`${path}.lock`, JSON.stringify({ pid: process.ppid, createdAt: '2026-01-01T00:00:00Z' }));
+  const old = new Date(Date.now() - 31000);
+  utimesSync(`${path}.lock`, old, old);
+
+  const id = await new TranscriptWriter({ path }).append('user', 'hi', SOURCES.web);
+  assert.equal(entries(path).pop().parentId, 'root');
+  assert.equal(entries(path).pop().id, id);
+});